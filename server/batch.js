@@ -0,0 +1,64 @@
+/**
+ * Batch lookup of WDS documents by ID.
+ *
+ * IDs are validated and de-duplicated up front, then looked up in batches of
+ * BATCH_SIZE as one `id` OR-list query each, with at most BATCH_CONCURRENCY
+ * batches in flight. Every request still passes through the shared rate
+ * limiter. IDs a batch does not return are looked up one at a time before
+ * they are reported missing.
+ */
+
+export const MAX_BATCH_IDS = 200;
+export const BATCH_SIZE = 20;
+export const BATCH_CONCURRENCY = readNumber('WB_BATCH_CONCURRENCY', 4);
+
+function readNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isInteger(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Split raw IDs into valid ones (numeric, first occurrence, input order) and
+ * invalid ones. "D123" and " 123 " are accepted as 123, as the API keys
+ * documents that way.
+ */
+export function normalizeIds(ids) {
+  const valid = [];
+  const invalid = [];
+  const seen = new Set();
+  let duplicates = 0;
+  for (const raw of ids) {
+    const id = String(raw).trim().replace(/^D(?=\d)/i, '');
+    if (!/^\d+$/.test(id)) {
+      invalid.push({ id: String(raw), reason: 'invalid', message: 'not a numeric document ID' });
+    } else if (seen.has(id)) {
+      duplicates++;
+    } else {
+      seen.add(id);
+      valid.push(id);
+    }
+  }
+  return { valid, invalid, duplicates };
+}
+
+export function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+/** map() over `items` with at most `limit` calls of `fn` pending at once; results keep input order. */
+export async function mapConcurrent(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
@@ -0,0 +1,160 @@
+/**
+ * Response cache for World Bank API requests.
+ *
+ * In-memory LRU keyed on normalized query parameters, with separate TTLs for
+ * catalogs (facet-only rows: 0 queries, indicator and source lists) and
+ * document or data queries. When WB_CACHE_DIR is set, entries
+ * are also written to disk so facet catalogs survive restarts.
+ *
+ * Entries are held as JSON text and parsed on every hit, so callers get their
+ * own copy and may change it without touching the cache.
+ */
+
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, readdir, rm, stat, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+const CACHE_ENABLED = !['0', 'false', 'off'].includes(String(process.env.WB_CACHE || '').toLowerCase());
+const CACHE_DIR = process.env.WB_CACHE_DIR || '';
+const FACET_TTL = readNumber('WB_CACHE_FACET_TTL', 24 * 60 * 60); // seconds
+const DOCUMENT_TTL = readNumber('WB_CACHE_DOCUMENT_TTL', 15 * 60); // seconds
+const MAX_ENTRIES = readNumber('WB_CACHE_MAX_ENTRIES', 500);
+const MAX_DISK_ENTRIES = readNumber('WB_CACHE_MAX_DISK_ENTRIES', 2000);
+const MAX_ENTRY_BYTES = readNumber('WB_CACHE_MAX_ENTRY_BYTES', 2 * 1024 * 1024);
+
+// Map preserves insertion order, so the first key is always the least recently used
+const memory = new Map();
+let diskWrites = 0;
+
+function readNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Drop empty values, join arrays and sort keys so that equivalent requests
+ * produce the same query string regardless of parameter order.
+ */
+export function normalizeParams(params) {
+  const normalized = {};
+  for (const key of Object.keys(params).sort()) {
+    const value = params[key];
+    if (value === undefined || value === null || value === '') continue;
+    normalized[key] = Array.isArray(value) ? value.join(',') : String(value);
+  }
+  return normalized;
+}
+
+export function cacheKey(baseUrl, params) {
+  return `${baseUrl}?${new URLSearchParams(normalizeParams(params)).toString()}`;
+}
+
+export function ttlFor(params, { catalog = false } = {}) {
+  return catalog || Number(params.rows) === 0 ? FACET_TTL : DOCUMENT_TTL;
+}
+
+function diskPath(key) {
+  const hash = createHash('sha256').update(key).digest('hex');
+  return path.join(CACHE_DIR, `${hash}.json`);
+}
+
+function remember(key, entry) {
+  memory.delete(key);
+  memory.set(key, entry);
+  while (memory.size > MAX_ENTRIES) {
+    memory.delete(memory.keys().next().value);
+  }
+}
+
+export async function getCached(key) {
+  if (!CACHE_ENABLED) return undefined;
+
+  const entry = memory.get(key);
+  if (entry) {
+    if (entry.expires > Date.now()) {
+      remember(key, entry);
+      return JSON.parse(entry.body);
+    }
+    memory.delete(key);
+  }
+
+  if (!CACHE_DIR) return undefined;
+
+  try {
+    const stored = JSON.parse(await readFile(diskPath(key), 'utf8'));
+    if (stored.key === key && stored.expires > Date.now()) {
+      remember(key, { body: JSON.stringify(stored.value), expires: stored.expires });
+      return stored.value;
+    }
+  } catch {
+    // Missing or unreadable entries are treated as misses
+  }
+  return undefined;
+}
+
+export async function setCached(key, value, ttlSeconds) {
+  if (!CACHE_ENABLED || ttlSeconds <= 0) return;
+
+  const body = JSON.stringify(value);
+  if (Buffer.byteLength(body) > MAX_ENTRY_BYTES) return;
+
+  const expires = Date.now() + ttlSeconds * 1000;
+  remember(key, { body, expires });
+
+  if (!CACHE_DIR) return;
+
+  try {
+    await mkdir(CACHE_DIR, { recursive: true });
+    await writeFile(diskPath(key), `{"key":${JSON.stringify(key)},"expires":${expires},"value":${body}}`);
+    // Pruning scans the directory, so only do it every so often
+    if (++diskWrites % 50 === 0) {
+      await pruneDisk();
+    }
+  } catch (error) {
+    console.error(`Cache write failed: ${error.message}`);
+  }
+}
+
+async function pruneDisk() {
+  const files = (await readdir(CACHE_DIR)).filter(file => file.endsWith('.json'));
+  if (files.length <= MAX_DISK_ENTRIES) return;
+
+  const entries = await Promise.all(files.map(async file => {
+    const filePath = path.join(CACHE_DIR, file);
+    const { mtimeMs } = await stat(filePath);
+    return { filePath, mtimeMs };
+  }));
+  entries.sort((a, b) => a.mtimeMs - b.mtimeMs);
+  for (const { filePath } of entries.slice(0, entries.length - MAX_DISK_ENTRIES)) {
+    await rm(filePath, { force: true });
+  }
+}
+
+export async function clearCache() {
+  const cleared = { memory: memory.size, disk: 0 };
+  memory.clear();
+
+  if (CACHE_DIR) {
+    try {
+      for (const file of await readdir(CACHE_DIR)) {
+        if (!file.endsWith('.json')) continue;
+        await rm(path.join(CACHE_DIR, file), { force: true });
+        cleared.disk++;
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+  return cleared;
+}
+
+export function cacheStats() {
+  return {
+    enabled: CACHE_ENABLED,
+    directory: CACHE_DIR || null,
+    entries: memory.size,
+    max_entries: MAX_ENTRIES,
+    facet_ttl_seconds: FACET_TTL,
+    document_ttl_seconds: DOCUMENT_TTL
+  };
+}
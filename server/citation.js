@@ -0,0 +1,335 @@
+/**
+ * Bibliographic metadata for World Bank documents.
+ *
+ * Normalizes the WDS document fields (authors, report number, volume, series,
+ * date) into one shape and renders reference-manager formats (BibTeX, RIS,
+ * CSL-JSON) and formatted citations (APA, Chicago, Harvard, World Bank house
+ * style) from it.
+ */
+
+const PUBLISHER = 'World Bank';
+const PUBLISHER_PLACE = 'Washington, DC';
+// Institutional authors WDS lists alongside people; never split into family/given names
+const CORPORATE_AUTHOR = /^(the )?(world bank( group)?|international bank for reconstruction and development|ibrd|international development association|ida|international finance corporation|ifc|multilateral investment guarantee agency|miga|independent evaluation group|ieg)$/i;
+
+// Fields bibliographicRecord reads, requested whenever citations are built
+export const CITATION_FIELDS = [
+  'display_title', 'docna', 'authors', 'docdt', 'docty', 'repnb', 'volnb', 'totvolnb', 'colti', 'count', 'lang', 'url', 'pdfurl'
+];
+
+/**
+ * Flatten a WDS field value to text. WDS returns repeated fields as objects
+ * keyed "0", "1", ... whose entries are themselves objects, e.g.
+ * { "0": { "author": "Smith, John" } }.
+ */
+export function fieldText(value, separator = '; ') {
+  if (value === undefined || value === null) return '';
+  if (typeof value !== 'object') return String(value).trim();
+  if (typeof value.cdata === 'string') return value.cdata.trim();
+  return Object.values(value)
+    .map(item => fieldText(item, separator))
+    .filter(Boolean)
+    .join(separator);
+}
+
+function fieldList(value) {
+  if (value === undefined || value === null) return [];
+  if (typeof value !== 'object') return String(value).split(';').map(item => item.trim()).filter(Boolean);
+  return Object.values(value).flatMap(fieldList);
+}
+
+export function documentDate(doc) {
+  if (!doc.docdt) return null;
+  const date = new Date(doc.docdt);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString().split('T')[0];
+}
+
+/**
+ * Normalized bibliographic record for a WDS document. Documents without
+ * personal authors are attributed to the World Bank (or the institution WDS
+ * names) as corporate author.
+ */
+export function bibliographicRecord(doc) {
+  const authors = fieldList(doc.authors);
+  const corporate = authors.every(isCorporate);
+  const date = documentDate(doc);
+
+  return {
+    id: doc.id,
+    title: fieldText(doc.display_title) || fieldText(doc.docna) || `World Bank document ${doc.id}`,
+    authors: authors.length > 0 ? authors : [PUBLISHER],
+    corporate_author: corporate,
+    date,
+    year: date ? date.slice(0, 4) : null,
+    document_type: fieldText(doc.docty) || null,
+    report_number: fieldText(doc.repnb) || null,
+    volume: fieldText(doc.volnb) || null,
+    total_volumes: fieldText(doc.totvolnb) || null,
+    series: fieldText(doc.colti) || null,
+    country: fieldText(doc.count) || null,
+    language: fieldText(doc.lang) || null,
+    publisher: PUBLISHER,
+    place: PUBLISHER_PLACE,
+    url: doc.url || doc.pdfurl || null,
+    abstract: fieldText(doc.abstracts) || null
+  };
+}
+
+function escapeBibTeX(value) {
+  return String(value)
+    .replace(/\\/g, '\\textbackslash{}')
+    .replace(/([&%$#_{}])/g, '\\$1')
+    .replace(/~/g, '\\textasciitilde{}')
+    .replace(/\^/g, '\\textasciicircum{}');
+}
+
+export function toBibTeX(doc) {
+  const record = bibliographicRecord(doc);
+  // Braces keep BibTeX from splitting corporate names into first/last parts
+  const authors = record.corporate_author
+    ? `{${escapeBibTeX(record.authors[0])}}`
+    : record.authors.map(name => isCorporate(name) ? `{${escapeBibTeX(name)}}` : escapeBibTeX(name)).join(' and ');
+
+  const fields = [
+    ['author', authors],
+    ['title', `{${escapeBibTeX(record.title)}}`],
+    ['institution', escapeBibTeX(record.publisher)],
+    ['address', escapeBibTeX(record.place)],
+    ['year', record.year],
+    ['month', record.date ? Number(record.date.slice(5, 7)) : null],
+    ['type', record.document_type && escapeBibTeX(record.document_type)],
+    ['number', record.report_number && escapeBibTeX(record.report_number)],
+    ['volume', record.volume && escapeBibTeX(record.volume)],
+    ['series', record.series && escapeBibTeX(record.series)],
+    ['language', record.language && escapeBibTeX(record.language)],
+    ['url', record.url],
+    ['note', `World Bank document ID ${record.id}`]
+  ].filter(([, value]) => value);
+
+  const body = fields.map(([name, value]) => `  ${name} = {${value}}`).join(',\n');
+  return `@techreport{wb${record.id},\n${body}\n}`;
+}
+
+export function toRIS(doc) {
+  const record = bibliographicRecord(doc);
+  const lines = [['TY', 'RPRT']];
+
+  for (const author of record.authors) {
+    lines.push(['AU', author]);
+  }
+  lines.push(['TI', record.title]);
+  if (record.year) lines.push(['PY', record.year]);
+  if (record.date) lines.push(['DA', record.date.replace(/-/g, '/')]);
+  lines.push(['PB', record.publisher]);
+  lines.push(['CY', record.place]);
+  if (record.document_type) lines.push(['M3', record.document_type]);
+  // RIS has no dedicated report number tag; M1 is what reference managers read for RPRT
+  if (record.report_number) lines.push(['M1', record.report_number]);
+  if (record.volume) lines.push(['VL', record.volume]);
+  if (record.series) lines.push(['T3', record.series]);
+  if (record.language) lines.push(['LA', record.language]);
+  if (record.abstract) lines.push(['AB', record.abstract.replace(/\s+/g, ' ')]);
+  if (record.url) lines.push(['UR', record.url]);
+  lines.push(['N1', `World Bank document ID ${record.id}`]);
+  lines.push(['ER', '']);
+
+  return lines.map(([tag, value]) => `${tag}  - ${value}`.trimEnd()).join('\n');
+}
+
+export const CITATION_STYLES = ['apa', 'chicago', 'harvard', 'worldbank', 'bibtex', 'csl-json'];
+
+function isCorporate(name) {
+  return CORPORATE_AUTHOR.test(name.trim());
+}
+
+// WDS author names are usually "Last, First"; fall back to treating the last word as the surname
+function splitName(name) {
+  if (isCorporate(name)) return { family: name.trim(), given: '' };
+  if (name.includes(',')) {
+    const [family, ...rest] = name.split(',');
+    return { family: family.trim(), given: rest.join(',').trim() };
+  }
+  const parts = name.trim().split(/\s+/);
+  return parts.length > 1
+    ? { family: parts.pop(), given: parts.join(' ') }
+    : { family: parts[0], given: '' };
+}
+
+// "John Adam" -> "J. A.", "J.-J." -> "J.-J."; dots before a hyphen keep the parts of a hyphenated name together
+function initials(given) {
+  return given
+    .split(/\s+|\.(?!-)/)
+    .map(part => part.split('-').map(piece => piece.replace(/\./g, '')).filter(Boolean))
+    .filter(pieces => pieces.length > 0)
+    .map(pieces => pieces.map(piece => `${piece[0].toUpperCase()}.`).join('-'))
+    .join(' ');
+}
+
+function joinList(items, conjunction, serialComma = true) {
+  if (items.length <= 1) return items.join('');
+  if (items.length === 2) return `${items[0]} ${conjunction} ${items[1]}`;
+  return `${items.slice(0, -1).join(', ')}${serialComma ? ',' : ''} ${conjunction} ${items[items.length - 1]}`;
+}
+
+function inverted(name, style) {
+  const { family, given } = splitName(name);
+  if (!given) return family;
+  return style === 'full' ? `${family}, ${given}` : `${family}, ${initials(given)}`;
+}
+
+function natural(name) {
+  const { family, given } = splitName(name);
+  return given ? `${given} ${family}` : family;
+}
+
+function cleanTitle(title) {
+  return title.replace(/\s+/g, ' ').replace(/[.\s]+$/, '');
+}
+
+// "Policy Research working paper ; no. WPS 1234" -> "Policy Research Working Paper No. WPS 1234"
+function seriesLabel(record) {
+  if (record.series) {
+    const [name, number] = record.series.split(';').map(part => part.trim());
+    const title = name.replace(/\b(working|paper|series|note|report)\b/gi, word => word[0].toUpperCase() + word.slice(1));
+    const cleaned = number?.replace(/^no\.?\s*/i, '');
+    return cleaned ? `${title} No. ${cleaned}` : title;
+  }
+  if (record.report_number) {
+    // Only series-like document types read naturally as "<type> No. <number>"
+    const label = /paper|report|note|brief/i.test(record.document_type || '') ? record.document_type : 'Report';
+    return `${label} No. ${record.report_number}`;
+  }
+  return record.document_type;
+}
+
+function withVolume(label, record) {
+  if (!record.volume) return label;
+  const volume = `Vol. ${record.volume}`;
+  return label ? `${label}, ${volume}` : volume;
+}
+
+// Add a closing period unless the text already ends with one
+function period(text) {
+  return text.endsWith('.') ? text : `${text}.`;
+}
+
+function apa(record) {
+  const names = record.authors.slice(0, 20).map(name => inverted(name));
+  // APA puts a comma before the ampersand even with two authors
+  const authors = record.corporate_author || names.length === 1
+    ? (record.corporate_author ? record.authors[0] : names[0])
+    : `${names.slice(0, -1).join(', ')}, & ${names[names.length - 1]}`;
+  const description = withVolume(seriesLabel(record), record);
+  return [
+    `${period(authors)} (${record.year || 'n.d.'}). `,
+    { italic: cleanTitle(record.title) },
+    description ? ` (${description}).` : '.',
+    // APA omits the publisher when it is also the author
+    record.corporate_author ? '' : ` ${record.publisher}.`,
+    record.url ? ` ${record.url}` : ''
+  ];
+}
+
+function chicago(record) {
+  const [first, ...others] = record.authors;
+  const authors = record.corporate_author
+    ? first
+    : joinList([inverted(first, 'full'), ...others.map(natural)], 'and');
+  const description = withVolume(seriesLabel(record), record);
+  return [
+    `${period(authors)} `,
+    { italic: cleanTitle(record.title) },
+    '.',
+    description ? ` ${description}.` : '',
+    ` ${record.place}: ${record.publisher}, ${period(record.year || 'n.d.')}`,
+    record.url ? ` ${record.url}.` : ''
+  ];
+}
+
+function harvard(record) {
+  const authors = record.corporate_author
+    ? record.authors[0]
+    : joinList(record.authors.map(name => inverted(name)), 'and', false);
+  const description = withVolume(seriesLabel(record), record);
+  const accessed = new Date().toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' });
+  return [
+    `${authors} (${record.year || 'no date'}) `,
+    { italic: cleanTitle(record.title) },
+    '.',
+    description ? ` ${description}.` : '',
+    ` ${record.place}: ${record.publisher}.`,
+    record.url ? ` Available at: ${record.url} (Accessed: ${accessed}).` : ''
+  ];
+}
+
+// World Bank house style (Chicago author-date): report titles in quotes,
+// series and publisher run together after the title
+function worldbank(record) {
+  const [first, ...others] = record.authors;
+  const authors = record.corporate_author
+    ? first
+    : joinList([inverted(first, 'full'), ...others.map(natural)], 'and');
+  const description = withVolume(seriesLabel(record), record);
+  const title = cleanTitle(record.title);
+  const head = `${period(authors)} ${period(record.year || 'n.d.')} `;
+
+  if (!description) {
+    return [head, { italic: title }, `. ${record.place}: ${record.publisher}.`, record.url ? ` ${record.url}.` : ''];
+  }
+  return [
+    `${head}“${title}.” ${description}, ${record.publisher}, ${record.place}.`,
+    record.url ? ` ${record.url}.` : ''
+  ];
+}
+
+function toCSLJSON(doc) {
+  const record = bibliographicRecord(doc);
+  const item = {
+    id: `wb${record.id}`,
+    type: 'report',
+    title: cleanTitle(record.title),
+    author: record.corporate_author
+      ? [{ literal: record.authors[0] }]
+      : record.authors.map(name => {
+        const { family, given } = splitName(name);
+        return given ? { family, given } : { literal: family };
+      }),
+    publisher: record.publisher,
+    'publisher-place': record.place
+  };
+  if (record.date) item.issued = { 'date-parts': [record.date.split('-').map(Number)] };
+  if (record.document_type) item.genre = record.document_type;
+  if (record.report_number) item.number = record.report_number;
+  if (record.volume) item.volume = record.volume;
+  if (record.series) item['collection-title'] = record.series;
+  if (record.language) item.language = record.language;
+  if (record.url) item.URL = record.url;
+  if (record.abstract) item.abstract = record.abstract;
+  return item;
+}
+
+const TEXT_STYLES = { apa, chicago, harvard, worldbank };
+
+/**
+ * Build a citation for a WDS document. Text styles return plain text and a
+ * Markdown variant with the title in italics; bibtex returns the entry as
+ * text and csl-json returns the CSL item as `data`.
+ */
+export function citeDocument(doc, style = 'apa') {
+  if (style === 'bibtex') {
+    const text = toBibTeX(doc);
+    return { style, text, markdown: `\`\`\`bibtex\n${text}\n\`\`\`` };
+  }
+  if (style === 'csl-json') {
+    const data = toCSLJSON(doc);
+    const text = JSON.stringify(data, null, 2);
+    return { style, text, markdown: `\`\`\`json\n${text}\n\`\`\``, data };
+  }
+
+  const parts = TEXT_STYLES[style](bibliographicRecord(doc));
+  return {
+    style,
+    text: parts.map(part => typeof part === 'string' ? part : part.italic).join(''),
+    markdown: parts.map(part => typeof part === 'string' ? part : `*${part.italic}*`).join('')
+  };
+}
@@ -0,0 +1,167 @@
+/**
+ * HTTP client for World Bank APIs.
+ *
+ * Shared, process-wide rate limiting plus per-request timeouts and retries with
+ * exponential backoff and jitter. Failures are raised as WorldBankError with a
+ * classified code.
+ */
+
+import { classifyStatus, ErrorCodes, WorldBankError } from './errors.js';
+
+// Rate limiting: 300ms delay between requests (no documented rate limit, but 200-500ms recommended)
+const RATE_LIMIT_DELAY = 300; // milliseconds
+const REQUEST_TIMEOUT = readNumber('WB_REQUEST_TIMEOUT', 15000); // milliseconds
+const MAX_RETRIES = readNumber('WB_MAX_RETRIES', 3);
+const RETRY_BASE_DELAY = readNumber('WB_RETRY_BASE_DELAY', 500); // milliseconds
+const RETRY_MAX_DELAY = readNumber('WB_RETRY_MAX_DELAY', 10000); // milliseconds
+const MAX_DOWNLOAD_BYTES = readNumber('WB_MAX_DOWNLOAD_BYTES', 50 * 1024 * 1024);
+
+let lastRequestTime = 0;
+
+function readNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export async function rateLimit() {
+  const now = Date.now();
+  const elapsed = now - lastRequestTime;
+  // Reserve the slot before waiting so concurrent callers queue behind each other
+  const wait = Math.max(0, RATE_LIMIT_DELAY - elapsed);
+  lastRequestTime = now + wait;
+  if (wait > 0) {
+    await sleep(wait);
+  }
+}
+
+// Retry-After is either delta-seconds or an HTTP date
+function parseRetryAfter(header) {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds);
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
+
+function backoffDelay(attempt) {
+  const exponential = Math.min(RETRY_MAX_DELAY, RETRY_BASE_DELAY * 2 ** attempt);
+  // Full jitter keeps parallel clients from retrying in lockstep
+  return Math.round(Math.random() * exponential);
+}
+
+const ACCEPT_HEADERS = {
+  json: 'application/json',
+  text: 'text/plain, */*;q=0.5',
+  buffer: '*/*'
+};
+
+async function readBody(response, url, responseType) {
+  const declared = Number(response.headers.get('content-length'));
+  if (declared > MAX_DOWNLOAD_BYTES) {
+    throw new WorldBankError(ErrorCodes.BAD_REQUEST, `Response too large: ${declared} bytes (limit ${MAX_DOWNLOAD_BYTES})`, {
+      url,
+      status: response.status
+    });
+  }
+
+  const buffer = Buffer.from(await response.arrayBuffer());
+  if (buffer.length > MAX_DOWNLOAD_BYTES) {
+    throw new WorldBankError(ErrorCodes.BAD_REQUEST, `Response too large: ${buffer.length} bytes (limit ${MAX_DOWNLOAD_BYTES})`, {
+      url,
+      status: response.status
+    });
+  }
+  if (responseType === 'buffer') return buffer;
+
+  const text = buffer.toString('utf8');
+  if (responseType === 'text') return text;
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new WorldBankError(ErrorCodes.MALFORMED_RESPONSE, `API returned malformed JSON (${text.length} bytes)`, {
+      url,
+      status: response.status,
+      cause: error
+    });
+  }
+}
+
+async function attemptRequest(url, timeout, responseType) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+
+  try {
+    let response;
+    try {
+      response = await fetch(url, { signal: controller.signal, headers: { Accept: ACCEPT_HEADERS[responseType] } });
+    } catch (error) {
+      if (controller.signal.aborted) {
+        throw new WorldBankError(ErrorCodes.TIMEOUT, `Request timed out after ${timeout}ms`, { url, cause: error });
+      }
+      throw new WorldBankError(ErrorCodes.NETWORK_ERROR, `Network error: ${error.cause?.message || error.message}`, { url, cause: error });
+    }
+
+    if (!response.ok) {
+      const code = classifyStatus(response.status);
+      throw new WorldBankError(code, `API request failed: ${response.status} ${response.statusText}`, {
+        url,
+        status: response.status,
+        retryAfter: parseRetryAfter(response.headers.get('retry-after'))
+      });
+    }
+
+    try {
+      return await readBody(response, url, responseType);
+    } catch (error) {
+      if (controller.signal.aborted) {
+        throw new WorldBankError(ErrorCodes.TIMEOUT, `Download timed out after ${timeout}ms`, { url, cause: error });
+      }
+      throw error;
+    }
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Fetch `url`, retrying retryable failures. options.responseType is 'json'
+ * (default), 'text' or 'buffer'; options.timeout and options.retries override
+ * the configured defaults.
+ */
+export async function request(url, options = {}) {
+  const responseType = options.responseType || 'json';
+  const timeout = options.timeout ?? REQUEST_TIMEOUT;
+  const retries = options.retries ?? MAX_RETRIES;
+
+  for (let attempt = 0; ; attempt++) {
+    await rateLimit();
+    try {
+      return await attemptRequest(url, timeout, responseType);
+    } catch (error) {
+      error.attempts = attempt + 1;
+      if (!error.retryable || attempt >= retries) {
+        throw error;
+      }
+
+      let delay = backoffDelay(attempt);
+      if (error.retryAfter !== null) {
+        // Give up rather than block the tool call for longer than the backoff ceiling
+        if (error.retryAfter * 1000 > RETRY_MAX_DELAY) {
+          throw error;
+        }
+        delay = Math.max(delay, error.retryAfter * 1000);
+      }
+      console.error(`Retrying ${error.code} (attempt ${attempt + 1}/${retries}) in ${delay}ms`);
+      await sleep(delay);
+    }
+  }
+}
+
+export function requestJSON(url, options = {}) {
+  return request(url, { ...options, responseType: 'json' });
+}
@@ -0,0 +1,564 @@
+/**
+ * Country reference table.
+ *
+ * ISO 3166 codes, the World Bank's short name and common alternative names for
+ * every World Bank economy, used to resolve user-supplied country filters to
+ * the names WDS uses. Each economy also carries its World Bank region, income
+ * group and lending category (FY2025 classification), so region and income
+ * filters can be expanded to the countries they cover.
+ */
+
+import { invalidArgument } from './errors.js';
+
+// [ISO3, ISO2, name, ...aliases]
+const COUNTRY_ROWS = [
+  ['AFG', 'AF', 'Afghanistan'],
+  ['ALB', 'AL', 'Albania'],
+  ['DZA', 'DZ', 'Algeria'],
+  ['ASM', 'AS', 'American Samoa'],
+  ['AND', 'AD', 'Andorra'],
+  ['AGO', 'AO', 'Angola'],
+  ['ATG', 'AG', 'Antigua and Barbuda'],
+  ['ARG', 'AR', 'Argentina'],
+  ['ARM', 'AM', 'Armenia'],
+  ['ABW', 'AW', 'Aruba'],
+  ['AUS', 'AU', 'Australia'],
+  ['AUT', 'AT', 'Austria'],
+  ['AZE', 'AZ', 'Azerbaijan'],
+  ['BHS', 'BS', 'Bahamas, The', 'Bahamas', 'The Bahamas'],
+  ['BHR', 'BH', 'Bahrain'],
+  ['BGD', 'BD', 'Bangladesh'],
+  ['BRB', 'BB', 'Barbados'],
+  ['BLR', 'BY', 'Belarus'],
+  ['BEL', 'BE', 'Belgium'],
+  ['BLZ', 'BZ', 'Belize'],
+  ['BEN', 'BJ', 'Benin'],
+  ['BMU', 'BM', 'Bermuda'],
+  ['BTN', 'BT', 'Bhutan'],
+  ['BOL', 'BO', 'Bolivia', 'Plurinational State of Bolivia'],
+  ['BIH', 'BA', 'Bosnia and Herzegovina', 'Bosnia-Herzegovina', 'Bosnia'],
+  ['BWA', 'BW', 'Botswana'],
+  ['BRA', 'BR', 'Brazil', 'Brasil'],
+  ['VGB', 'VG', 'British Virgin Islands'],
+  ['BRN', 'BN', 'Brunei Darussalam', 'Brunei'],
+  ['BGR', 'BG', 'Bulgaria'],
+  ['BFA', 'BF', 'Burkina Faso'],
+  ['BDI', 'BI', 'Burundi'],
+  ['CPV', 'CV', 'Cabo Verde', 'Cape Verde'],
+  ['KHM', 'KH', 'Cambodia', 'Kampuchea'],
+  ['CMR', 'CM', 'Cameroon', 'Cameroun'],
+  ['CAN', 'CA', 'Canada'],
+  ['CYM', 'KY', 'Cayman Islands'],
+  ['CAF', 'CF', 'Central African Republic'],
+  ['TCD', 'TD', 'Chad', 'Tchad'],
+  ['CHI', 'JG', 'Channel Islands'],
+  ['CHL', 'CL', 'Chile'],
+  ['CHN', 'CN', 'China', "People's Republic of China", 'PRC'],
+  ['COL', 'CO', 'Colombia'],
+  ['COM', 'KM', 'Comoros'],
+  ['COD', 'CD', 'Congo, Democratic Republic of', 'Congo, Dem. Rep.', 'Democratic Republic of the Congo', 'DRC', 'DR Congo', 'Zaire'],
+  ['COG', 'CG', 'Congo, Republic of', 'Congo, Rep.', 'Republic of the Congo', 'Congo-Brazzaville'],
+  ['CRI', 'CR', 'Costa Rica'],
+  ['CIV', 'CI', "Cote d'Ivoire", "Côte d'Ivoire", 'Ivory Coast'],
+  ['HRV', 'HR', 'Croatia'],
+  ['CUB', 'CU', 'Cuba'],
+  ['CUW', 'CW', 'Curacao', 'Curaçao'],
+  ['CYP', 'CY', 'Cyprus'],
+  ['CZE', 'CZ', 'Czechia', 'Czech Republic'],
+  ['DNK', 'DK', 'Denmark'],
+  ['DJI', 'DJ', 'Djibouti'],
+  ['DMA', 'DM', 'Dominica'],
+  ['DOM', 'DO', 'Dominican Republic'],
+  ['ECU', 'EC', 'Ecuador'],
+  ['EGY', 'EG', 'Egypt, Arab Republic of', 'Egypt, Arab Rep.', 'Egypt', 'Arab Republic of Egypt'],
+  ['SLV', 'SV', 'El Salvador'],
+  ['GNQ', 'GQ', 'Equatorial Guinea'],
+  ['ERI', 'ER', 'Eritrea'],
+  ['EST', 'EE', 'Estonia'],
+  ['SWZ', 'SZ', 'Eswatini', 'Swaziland', 'Kingdom of Eswatini'],
+  ['ETH', 'ET', 'Ethiopia'],
+  ['FRO', 'FO', 'Faroe Islands'],
+  ['FJI', 'FJ', 'Fiji'],
+  ['FIN', 'FI', 'Finland'],
+  ['FRA', 'FR', 'France'],
+  ['PYF', 'PF', 'French Polynesia'],
+  ['GAB', 'GA', 'Gabon', 'Gabonese Republic'],
+  ['GMB', 'GM', 'Gambia, The', 'Gambia', 'The Gambia'],
+  ['GEO', 'GE', 'Georgia'],
+  ['DEU', 'DE', 'Germany', 'Deutschland'],
+  ['GHA', 'GH', 'Ghana'],
+  ['GIB', 'GI', 'Gibraltar'],
+  ['GRC', 'GR', 'Greece'],
+  ['GRL', 'GL', 'Greenland'],
+  ['GRD', 'GD', 'Grenada'],
+  ['GUM', 'GU', 'Guam'],
+  ['GTM', 'GT', 'Guatemala'],
+  ['GIN', 'GN', 'Guinea'],
+  ['GNB', 'GW', 'Guinea-Bissau'],
+  ['GUY', 'GY', 'Guyana'],
+  ['HTI', 'HT', 'Haiti', 'Haïti'],
+  ['HND', 'HN', 'Honduras'],
+  ['HKG', 'HK', 'Hong Kong SAR, China', 'Hong Kong'],
+  ['HUN', 'HU', 'Hungary'],
+  ['ISL', 'IS', 'Iceland'],
+  ['IND', 'IN', 'India'],
+  ['IDN', 'ID', 'Indonesia'],
+  ['IRN', 'IR', 'Iran, Islamic Republic of', 'Iran, Islamic Rep.', 'Iran', 'Islamic Republic of Iran'],
+  ['IRQ', 'IQ', 'Iraq'],
+  ['IRL', 'IE', 'Ireland'],
+  ['IMN', 'IM', 'Isle of Man'],
+  ['ISR', 'IL', 'Israel'],
+  ['ITA', 'IT', 'Italy'],
+  ['JAM', 'JM', 'Jamaica'],
+  ['JPN', 'JP', 'Japan'],
+  ['JOR', 'JO', 'Jordan'],
+  ['KAZ', 'KZ', 'Kazakhstan'],
+  ['KEN', 'KE', 'Kenya'],
+  ['KIR', 'KI', 'Kiribati'],
+  ['PRK', 'KP', "Korea, Democratic People's Republic of", "Korea, Dem. People's Rep.", 'North Korea', 'DPRK'],
+  ['KOR', 'KR', 'Korea, Republic of', 'Korea, Rep.', 'South Korea', 'Republic of Korea', 'Korea'],
+  ['XKX', 'XK', 'Kosovo'],
+  ['KWT', 'KW', 'Kuwait'],
+  ['KGZ', 'KG', 'Kyrgyz Republic', 'Kyrgyzstan'],
+  ['LAO', 'LA', "Lao People's Democratic Republic", 'Lao PDR', 'Laos'],
+  ['LVA', 'LV', 'Latvia'],
+  ['LBN', 'LB', 'Lebanon'],
+  ['LSO', 'LS', 'Lesotho'],
+  ['LBR', 'LR', 'Liberia'],
+  ['LBY', 'LY', 'Libya'],
+  ['LIE', 'LI', 'Liechtenstein'],
+  ['LTU', 'LT', 'Lithuania'],
+  ['LUX', 'LU', 'Luxembourg'],
+  ['MAC', 'MO', 'Macao SAR, China', 'Macao', 'Macau'],
+  ['MDG', 'MG', 'Madagascar'],
+  ['MWI', 'MW', 'Malawi'],
+  ['MYS', 'MY', 'Malaysia'],
+  ['MDV', 'MV', 'Maldives'],
+  ['MLI', 'ML', 'Mali'],
+  ['MLT', 'MT', 'Malta'],
+  ['MHL', 'MH', 'Marshall Islands'],
+  ['MRT', 'MR', 'Mauritania'],
+  ['MUS', 'MU', 'Mauritius'],
+  ['MEX', 'MX', 'Mexico', 'México'],
+  ['FSM', 'FM', 'Micronesia, Federated States of', 'Micronesia, Fed. Sts.', 'Micronesia'],
+  ['MDA', 'MD', 'Moldova', 'Republic of Moldova'],
+  ['MCO', 'MC', 'Monaco'],
+  ['MNG', 'MN', 'Mongolia'],
+  ['MNE', 'ME', 'Montenegro'],
+  ['MAR', 'MA', 'Morocco', 'Maroc'],
+  ['MOZ', 'MZ', 'Mozambique', 'Moçambique'],
+  ['MMR', 'MM', 'Myanmar', 'Burma'],
+  ['NAM', 'NA', 'Namibia'],
+  ['NRU', 'NR', 'Nauru'],
+  ['NPL', 'NP', 'Nepal'],
+  ['NLD', 'NL', 'Netherlands', 'Holland'],
+  ['NCL', 'NC', 'New Caledonia'],
+  ['NZL', 'NZ', 'New Zealand'],
+  ['NIC', 'NI', 'Nicaragua'],
+  ['NER', 'NE', 'Niger'],
+  ['NGA', 'NG', 'Nigeria'],
+  ['MKD', 'MK', 'North Macedonia', 'Macedonia', 'Former Yugoslav Republic of Macedonia', 'FYR Macedonia'],
+  ['MNP', 'MP', 'Northern Mariana Islands'],
+  ['NOR', 'NO', 'Norway'],
+  ['OMN', 'OM', 'Oman'],
+  ['PAK', 'PK', 'Pakistan'],
+  ['PLW', 'PW', 'Palau'],
+  ['PAN', 'PA', 'Panama', 'Panamá'],
+  ['PNG', 'PG', 'Papua New Guinea'],
+  ['PRY', 'PY', 'Paraguay'],
+  ['PER', 'PE', 'Peru', 'Perú'],
+  ['PHL', 'PH', 'Philippines'],
+  ['POL', 'PL', 'Poland'],
+  ['PRT', 'PT', 'Portugal'],
+  ['PRI', 'PR', 'Puerto Rico'],
+  ['QAT', 'QA', 'Qatar'],
+  ['ROU', 'RO', 'Romania'],
+  ['RUS', 'RU', 'Russian Federation', 'Russia'],
+  ['RWA', 'RW', 'Rwanda'],
+  ['WSM', 'WS', 'Samoa'],
+  ['SMR', 'SM', 'San Marino'],
+  ['STP', 'ST', 'Sao Tome and Principe', 'São Tomé and Príncipe'],
+  ['SAU', 'SA', 'Saudi Arabia'],
+  ['SEN', 'SN', 'Senegal', 'Sénégal'],
+  ['SRB', 'RS', 'Serbia'],
+  ['SYC', 'SC', 'Seychelles'],
+  ['SLE', 'SL', 'Sierra Leone'],
+  ['SGP', 'SG', 'Singapore'],
+  ['SXM', 'SX', 'Sint Maarten (Dutch part)', 'Sint Maarten'],
+  ['SVK', 'SK', 'Slovak Republic', 'Slovakia'],
+  ['SVN', 'SI', 'Slovenia'],
+  ['SLB', 'SB', 'Solomon Islands'],
+  ['SOM', 'SO', 'Somalia', 'Federal Republic of Somalia'],
+  ['ZAF', 'ZA', 'South Africa'],
+  ['SSD', 'SS', 'South Sudan'],
+  ['ESP', 'ES', 'Spain', 'España'],
+  ['LKA', 'LK', 'Sri Lanka'],
+  ['KNA', 'KN', 'St. Kitts and Nevis', 'Saint Kitts and Nevis'],
+  ['LCA', 'LC', 'St. Lucia', 'Saint Lucia'],
+  ['MAF', 'MF', 'St. Martin (French part)', 'Saint Martin'],
+  ['VCT', 'VC', 'St. Vincent and the Grenadines', 'Saint Vincent and the Grenadines'],
+  ['SDN', 'SD', 'Sudan'],
+  ['SUR', 'SR', 'Suriname'],
+  ['SWE', 'SE', 'Sweden'],
+  ['CHE', 'CH', 'Switzerland'],
+  ['SYR', 'SY', 'Syrian Arab Republic', 'Syria'],
+  ['TJK', 'TJ', 'Tajikistan'],
+  ['TZA', 'TZ', 'Tanzania', 'United Republic of Tanzania'],
+  ['THA', 'TH', 'Thailand'],
+  ['TLS', 'TL', 'Timor-Leste', 'East Timor'],
+  ['TGO', 'TG', 'Togo'],
+  ['TON', 'TO', 'Tonga'],
+  ['TTO', 'TT', 'Trinidad and Tobago'],
+  ['TUN', 'TN', 'Tunisia', 'Tunisie'],
+  ['TUR', 'TR', 'Turkiye', 'Türkiye', 'Turkey'],
+  ['TKM', 'TM', 'Turkmenistan'],
+  ['TCA', 'TC', 'Turks and Caicos Islands'],
+  ['TUV', 'TV', 'Tuvalu'],
+  ['UGA', 'UG', 'Uganda'],
+  ['UKR', 'UA', 'Ukraine'],
+  ['ARE', 'AE', 'United Arab Emirates', 'UAE'],
+  ['GBR', 'GB', 'United Kingdom', 'UK', 'Great Britain', 'Britain'],
+  ['USA', 'US', 'United States', 'United States of America', 'USA', 'America'],
+  ['URY', 'UY', 'Uruguay'],
+  ['UZB', 'UZ', 'Uzbekistan'],
+  ['VUT', 'VU', 'Vanuatu'],
+  ['VEN', 'VE', 'Venezuela, Republica Bolivariana de', 'Venezuela, RB', 'Venezuela', 'Bolivarian Republic of Venezuela'],
+  ['VNM', 'VN', 'Viet Nam', 'Vietnam'],
+  ['VIR', 'VI', 'Virgin Islands (U.S.)', 'US Virgin Islands'],
+  ['PSE', 'PS', 'West Bank and Gaza', 'Palestine', 'Palestinian Territories'],
+  ['YEM', 'YE', 'Yemen, Republic of', 'Yemen, Rep.', 'Yemen'],
+  ['ZMB', 'ZM', 'Zambia'],
+  ['ZWE', 'ZW', 'Zimbabwe']
+];
+
+// Classification groups: code, name, aliases
+export const REGIONS = [
+  ['EAP', 'East Asia & Pacific', 'East Asia and Pacific', 'EAS'],
+  ['ECA', 'Europe & Central Asia', 'Europe and Central Asia', 'ECS'],
+  ['LAC', 'Latin America & Caribbean', 'Latin America and the Caribbean', 'Latin America', 'LCN'],
+  ['MNA', 'Middle East & North Africa', 'Middle East and North Africa', 'MENA', 'MEA'],
+  ['NAC', 'North America'],
+  ['SAR', 'South Asia', 'SAS'],
+  ['SSA', 'Sub-Saharan Africa', 'Africa', 'SSF']
+].map(([code, name, ...aliases]) => ({ code, name, aliases }));
+
+export const INCOME_GROUPS = [
+  ['LIC', 'Low income'],
+  ['LMC', 'Lower middle income', 'Lower-middle income', 'LMIC'],
+  ['UMC', 'Upper middle income', 'Upper-middle income', 'UMIC'],
+  ['HIC', 'High income']
+].map(([code, name, ...aliases]) => ({ code, name, aliases }));
+
+export const LENDING_CATEGORIES = [
+  ['IDA', 'IDA', 'International Development Association'],
+  ['IBRD', 'IBRD', 'International Bank for Reconstruction and Development'],
+  ['Blend', 'Blend', 'IDA/IBRD blend']
+].map(([code, name, ...aliases]) => ({ code, name, aliases }));
+
+// ISO3 -> [region, income group, lending category]; null where the Bank does not classify
+const CLASSIFICATION = {
+  AFG: ['SAR', 'LIC', 'IDA'],
+  ALB: ['ECA', 'UMC', 'IBRD'],
+  DZA: ['MNA', 'UMC', 'IBRD'],
+  ASM: ['EAP', 'HIC', null],
+  AND: ['ECA', 'HIC', null],
+  AGO: ['SSA', 'LMC', 'IBRD'],
+  ATG: ['LAC', 'HIC', 'IBRD'],
+  ARG: ['LAC', 'UMC', 'IBRD'],
+  ARM: ['ECA', 'UMC', 'IBRD'],
+  ABW: ['LAC', 'HIC', null],
+  AUS: ['EAP', 'HIC', null],
+  AUT: ['ECA', 'HIC', null],
+  AZE: ['ECA', 'UMC', 'IBRD'],
+  BHS: ['LAC', 'HIC', 'IBRD'],
+  BHR: ['MNA', 'HIC', null],
+  BGD: ['SAR', 'LMC', 'IDA'],
+  BRB: ['LAC', 'HIC', 'IBRD'],
+  BLR: ['ECA', 'UMC', 'IBRD'],
+  BEL: ['ECA', 'HIC', null],
+  BLZ: ['LAC', 'UMC', 'IBRD'],
+  BEN: ['SSA', 'LMC', 'IDA'],
+  BMU: ['NAC', 'HIC', null],
+  BTN: ['SAR', 'LMC', 'IDA'],
+  BOL: ['LAC', 'LMC', 'IBRD'],
+  BIH: ['ECA', 'UMC', 'IBRD'],
+  BWA: ['SSA', 'UMC', 'IBRD'],
+  BRA: ['LAC', 'UMC', 'IBRD'],
+  VGB: ['LAC', 'HIC', null],
+  BRN: ['EAP', 'HIC', null],
+  BGR: ['ECA', 'HIC', 'IBRD'],
+  BFA: ['SSA', 'LIC', 'IDA'],
+  BDI: ['SSA', 'LIC', 'IDA'],
+  CPV: ['SSA', 'LMC', 'Blend'],
+  KHM: ['EAP', 'LMC', 'IDA'],
+  CMR: ['SSA', 'LMC', 'Blend'],
+  CAN: ['NAC', 'HIC', null],
+  CYM: ['LAC', 'HIC', null],
+  CAF: ['SSA', 'LIC', 'IDA'],
+  TCD: ['SSA', 'LIC', 'IDA'],
+  CHI: ['ECA', 'HIC', null],
+  CHL: ['LAC', 'HIC', 'IBRD'],
+  CHN: ['EAP', 'UMC', 'IBRD'],
+  COL: ['LAC', 'UMC', 'IBRD'],
+  COM: ['SSA', 'LMC', 'IDA'],
+  COD: ['SSA', 'LIC', 'IDA'],
+  COG: ['SSA', 'LMC', 'Blend'],
+  CRI: ['LAC', 'UMC', 'IBRD'],
+  CIV: ['SSA', 'LMC', 'IDA'],
+  HRV: ['ECA', 'HIC', 'IBRD'],
+  CUB: ['LAC', 'UMC', null],
+  CUW: ['LAC', 'HIC', null],
+  CYP: ['ECA', 'HIC', null],
+  CZE: ['ECA', 'HIC', null],
+  DNK: ['ECA', 'HIC', null],
+  DJI: ['MNA', 'LMC', 'IDA'],
+  DMA: ['LAC', 'UMC', 'Blend'],
+  DOM: ['LAC', 'UMC', 'IBRD'],
+  ECU: ['LAC', 'UMC', 'IBRD'],
+  EGY: ['MNA', 'LMC', 'IBRD'],
+  SLV: ['LAC', 'UMC', 'IBRD'],
+  GNQ: ['SSA', 'UMC', 'IBRD'],
+  ERI: ['SSA', 'LIC', 'IDA'],
+  EST: ['ECA', 'HIC', null],
+  SWZ: ['SSA', 'LMC', 'IBRD'],
+  ETH: ['SSA', 'LIC', 'IDA'],
+  FRO: ['ECA', 'HIC', null],
+  FJI: ['EAP', 'UMC', 'Blend'],
+  FIN: ['ECA', 'HIC', null],
+  FRA: ['ECA', 'HIC', null],
+  PYF: ['EAP', 'HIC', null],
+  GAB: ['SSA', 'UMC', 'IBRD'],
+  GMB: ['SSA', 'LIC', 'IDA'],
+  GEO: ['ECA', 'UMC', 'IBRD'],
+  DEU: ['ECA', 'HIC', null],
+  GHA: ['SSA', 'LMC', 'IDA'],
+  GIB: ['ECA', 'HIC', null],
+  GRC: ['ECA', 'HIC', null],
+  GRL: ['ECA', 'HIC', null],
+  GRD: ['LAC', 'UMC', 'Blend'],
+  GUM: ['EAP', 'HIC', null],
+  GTM: ['LAC', 'UMC', 'IBRD'],
+  GIN: ['SSA', 'LMC', 'IDA'],
+  GNB: ['SSA', 'LIC', 'IDA'],
+  GUY: ['LAC', 'UMC', 'IBRD'],
+  HTI: ['LAC', 'LIC', 'IDA'],
+  HND: ['LAC', 'LMC', 'IDA'],
+  HKG: ['EAP', 'HIC', null],
+  HUN: ['ECA', 'HIC', null],
+  ISL: ['ECA', 'HIC', null],
+  IND: ['SAR', 'LMC', 'IBRD'],
+  IDN: ['EAP', 'UMC', 'IBRD'],
+  IRN: ['MNA', 'UMC', 'IBRD'],
+  IRQ: ['MNA', 'UMC', 'IBRD'],
+  IRL: ['ECA', 'HIC', null],
+  IMN: ['ECA', 'HIC', null],
+  ISR: ['MNA', 'HIC', null],
+  ITA: ['ECA', 'HIC', null],
+  JAM: ['LAC', 'UMC', 'IBRD'],
+  JPN: ['EAP', 'HIC', null],
+  JOR: ['MNA', 'LMC', 'IBRD'],
+  KAZ: ['ECA', 'UMC', 'IBRD'],
+  KEN: ['SSA', 'LMC', 'Blend'],
+  KIR: ['EAP', 'LMC', 'IDA'],
+  PRK: ['EAP', 'LIC', null],
+  KOR: ['EAP', 'HIC', null],
+  XKX: ['ECA', 'UMC', 'IDA'],
+  KWT: ['MNA', 'HIC', null],
+  KGZ: ['ECA', 'LMC', 'IDA'],
+  LAO: ['EAP', 'LMC', 'IDA'],
+  LVA: ['ECA', 'HIC', null],
+  LBN: ['MNA', 'LMC', 'IBRD'],
+  LSO: ['SSA', 'LMC', 'IDA'],
+  LBR: ['SSA', 'LIC', 'IDA'],
+  LBY: ['MNA', 'UMC', 'IBRD'],
+  LIE: ['ECA', 'HIC', null],
+  LTU: ['ECA', 'HIC', null],
+  LUX: ['ECA', 'HIC', null],
+  MAC: ['EAP', 'HIC', null],
+  MDG: ['SSA', 'LIC', 'IDA'],
+  MWI: ['SSA', 'LIC', 'IDA'],
+  MYS: ['EAP', 'UMC', 'IBRD'],
+  MDV: ['SAR', 'UMC', 'IDA'],
+  MLI: ['SSA', 'LIC', 'IDA'],
+  MLT: ['MNA', 'HIC', null],
+  MHL: ['EAP', 'UMC', 'IDA'],
+  MRT: ['SSA', 'LMC', 'IDA'],
+  MUS: ['SSA', 'UMC', 'IBRD'],
+  MEX: ['LAC', 'UMC', 'IBRD'],
+  FSM: ['EAP', 'LMC', 'IDA'],
+  MDA: ['ECA', 'UMC', 'IBRD'],
+  MCO: ['ECA', 'HIC', null],
+  MNG: ['EAP', 'UMC', 'IBRD'],
+  MNE: ['ECA', 'UMC', 'IBRD'],
+  MAR: ['MNA', 'LMC', 'IBRD'],
+  MOZ: ['SSA', 'LIC', 'IDA'],
+  MMR: ['EAP', 'LMC', 'IDA'],
+  NAM: ['SSA', 'LMC', 'IBRD'],
+  NRU: ['EAP', 'HIC', 'IDA'],
+  NPL: ['SAR', 'LMC', 'IDA'],
+  NLD: ['ECA', 'HIC', null],
+  NCL: ['EAP', 'HIC', null],
+  NZL: ['EAP', 'HIC', null],
+  NIC: ['LAC', 'LMC', 'IDA'],
+  NER: ['SSA', 'LIC', 'IDA'],
+  NGA: ['SSA', 'LMC', 'Blend'],
+  MKD: ['ECA', 'UMC', 'IBRD'],
+  MNP: ['EAP', 'HIC', null],
+  NOR: ['ECA', 'HIC', null],
+  OMN: ['MNA', 'HIC', null],
+  PAK: ['SAR', 'LMC', 'Blend'],
+  PLW: ['EAP', 'HIC', 'IBRD'],
+  PAN: ['LAC', 'HIC', 'IBRD'],
+  PNG: ['EAP', 'LMC', 'Blend'],
+  PRY: ['LAC', 'UMC', 'IBRD'],
+  PER: ['LAC', 'UMC', 'IBRD'],
+  PHL: ['EAP', 'LMC', 'IBRD'],
+  POL: ['ECA', 'HIC', 'IBRD'],
+  PRT: ['ECA', 'HIC', null],
+  PRI: ['LAC', 'HIC', null],
+  QAT: ['MNA', 'HIC', null],
+  ROU: ['ECA', 'HIC', 'IBRD'],
+  RUS: ['ECA', 'HIC', 'IBRD'],
+  RWA: ['SSA', 'LIC', 'IDA'],
+  WSM: ['EAP', 'LMC', 'IDA'],
+  SMR: ['ECA', 'HIC', null],
+  STP: ['SSA', 'LMC', 'IDA'],
+  SAU: ['MNA', 'HIC', null],
+  SEN: ['SSA', 'LMC', 'IDA'],
+  SRB: ['ECA', 'UMC', 'IBRD'],
+  SYC: ['SSA', 'HIC', 'IBRD'],
+  SLE: ['SSA', 'LIC', 'IDA'],
+  SGP: ['EAP', 'HIC', null],
+  SXM: ['LAC', 'HIC', null],
+  SVK: ['ECA', 'HIC', null],
+  SVN: ['ECA', 'HIC', null],
+  SLB: ['EAP', 'LMC', 'IDA'],
+  SOM: ['SSA', 'LIC', 'IDA'],
+  ZAF: ['SSA', 'UMC', 'IBRD'],
+  SSD: ['SSA', 'LIC', 'IDA'],
+  ESP: ['ECA', 'HIC', null],
+  LKA: ['SAR', 'LMC', 'IBRD'],
+  KNA: ['LAC', 'HIC', 'IBRD'],
+  LCA: ['LAC', 'UMC', 'Blend'],
+  MAF: ['LAC', 'HIC', null],
+  VCT: ['LAC', 'UMC', 'Blend'],
+  SDN: ['SSA', 'LIC', 'IDA'],
+  SUR: ['LAC', 'UMC', 'IBRD'],
+  SWE: ['ECA', 'HIC', null],
+  CHE: ['ECA', 'HIC', null],
+  SYR: ['MNA', 'LIC', 'IDA'],
+  TJK: ['ECA', 'LMC', 'IDA'],
+  TZA: ['SSA', 'LMC', 'IDA'],
+  THA: ['EAP', 'UMC', 'IBRD'],
+  TLS: ['EAP', 'LMC', 'Blend'],
+  TGO: ['SSA', 'LIC', 'IDA'],
+  TON: ['EAP', 'UMC', 'IDA'],
+  TTO: ['LAC', 'HIC', 'IBRD'],
+  TUN: ['MNA', 'LMC', 'IBRD'],
+  TUR: ['ECA', 'UMC', 'IBRD'],
+  TKM: ['ECA', 'UMC', 'IBRD'],
+  TCA: ['LAC', 'HIC', null],
+  TUV: ['EAP', 'UMC', 'IDA'],
+  UGA: ['SSA', 'LIC', 'IDA'],
+  UKR: ['ECA', 'UMC', 'IBRD'],
+  ARE: ['MNA', 'HIC', null],
+  GBR: ['ECA', 'HIC', null],
+  USA: ['NAC', 'HIC', null],
+  URY: ['LAC', 'HIC', 'IBRD'],
+  UZB: ['ECA', 'LMC', 'Blend'],
+  VUT: ['EAP', 'LMC', 'IDA'],
+  VEN: ['LAC', null, 'IBRD'],
+  VNM: ['EAP', 'LMC', 'IBRD'],
+  VIR: ['LAC', 'HIC', null],
+  PSE: ['MNA', 'LMC', null],
+  YEM: ['MNA', 'LIC', 'IDA'],
+  ZMB: ['SSA', 'LMC', 'IDA'],
+  ZWE: ['SSA', 'LMC', 'Blend']
+};
+
+export const COUNTRIES = COUNTRY_ROWS.map(([iso3, iso2, name, ...aliases]) => {
+  const [region, incomeGroup, lendingCategory] = CLASSIFICATION[iso3] || [];
+  return {
+    iso3,
+    iso2,
+    name,
+    aliases,
+    region: region || null,
+    income_group: incomeGroup || null,
+    lending_category: lendingCategory || null
+  };
+});
+
+const byCode = new Map();
+const byName = new Map();
+for (const country of COUNTRIES) {
+  byCode.set(country.iso3, country);
+  byCode.set(country.iso2, country);
+  for (const name of [country.name, ...country.aliases]) {
+    byName.set(name.toLowerCase(), country);
+  }
+}
+
+/**
+ * Find a country by ISO2/ISO3 code (case-insensitive). Codes that are also
+ * common words ("IN", "TO", "AS") still resolve, so callers should only try
+ * codes for short, letter-only input.
+ */
+export function findCountryByCode(code) {
+  return byCode.get(String(code).trim().toUpperCase()) || null;
+}
+
+/** All names a country is known by, canonical name first. */
+export function countryNames(country) {
+  return [country.name, ...country.aliases];
+}
+
+/** Find a country by ISO code, name or alias, as WDS facet values are written. */
+export function findCountry(value) {
+  const text = String(value).trim();
+  return byName.get(text.toLowerCase()) || (/^[a-z]{2,3}$/i.test(text) ? findCountryByCode(text) : null);
+}
+
+export const COUNTRY_GROUPS = {
+  region: REGIONS,
+  income_group: INCOME_GROUPS,
+  lending_category: LENDING_CATEGORIES
+};
+
+/** Group of `kind` named by a code, name or alias (case-insensitive). */
+export function findGroup(kind, value) {
+  const text = String(value).trim().toLowerCase();
+  const group = COUNTRY_GROUPS[kind].find(candidate =>
+    [candidate.code, candidate.name, ...candidate.aliases].some(name => name.toLowerCase() === text));
+  if (!group) {
+    const valid = COUNTRY_GROUPS[kind].map(candidate => candidate.code === candidate.name
+      ? candidate.code
+      : `${candidate.code} (${candidate.name})`);
+    throw invalidArgument(`Unknown ${kind.replace('_', ' ')} "${value}"; use one of: ${valid.join(', ')}`);
+  }
+  return group;
+}
+
+export function groupName(kind, code) {
+  return COUNTRY_GROUPS[kind].find(group => group.code === code)?.name || null;
+}
+
+/**
+ * Countries in the region, income group and lending category filters of
+ * `filters`. Each filter takes one value or an OR-list; different filters
+ * must all match. Returns { countries, groups } with the matched group per
+ * filter, or null when none of the filters is set.
+ */
+export function countriesInGroups(filters = {}) {
+  const groups = {};
+  for (const kind of Object.keys(COUNTRY_GROUPS)) {
+    const value = filters[kind];
+    if (value === undefined || value === null || value === '') continue;
+    groups[kind] = (Array.isArray(value) ? value : [value]).map(item => findGroup(kind, item));
+  }
+  if (Object.keys(groups).length === 0) return null;
+
+  const countries = COUNTRIES.filter(country =>
+    Object.entries(groups).every(([kind, matched]) => matched.some(group => group.code === country[kind])));
+  return { countries, groups };
+}
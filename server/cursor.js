@@ -0,0 +1,62 @@
+/**
+ * Opaque pagination cursors for wb_search_documents.
+ *
+ * A cursor is base64url-encoded JSON holding the search arguments, the offset
+ * of the next result, the date range of the first page (so relative periods
+ * such as "last 6 months" stay put while paging), the offsets earlier pages
+ * started at (so prev_cursor returns to the page actually shown, even when
+ * repeats were skipped) and the IDs at the end of the previous page. When new
+ * documents push results down between calls, those IDs show up again at the
+ * start of the next page and are skipped.
+ * Cursors are not signed: a decoded cursor is validated like any other
+ * arguments.
+ */
+
+import { invalidArgument } from './errors.js';
+
+const CURSOR_VERSION = 1;
+// IDs from the end of a page carried over to skip repeats on the next one
+export const CURSOR_OVERLAP = 10;
+// Start offsets of earlier pages kept for prev_cursor
+export const CURSOR_HISTORY = 50;
+
+const INVALID_CURSOR = 'cursor is not valid; pass next_cursor or prev_cursor from an earlier wb_search_documents result unchanged';
+
+/** Encode `{ search, offset, date_range, seen, history }` as an opaque cursor. */
+export function encodeCursor({ search, offset, date_range = null, seen = [], history = [] }) {
+  const state = {
+    v: CURSOR_VERSION,
+    search,
+    offset,
+    date_range,
+    seen: seen.slice(-CURSOR_OVERLAP),
+    history: history.slice(-CURSOR_HISTORY)
+  };
+  return Buffer.from(JSON.stringify(state)).toString('base64url');
+}
+
+function isOffset(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+/** The state held in `cursor`; malformed or outdated cursors are rejected. */
+export function decodeCursor(cursor) {
+  let state;
+  try {
+    state = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    throw invalidArgument(INVALID_CURSOR);
+  }
+  if (!state || state.v !== CURSOR_VERSION || !state.search || typeof state.search !== 'object'
+    || !isOffset(state.offset) || !Array.isArray(state.seen)
+    || (state.history !== undefined && !(Array.isArray(state.history) && state.history.every(isOffset)))) {
+    throw invalidArgument(INVALID_CURSOR);
+  }
+  return {
+    search: state.search,
+    offset: state.offset,
+    date_range: state.date_range ?? null,
+    seen: state.seen.map(String),
+    history: state.history ?? []
+  };
+}
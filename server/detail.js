@@ -0,0 +1,161 @@
+/**
+ * Detail view of a single WDS document.
+ *
+ * Groups the returned metadata into labelled sections, lists every rendition
+ * (landing page, PDF, plain text, other-language versions) and builds the
+ * queries for documents that share a project ID or report number. Fields not
+ * named in a section are still shown, under "Other", so nothing the API
+ * returns is dropped from the text view.
+ */
+
+import { fieldText } from './citation.js';
+import { FIELD_CATALOG } from './fields.js';
+
+export const ABSTRACT_PREVIEW_CHARS = 500;
+export const DEFAULT_RELATED_LIMIT = 10;
+
+// Section title -> [field, label]
+export const DETAIL_SECTIONS = [
+  ['Identification', [
+    ['id', 'Document ID'],
+    ['repnb', 'Report number'],
+    ['projectid', 'Project ID'],
+    ['guid', 'GUID'],
+    ['volnb', 'Volume'],
+    ['totvolnb', 'Total volumes'],
+    ['colti', 'Series']
+  ]],
+  ['Publication', [
+    ['docty', 'Document type'],
+    ['majdocty', 'Major type'],
+    ['docdt', 'Document date'],
+    ['disclosure_date', 'Disclosure date'],
+    ['disclstat', 'Disclosure status'],
+    ['datestored', 'Date stored'],
+    ['authors', 'Authors'],
+    ['lang', 'Language'],
+    ['available_in', 'Available in'],
+    ['filesize', 'File size']
+  ]],
+  ['Coverage', [
+    ['count', 'Country'],
+    ['admreg', 'Region'],
+    ['majtheme', 'Major theme'],
+    ['theme', 'Theme'],
+    ['sectr', 'Sector'],
+    ['teratopic', 'Topic'],
+    ['lndinstr', 'Lending instrument'],
+    ['prdln', 'Product line'],
+    ['envcat', 'Environmental category']
+  ]]
+];
+
+// Shown elsewhere in the view, or only useful as lookup keys
+const OMITTED_FIELDS = new Set(['display_title', 'docna', 'abstracts', 'citation', 'project', 'url', 'pdfurl', 'txturl']);
+const DATE_FIELDS = new Set(['docdt', 'disclosure_date', 'datestored']);
+
+// Rendition fields in display order
+const RENDITION_FIELDS = [
+  ['url', 'Document page'],
+  ['pdfurl', 'PDF'],
+  ['txturl', 'TXT']
+];
+
+function displayValue(name, value) {
+  const text = fieldText(value);
+  if (!text) return '';
+  if (DATE_FIELDS.has(name)) {
+    const date = new Date(text);
+    return Number.isNaN(date.getTime()) ? text : date.toISOString().split('T')[0];
+  }
+  // WDS repeats region names ("Africa,Africa") when a document lists several countries
+  if (name === 'admreg') {
+    return [...new Set(text.split(',').map(item => item.trim()))].join(', ');
+  }
+  return text;
+}
+
+/**
+ * Labelled metadata sections for a document: [{ title, fields: [{ name,
+ * label, value }] }]. Empty fields are left out, and so are empty sections.
+ */
+export function documentSections(doc) {
+  const named = new Set(DETAIL_SECTIONS.flatMap(([, fields]) => fields.map(([name]) => name)));
+  const other = Object.keys(doc)
+    .filter(name => !named.has(name) && !OMITTED_FIELDS.has(name) && !name.endsWith('url'))
+    .sort()
+    .map(name => [name, FIELD_CATALOG.find(field => field.name === name)?.label || name]);
+
+  return [...DETAIL_SECTIONS, ['Other', other]]
+    .map(([title, fields]) => ({
+      title,
+      fields: fields
+        .map(([name, label]) => ({ name, label, value: displayValue(name, doc[name]) }))
+        .filter(field => field.value)
+    }))
+    .filter(section => section.fields.length > 0);
+}
+
+/**
+ * Abstract text, cut at a word boundary after `ABSTRACT_PREVIEW_CHARS`
+ * unless `full` is set. Returns { text, truncated, length } or null.
+ */
+export function documentAbstract(doc, full = false) {
+  const text = fieldText(doc.abstracts).replace(/\s+/g, ' ');
+  if (!text) return null;
+  if (full || text.length <= ABSTRACT_PREVIEW_CHARS) {
+    return { text, truncated: false, length: text.length };
+  }
+  const cut = text.lastIndexOf(' ', ABSTRACT_PREVIEW_CHARS);
+  const preview = text.slice(0, cut > ABSTRACT_PREVIEW_CHARS / 2 ? cut : ABSTRACT_PREVIEW_CHARS).replace(/[\s,;:.]+$/, '');
+  return { text: `${preview}...`, truncated: true, length: text.length };
+}
+
+/**
+ * Renditions of a document: its own URLs, plus those of `translations`
+ * (the same report in other languages). Returns [{ format, language, url,
+ * document_id }].
+ */
+export function documentRenditions(doc, translations = []) {
+  const renditions = [];
+  for (const version of [doc, ...translations]) {
+    const language = fieldText(version.lang) || null;
+    const known = new Set(RENDITION_FIELDS.map(([name]) => name));
+    const fields = [
+      ...RENDITION_FIELDS,
+      // Any other *url field the API returns, labelled by its file extension
+      ...Object.keys(version)
+        .filter(name => name.endsWith('url') && !known.has(name))
+        .map(name => [name, null])
+    ];
+    for (const [name, format] of fields) {
+      const url = fieldText(version[name]);
+      if (!/^https?:\/\//i.test(url) || renditions.some(rendition => rendition.url === url)) continue;
+      const extension = /\.([a-z0-9]{2,5})(?:[?#]|$)/i.exec(url)?.[1];
+      renditions.push({
+        format: format || (extension ? extension.toUpperCase() : name),
+        language,
+        url,
+        document_id: String(version.id)
+      });
+    }
+  }
+  return renditions;
+}
+
+/**
+ * Relations a document can have to others: [{ relation, value, qterm }]
+ * for its project ID and report number, when it has them.
+ */
+export function relatedQueries(doc) {
+  const relations = [];
+  const projectId = fieldText(doc.projectid);
+  const reportNumber = fieldText(doc.repnb);
+  if (projectId) {
+    relations.push({ relation: 'project', value: projectId, qterm: `projectid:"${projectId.replace(/"/g, '')}"` });
+  }
+  if (reportNumber) {
+    relations.push({ relation: 'report_number', value: reportNumber, qterm: `repnb:"${reportNumber.replace(/"/g, '')}"` });
+  }
+  return relations;
+}
@@ -0,0 +1,85 @@
+/**
+ * Typed errors for the World Bank MCP server.
+ *
+ * Every failure surfaced to a client carries a machine-readable code and a
+ * retryable flag, so the model can tell a transient upstream problem from a
+ * mistake in its own arguments.
+ */
+
+export const ErrorCodes = {
+  TIMEOUT: 'timeout',
+  RATE_LIMITED: 'rate_limited',
+  UPSTREAM_ERROR: 'upstream_error',
+  NETWORK_ERROR: 'network_error',
+  BAD_REQUEST: 'bad_request',
+  NOT_FOUND: 'not_found',
+  MALFORMED_RESPONSE: 'malformed_response',
+  INVALID_ARGUMENT: 'invalid_argument',
+  FIXTURE_MISSING: 'fixture_missing',
+  INTERNAL_ERROR: 'internal_error'
+};
+
+const RETRYABLE_CODES = new Set([
+  ErrorCodes.TIMEOUT,
+  ErrorCodes.RATE_LIMITED,
+  ErrorCodes.UPSTREAM_ERROR,
+  ErrorCodes.NETWORK_ERROR
+]);
+
+export class WorldBankError extends Error {
+  constructor(code, message, details = {}) {
+    super(message, details.cause ? { cause: details.cause } : undefined);
+    this.name = 'WorldBankError';
+    this.code = code;
+    this.retryable = RETRYABLE_CODES.has(code);
+    this.status = details.status ?? null;
+    this.retryAfter = details.retryAfter ?? null;
+    this.attempts = details.attempts ?? null;
+    this.url = details.url ?? null;
+  }
+
+  toJSON() {
+    return {
+      code: this.code,
+      message: this.message,
+      retryable: this.retryable,
+      status: this.status,
+      retry_after_seconds: this.retryAfter,
+      attempts: this.attempts
+    };
+  }
+}
+
+export function invalidArgument(message) {
+  return new WorldBankError(ErrorCodes.INVALID_ARGUMENT, message);
+}
+
+export function classifyStatus(status) {
+  if (status === 429) return ErrorCodes.RATE_LIMITED;
+  if (status === 404) return ErrorCodes.NOT_FOUND;
+  if (status >= 500) return ErrorCodes.UPSTREAM_ERROR;
+  return ErrorCodes.BAD_REQUEST;
+}
+
+// Convert any thrown value into an MCP tool error result
+export function toToolError(error) {
+  const typed = error instanceof WorldBankError
+    ? error
+    : new WorldBankError(ErrorCodes.INTERNAL_ERROR, error?.message || 'Internal server error');
+  const hint = typed.retryable
+    ? typed.retryAfter
+      ? `Retrying after ${typed.retryAfter}s may succeed.`
+      : 'This is likely transient; retrying may succeed.'
+    : 'Retrying with the same arguments will not help.';
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: `Error [${typed.code}]: ${typed.message}\n${hint}`,
+      },
+    ],
+    structuredContent: { error: typed.toJSON() },
+    isError: true,
+  };
+}
@@ -0,0 +1,84 @@
+/**
+ * File export for World Bank search results.
+ *
+ * Serializes documents as CSV, JSONL, BibTeX or RIS and writes them to the
+ * configured export directory without overwriting existing files.
+ */
+
+import { mkdir, writeFile } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { documentDate, fieldText, toBibTeX, toRIS } from './citation.js';
+
+export const EXPORT_DIR = process.env.WB_EXPORT_DIR || path.join(os.homedir(), 'Downloads');
+export const MAX_EXPORT_ROWS = Number(process.env.WB_EXPORT_MAX_ROWS) || 10000;
+
+export const EXPORT_FORMATS = {
+  csv: { extension: 'csv', serialize: toCSV },
+  jsonl: { extension: 'jsonl', serialize: toJSONL },
+  bibtex: { extension: 'bib', serialize: documents => documents.map(toBibTeX).join('\n\n') + '\n' },
+  ris: { extension: 'ris', serialize: documents => documents.map(toRIS).join('\n\n') + '\n' }
+};
+
+const CSV_COLUMNS = [
+  ['id', doc => doc.id],
+  ['title', doc => fieldText(doc.display_title)],
+  ['document_type', doc => fieldText(doc.docty)],
+  ['date', doc => documentDate(doc) || ''],
+  ['country', doc => fieldText(doc.count)],
+  ['language', doc => fieldText(doc.lang)],
+  ['report_number', doc => fieldText(doc.repnb)],
+  ['project_id', doc => fieldText(doc.projectid)],
+  ['authors', doc => fieldText(doc.authors)],
+  ['url', doc => doc.url || ''],
+  ['pdf_url', doc => doc.pdfurl || ''],
+  ['abstract', doc => fieldText(doc.abstracts)]
+];
+
+// Spreadsheet apps run cells starting with these as formulas; titles and
+// abstracts come from outside, so such cells are prefixed with a quote
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  let text = String(value ?? '');
+  if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCSV(documents) {
+  const header = CSV_COLUMNS.map(([name]) => name).join(',');
+  const rows = documents.map(doc => CSV_COLUMNS.map(([, read]) => csvCell(read(doc))).join(','));
+  // CRLF line endings and a BOM so spreadsheet apps detect UTF-8
+  return '\uFEFF' + [header, ...rows].join('\r\n') + '\r\n';
+}
+
+function toJSONL(documents) {
+  return documents.map(doc => JSON.stringify(doc)).join('\n') + '\n';
+}
+
+function safeBaseName(filename) {
+  const base = path.basename(filename).replace(/\.[^.]+$/, '');
+  return base.replace(/[^\w.-]+/g, '_').replace(/^[._]+/, '').slice(0, 100);
+}
+
+/**
+ * Write `documents` to the export directory. Returns the absolute path.
+ * An existing file is never overwritten; a numeric suffix is added instead.
+ */
+export async function writeExport(documents, format, filename) {
+  const { extension, serialize } = EXPORT_FORMATS[format];
+  const base = (filename && safeBaseName(filename)) || `world-bank-export-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+
+  await mkdir(EXPORT_DIR, { recursive: true });
+  const content = serialize(documents);
+
+  for (let suffix = 0; ; suffix++) {
+    const filePath = path.join(EXPORT_DIR, `${base}${suffix ? `-${suffix}` : ''}.${extension}`);
+    try {
+      await writeFile(filePath, content, { flag: 'wx' });
+      return filePath;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+  }
+}
@@ -0,0 +1,91 @@
+/**
+ * Catalog of WDS document fields.
+ *
+ * Lists the fields the API returns (for `fields`/fl), which of them can be
+ * sorted on, and the *_exact facet that counts and filters by each one, so
+ * tool arguments can be checked before a misspelled name silently returns
+ * nothing.
+ */
+
+import { similarity } from './resolver.js';
+
+const SUGGESTION_THRESHOLD = 0.5;
+
+// name, label, type, facet (*_exact field, if any), filter argument, sortable, description
+export const FIELD_CATALOG = [
+  ['id', 'Document ID', 'string', null, null, false, 'Numeric document identifier'],
+  ['display_title', 'Title', 'text', null, null, false, 'Document title as displayed on documents.worldbank.org'],
+  ['docna', 'Document name', 'text', null, null, true, 'Formal document name'],
+  ['docdt', 'Document date', 'date', null, null, true, 'Date of the document (ISO 8601)'],
+  ['disclosure_date', 'Disclosure date', 'date', null, null, false, 'Date the document was made public'],
+  ['datestored', 'Date stored', 'date', null, null, false, 'Date the document was added to WDS'],
+  ['disclstat', 'Disclosure status', 'text', null, null, false, 'Disclosure status, e.g. "Disclosed"'],
+  ['docty', 'Document type', 'text', 'docty_exact', 'document_type', true, 'Document type, e.g. "Procurement Plan"'],
+  ['majdocty', 'Major document type', 'text', 'majdocty_exact', null, false, 'Document type group, e.g. "Project Documents"'],
+  ['count', 'Country', 'text', 'count_exact', 'country', false, 'Country or economy the document covers'],
+  ['admreg', 'Region', 'text', 'admreg_exact', null, false, 'World Bank administrative region'],
+  ['lang', 'Language', 'text', 'lang_exact', 'language', false, 'Document language'],
+  ['available_in', 'Available in', 'text', null, null, false, 'Languages the document is available in'],
+  ['majtheme', 'Major theme', 'text', 'majtheme_exact', 'theme', false, 'Major theme classification'],
+  ['theme', 'Theme', 'text', null, null, false, 'Detailed themes'],
+  ['sectr', 'Sector', 'text', 'sectr_exact', 'sector', false, 'Economic sector'],
+  ['teratopic', 'Topic', 'text', 'teratopic_exact', null, false, 'Topic classification'],
+  ['lndinstr', 'Lending instrument', 'text', 'lndinstr_exact', null, false, 'Lending instrument of the related project'],
+  ['envcat', 'Environmental category', 'text', 'envcat_exact', null, false, 'Environmental assessment category (A, B, C, FI)'],
+  ['prdln', 'Product line', 'text', 'prdln_exact', null, false, 'Product line of the related project'],
+  ['repnb', 'Report number', 'string', null, null, true, 'Report number, e.g. "WPS1234"'],
+  ['projectid', 'Project ID', 'string', null, null, false, 'Related project ID, e.g. "P123456"'],
+  ['authors', 'Authors', 'list', null, null, false, 'Personal authors'],
+  ['keywd', 'Keywords', 'list', null, null, false, 'Subject keywords'],
+  ['abstracts', 'Abstract', 'text', null, null, false, 'Document abstract'],
+  ['colti', 'Series', 'text', null, null, false, 'Series or collection title with number'],
+  ['volnb', 'Volume', 'string', null, null, false, 'Volume number'],
+  ['totvolnb', 'Total volumes', 'string', null, null, false, 'Number of volumes in the set'],
+  ['url', 'Document page', 'url', null, null, false, 'Landing page on documents.worldbank.org'],
+  ['pdfurl', 'PDF', 'url', null, null, false, 'PDF rendition'],
+  ['txturl', 'Text', 'url', null, null, false, 'Plain-text rendition'],
+  ['filesize', 'File size', 'string', null, null, false, 'Size of the main rendition'],
+  ['guid', 'GUID', 'string', null, null, false, 'Global document identifier']
+].map(([name, label, type, facet, filter, sortable, description]) => ({
+  name, label, type, facet, filter, sortable, facetable: facet !== null, description
+}));
+
+export const FIELD_NAMES = FIELD_CATALOG.map(field => field.name);
+export const SORTABLE_FIELDS = FIELD_CATALOG.filter(field => field.sortable).map(field => field.name);
+export const FACET_FIELDS = FIELD_CATALOG.filter(field => field.facetable).map(field => field.facet);
+
+// The value each kind of argument expects from a catalog entry
+const KINDS = {
+  field: { values: FIELD_NAMES, pick: field => field.name },
+  sortable: { values: SORTABLE_FIELDS, pick: field => field.sortable ? field.name : null },
+  facet: { values: FACET_FIELDS, pick: field => field.facet }
+};
+
+/**
+ * Closest catalog names for a misspelled one. Labels and filter names count
+ * too, so "country" suggests "count_exact" for a facet.
+ */
+export function suggestFields(input, kind = 'field') {
+  const { pick } = KINDS[kind];
+  return FIELD_CATALOG
+    .filter(field => pick(field))
+    .map(field => ({
+      value: pick(field),
+      score: Math.max(...[field.name, field.facet, field.filter, field.label]
+        .filter(Boolean)
+        .map(candidate => similarity(input, candidate)))
+    }))
+    .filter(candidate => candidate.score >= SUGGESTION_THRESHOLD)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, 3)
+    .map(candidate => candidate.value);
+}
+
+export function unknownFieldMessage(input, kind = 'field') {
+  const noun = { field: 'field', sortable: 'sort field', facet: 'facet' }[kind];
+  const suggestions = suggestFields(String(input), kind);
+  const hint = suggestions.length > 0
+    ? `did you mean ${suggestions.map(name => `"${name}"`).join(', ')}?`
+    : `valid values: ${KINDS[kind].values.join(', ')}`;
+  return `unknown ${noun} "${input}"; ${hint} (see wb_describe_fields)`;
+}
@@ -0,0 +1,82 @@
+/**
+ * Record/replay fixtures for World Bank API requests.
+ *
+ * In record mode every API response, and every document text or PDF download,
+ * is saved to the fixture directory; in replay mode responses are served only
+ * from there, so evaluation suites and demos get the same answers with no
+ * network. API fixtures are keyed on the normalized request (see cacheKey), so
+ * parameter order does not matter; downloads are keyed on their URL.
+ */
+
+import { createHash } from 'node:crypto';
+import { existsSync } from 'node:fs';
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+export const FIXTURE_MODES = ['off', 'record', 'replay'];
+export const MISS_POLICIES = ['fail', 'live'];
+
+const settings = {
+  mode: 'off',
+  dir: '',
+  miss: 'fail'
+};
+// Numbers temporary files so concurrent saves of one fixture do not share one
+let writes = 0;
+
+/**
+ * Set the fixture mode, directory and replay miss policy. Called once at
+ * startup from the parsed CLI flags and environment; throws on bad settings.
+ */
+export function configureFixtures({ mode = 'off', dir = '', miss = 'fail' } = {}) {
+  if (!FIXTURE_MODES.includes(mode)) {
+    throw new Error(`Unknown fixture mode: ${mode} (expected ${FIXTURE_MODES.join(', ')})`);
+  }
+  if (!MISS_POLICIES.includes(miss)) {
+    throw new Error(`Unknown fixture miss policy: ${miss} (expected ${MISS_POLICIES.join(' or ')})`);
+  }
+  if (mode !== 'off' && !dir) {
+    throw new Error(`Fixture ${mode} mode needs a directory (--fixtures-dir or WB_FIXTURES_DIR)`);
+  }
+  if (mode === 'replay' && !existsSync(dir)) {
+    throw new Error(`Fixture directory not found: ${dir}`);
+  }
+  Object.assign(settings, { mode, dir: dir ? path.resolve(dir) : '', miss });
+}
+
+export function fixtureSettings() {
+  return { ...settings };
+}
+
+function fixturePath(key) {
+  const hash = createHash('sha256').update(key).digest('hex');
+  return path.join(settings.dir, `${hash}.json`);
+}
+
+/** Recorded response for `key`, or undefined when there is none. */
+export async function loadFixture(key) {
+  try {
+    const fixture = JSON.parse(await readFile(fixturePath(key), 'utf8'));
+    return fixture.key === key ? fixture.response : undefined;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`Unreadable fixture for ${key}: ${error.message}`);
+    }
+    return undefined;
+  }
+}
+
+/** Save a response. `params` are stored alongside for readability only. */
+export async function saveFixture(key, params, response) {
+  const filePath = fixturePath(key);
+  const body = JSON.stringify({ key, params, recorded_at: new Date().toISOString(), response }, null, 2);
+  try {
+    await mkdir(settings.dir, { recursive: true });
+    // Write then rename so a concurrent replay never reads half a file
+    const temporary = `${filePath}.${process.pid}.${++writes}.tmp`;
+    await writeFile(temporary, body + '\n');
+    await rename(temporary, filePath);
+  } catch (error) {
+    console.error(`Fixture write failed for ${key}: ${error.message}`);
+  }
+}
@@ -0,0 +1,198 @@
+/**
+ * HTTP transport for the World Bank MCP server.
+ *
+ * Serves Streamable HTTP on /mcp and the legacy HTTP+SSE transport on
+ * /sse + /messages, with one MCP server instance per session. An optional
+ * bearer token guards every endpoint except /health. Streamable HTTP
+ * sessions with no open request for `sessionIdleTimeout` seconds are closed,
+ * so clients that disconnect without DELETE do not leak their server.
+ */
+
+import { randomUUID, timingSafeEqual } from 'node:crypto';
+import { createServer as createHttpServer } from 'node:http';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+
+function sendJSON(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function sendRpcError(res, status, message) {
+  sendJSON(res, status, { jsonrpc: '2.0', error: { code: -32000, message }, id: null });
+}
+
+async function readJSONBody(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw Object.assign(new Error('Request body too large'), { status: 413 });
+    }
+    chunks.push(chunk);
+  }
+  if (size === 0) return undefined;
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+  } catch {
+    throw Object.assign(new Error('Parse error: invalid JSON'), { status: 400 });
+  }
+}
+
+function isAuthorized(req, authToken) {
+  if (!authToken) return true;
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+  if (!match) return false;
+  const expected = Buffer.from(authToken);
+  const provided = Buffer.from(match[1].trim());
+  return provided.length === expected.length && timingSafeEqual(provided, expected);
+}
+
+/**
+ * Start the HTTP server. `createServer` must return a fresh, unconnected MCP
+ * server for each session.
+ */
+export async function startHttpServer(createServer, options) {
+  const { host, port, authToken, sessionIdleTimeout, name, version } = options;
+  const streamableSessions = new Map();
+  const sseSessions = new Map();
+  const activity = new Map();
+
+  // The idle timer runs only while a session has no request open, so a
+  // long-lived GET stream keeps its session alive
+  function trackRequest(transport, res) {
+    const state = activity.get(transport) || { open: 0, timer: null };
+    activity.set(transport, state);
+    clearTimeout(state.timer);
+    state.open++;
+    res.on('close', () => {
+      state.open--;
+      if (state.open === 0 && sessionIdleTimeout > 0 && activity.has(transport)) {
+        state.timer = setTimeout(() => {
+          console.error(`Closing idle session ${transport.sessionId}`);
+          transport.close().catch(() => {});
+        }, sessionIdleTimeout * 1000);
+        state.timer.unref();
+      }
+    });
+  }
+
+  async function handleStreamable(req, res) {
+    const body = req.method === 'POST' ? await readJSONBody(req) : undefined;
+    const sessionId = req.headers['mcp-session-id'];
+
+    if (sessionId) {
+      const transport = streamableSessions.get(sessionId);
+      if (!transport) {
+        sendRpcError(res, 404, `Unknown session: ${sessionId}`);
+        return;
+      }
+      trackRequest(transport, res);
+      await transport.handleRequest(req, res, body);
+      return;
+    }
+
+    if (req.method !== 'POST' || !isInitializeRequest(body)) {
+      sendRpcError(res, 400, 'Bad Request: missing Mcp-Session-Id header');
+      return;
+    }
+
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: id => {
+        streamableSessions.set(id, transport);
+      }
+    });
+    transport.onclose = () => {
+      clearTimeout(activity.get(transport)?.timer);
+      activity.delete(transport);
+      if (transport.sessionId) {
+        streamableSessions.delete(transport.sessionId);
+      }
+    };
+    await createServer().connect(transport);
+    trackRequest(transport, res);
+    await transport.handleRequest(req, res, body);
+  }
+
+  async function handleSse(req, res) {
+    const transport = new SSEServerTransport('/messages', res);
+    sseSessions.set(transport.sessionId, transport);
+    res.on('close', () => {
+      sseSessions.delete(transport.sessionId);
+    });
+    await createServer().connect(transport);
+  }
+
+  async function handleSseMessage(req, res, url) {
+    const transport = sseSessions.get(url.searchParams.get('sessionId'));
+    if (!transport) {
+      sendRpcError(res, 404, 'Unknown or missing sessionId');
+      return;
+    }
+    await transport.handlePostMessage(req, res, await readJSONBody(req));
+  }
+
+  const httpServer = createHttpServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    try {
+      if (url.pathname === '/health' && req.method === 'GET') {
+        sendJSON(res, 200, {
+          status: 'ok',
+          name,
+          version,
+          sessions: { streamable_http: streamableSessions.size, sse: sseSessions.size }
+        });
+        return;
+      }
+
+      if (!isAuthorized(req, authToken)) {
+        res.setHeader('WWW-Authenticate', 'Bearer');
+        sendRpcError(res, 401, 'Unauthorized');
+        return;
+      }
+
+      if (url.pathname === '/mcp' && ['GET', 'POST', 'DELETE'].includes(req.method)) {
+        await handleStreamable(req, res);
+      } else if (url.pathname === '/sse' && req.method === 'GET') {
+        await handleSse(req, res);
+      } else if (url.pathname === '/messages' && req.method === 'POST') {
+        await handleSseMessage(req, res, url);
+      } else {
+        sendJSON(res, 404, { error: 'Not found' });
+      }
+    } catch (error) {
+      console.error(`HTTP ${req.method} ${url.pathname} failed:`, error);
+      if (!res.headersSent) {
+        sendRpcError(res, error.status || 500, error.status ? error.message : 'Internal server error');
+      }
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, host, resolve);
+  });
+
+  const address = httpServer.address();
+  console.error(`${name} v${version} listening on http://${address.address}:${address.port}/mcp (SSE: /sse)`);
+  if (!authToken && !['127.0.0.1', 'localhost', '::1'].includes(host)) {
+    console.error('Warning: HTTP transport is bound to a non-loopback address without WB_MCP_AUTH_TOKEN');
+  }
+
+  const shutdown = async () => {
+    for (const transport of [...streamableSessions.values(), ...sseSessions.values()]) {
+      await transport.close().catch(() => {});
+    }
+    httpServer.close(() => process.exit(0));
+  };
+  process.once('SIGINT', shutdown);
+  process.once('SIGTERM', shutdown);
+
+  return httpServer;
+}
@@ -3,8 +3,10 @@
 /**
  * World Bank Documents & Reports MCP Server
  * 
- * MCPB-compatible stdio server for World Bank Documents & Reports API.
- * Uses @modelcontextprotocol/sdk with stdio transport.
+ * MCPB-compatible server for the World Bank Documents & Reports API, the
+ * World Bank Indicators API and the World Bank Projects API.
+ * Uses @modelcontextprotocol/sdk with stdio transport by default, or
+ * Streamable HTTP (plus legacy SSE) with --http / WB_MCP_TRANSPORT=http.
  * Returns both formatted text and structured data.
  */
 
@@ -14,89 +16,125 @@ import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
 } from '@modelcontextprotocol/sdk/types.js';
-import { z } from 'zod';
+import { BATCH_CONCURRENCY, BATCH_SIZE, chunk, mapConcurrent, MAX_BATCH_IDS, normalizeIds } from './batch.js';
+import { cacheKey, cacheStats, clearCache, getCached, normalizeParams, setCached, ttlFor } from './cache.js';
+import { requestJSON } from './client.js';
+import { CITATION_FIELDS, citeDocument, fieldText } from './citation.js';
+import { CURSOR_OVERLAP, decodeCursor, encodeCursor } from './cursor.js';
+import { DEFAULT_RELATED_LIMIT, documentAbstract, documentRenditions, documentSections, relatedQueries } from './detail.js';
+import { COUNTRY_GROUPS, countriesInGroups, findCountry, groupName } from './countries.js';
+import { ErrorCodes, invalidArgument, toToolError, WorldBankError } from './errors.js';
+import { writeExport } from './export.js';
+import { FIELD_CATALOG, unknownFieldMessage } from './fields.js';
+import { configureFixtures, fixtureSettings, loadFixture, saveFixture } from './fixtures.js';
+import { startHttpServer } from './http.js';
+import {
+  CATALOG_PAGE_SIZE,
+  DATA_PAGE_SIZE,
+  DEFAULT_INDICATOR_SOURCE,
+  indicatorsUrl,
+  MAX_DATA_PAGES,
+  normalizeIndicator,
+  normalizeSeries,
+  normalizeSource,
+  searchIndicators,
+  unwrapResponse
+} from './indicators.js';
+import { buildPeriods, MAX_PERIODS, resolveDateRange, yearRange } from './periods.js';
+import {
+  DEFAULT_PROJECT_DOCUMENTS,
+  DEFAULT_PROJECT_RESULTS,
+  documentProjectIds,
+  extractProjects,
+  MAX_ENRICHED_PROJECTS,
+  PROJECT_FIELDS,
+  PROJECTS_BASE_URL,
+  projectSummary
+} from './projects.js';
+import { DEFAULT_MAX_CHARS, DEFAULT_OUTPUT_FORMAT, formatTable, renderJSON, renderOutput, truncate, uniqueLabels } from './output.js';
+import { PROMPT_CAPABILITIES, registerPrompts } from './prompts.js';
+import { buildQueryTerm, facetValue, OR_SEPARATOR } from './query.js';
+import { RESOLVABLE_FILTERS, resolveFilters } from './resolver.js';
+import { registerResources, RESOURCE_CAPABILITIES } from './resources.js';
+import {
+  createSavedSearch,
+  deleteSavedSearch,
+  findNewDocuments,
+  getSavedSearch,
+  listSavedSearches,
+  MAX_SEEN_IDS,
+  needsNextPage,
+  readSavedSearches,
+  recordCheck,
+  SAVED_SEARCHES_FILE,
+  updateSavedSearch
+} from './saved.js';
+import {
+  DEFAULT_BREAKDOWN_LIMIT,
+  DEFAULT_CHECK_LIMIT,
+  DEFAULT_CHUNK_TOKENS,
+  DEFAULT_COMPARE_ROWS,
+  DEFAULT_EXPORT_ROWS,
+  DEFAULT_SEARCH_LIMIT,
+  DEFAULT_SUMMARY_LIMIT,
+  MAX_SEARCH_RESULTS,
+  FILTER_NAMES,
+  parseArguments,
+  parseOutput,
+  toolSchemas
+} from './schemas.js';
+import { CANDIDATE_FIELDS, CANDIDATE_ROWS, keyTerms, rankSimilar, similarSearches } from './similar.js';
+import { chunkPages, loadDocumentText, searchChunks } from './text.js';
 
 const API_BASE_URL = 'https://search.worldbank.org/api/v3/wds';
 const SERVER_NAME = 'world-bank-mcp';
 const VERSION = '1.0.0';
 
-// Rate limiting: 300ms delay between requests (no documented rate limit, but 200-500ms recommended)
-let lastRequestTime = 0;
-const RATE_LIMIT_DELAY = 300; // milliseconds
-
-async function rateLimit() {
-  const now = Date.now();
-  const elapsed = now - lastRequestTime;
-  if (elapsed < RATE_LIMIT_DELAY) {
-    await new Promise(resolve => setTimeout(resolve, RATE_LIMIT_DELAY - elapsed));
-  }
-  lastRequestTime = Date.now();
-}
-
-async function fetchFromAPI(params) {
-  await rateLimit();
+// options.cache: 'default' reads and writes the cache, 'refresh' skips the read
+// but stores the new response, 'bypass' leaves the cache untouched.
+// options.catalog keeps the response for the longer catalog TTL.
+async function fetchJSON(baseUrl, params, options = {}) {
+  const key = cacheKey(baseUrl, params);
+  const fixtures = fixtureSettings();
+  // Fixture modes skip the response cache so every request is recorded or replayed
+  const mode = fixtures.mode === 'off' ? options.cache || 'default' : 'bypass';
   
-  const queryParams = new URLSearchParams();
-  queryParams.set('format', 'json');
+  if (fixtures.mode === 'replay') {
+    const recorded = await loadFixture(key);
+    if (recorded !== undefined) {
+      return recorded;
+    }
+    if (fixtures.miss === 'fail') {
+      throw new WorldBankError(ErrorCodes.FIXTURE_MISSING, `No recorded response for ${key} in ${fixtures.dir}`);
+    }
+  }
   
-  // Add all non-undefined parameters
-  for (const [key, value] of Object.entries(params)) {
-    if (value !== undefined && value !== null && value !== '') {
-      if (Array.isArray(value)) {
-        queryParams.set(key, value.join(','));
-      } else {
-        queryParams.set(key, value);
-      }
+  if (mode === 'default') {
+    const cached = await getCached(key);
+    if (cached !== undefined) {
+      return cached;
     }
   }
   
-  const url = `${API_BASE_URL}?${queryParams.toString()}`;
-  const response = await fetch(url);
+  const queryParams = new URLSearchParams({ format: 'json', ...normalizeParams(params) });
   
-  if (!response.ok) {
-    throw new Error(`API request failed: ${response.status} ${response.statusText}`);
+  const url = `${baseUrl}?${queryParams.toString()}`;
+  const data = await requestJSON(url);
+  if (mode !== 'bypass') {
+    await setCached(key, data, ttlFor(params, options));
   }
-  
-  return await response.json();
+  if (fixtures.mode === 'record') {
+    await saveFixture(key, normalizeParams(params), data);
+  }
+  return data;
 }
 
-// Zod schemas for structured output
-const DocumentSchema = z.object({
-  id: z.string(),
-  display_title: z.string(),
-  docty: z.string().optional(),
-  count: z.string().optional(),
-  docdt: z.string().optional(),
-  url: z.string().optional(),
-  pdfurl: z.string().optional(),
-  abstracts: z.object({
-    cdata: z.string()
-  }).optional()
-});
-
-const SearchResultsSchema = z.object({
-  total: z.number(),
-  rows: z.number(),
-  page: z.number(),
-  documents: z.array(DocumentSchema)
-});
-
-const CountrySchema = z.object({
-  name: z.string(),
-  label: z.string(),
-  count: z.number()
-});
-
-const DocumentTypeSchema = z.object({
-  name: z.string(),
-  label: z.string(),
-  count: z.number()
-});
+function fetchFromAPI(params, options = {}) {
+  return fetchJSON(API_BASE_URL, params, options);
+}
 
-const FacetSchema = z.object({
-  name: z.string(),
-  count: z.number()
-});
+const PAGE_SIZE = 100; // WDS maximum rows per request
+const CHECK_MAX_PAGES = 5; // Pages a saved search check reads looking for unseen documents
 
 // Tool definitions
 const TOOLS = [
@@ -109,94 +147,56 @@ WHEN TO USE:
 - Filter by country, document type, theme, or sector
 - Search within date ranges
 - Combine multiple filters for precise queries
+- Search several countries or document types at once, or exclude some
 
 PARAMETERS:
-- query (string, optional): Full-text search query across title, abstract, and metadata
-- country (string, optional): Filter by country name (exact match, e.g., "Mexico", "India")
-- document_type (string, optional): Filter by document type (exact match, e.g., "Procurement Plan", "Working Paper")
-- theme (string, optional): Filter by major theme (exact match, e.g., "FY17 - Urban and Rural Development")
-- sector (string, optional): Filter by economic sector (exact match, e.g., "Energy", "Education")
-- language (string, optional): Filter by language (exact match, e.g., "English", "Spanish")
-- start_date (string, optional): Filter documents from this date onwards (YYYY-MM-DD format)
-- end_date (string, optional): Filter documents up to this date (YYYY-MM-DD format)
+- query (string or object, optional): Full-text query across title, abstract, and metadata. A string accepts "exact phrases", AND, OR, NOT, parentheses and field-scoped terms (title:term, abstract:term, author:term, report_number:term). An object { "all": [...], "any": [...], "none": [...], "field": "title" } is translated into that syntax
+- country (string or array, optional): Filter by country name or ISO code (e.g., "Mexico", "VNM"); a list matches any of them
+- document_type (string or array, optional): Filter by document type (e.g., "Procurement Plan", "Working Paper"); a list matches any of them
+- theme (string or array, optional): Filter by major theme (e.g., "FY17 - Urban and Rural Development")
+- sector (string or array, optional): Filter by economic sector (e.g., "Energy", "Education")
+- language (string or array, optional): Filter by language (e.g., "English", "Spanish")
+- not_country, not_document_type, not_theme, not_sector, not_language (string or array, optional): Exclude documents with these values
+- region, income_group, lending_category (string or array, optional): Limit to countries in a World Bank region ("SSA", "South Asia"), income group ("LIC", "Lower middle income") or lending category ("IDA", "IBRD", "Blend"); expanded to the member countries and combined with country if both are given
+- start_date (string, optional): Filter documents from this date onwards: YYYY-MM-DD, or the start of a year ("2019"), fiscal year ("FY2019"), quarter ("2019-Q3"), month ("2019-03") or relative date ("2 years ago")
+- end_date (string, optional): Filter documents up to this date; same forms as start_date, where years, quarters and months run to their last day
+- period (string, optional): Whole date range in one expression instead of start_date/end_date - "FY2019", "2019-Q3", "FY2017 to FY2019", "last 6 months", "last fiscal year", "this year", "year to date", "since 2020"
+- fiscal_year (string or integer, optional): World Bank fiscal year (1 July - 30 June), e.g. "FY2019", "FY19" or 2019
 - limit (integer, optional): Number of results per page (default: 20, max: 100)
-- offset (integer, optional): Pagination offset (default: 0)
-- fields (array, optional): Fields to return (e.g., ["docdt", "abstracts", "pdfurl"]). Always returns id, display_title, url
+- offset (integer, optional): Pagination offset (default: 0). Prefer cursor for paging
+- cursor (string, optional): next_cursor or prev_cursor from an earlier result. It holds the filters, sort and position, so pass it alone (cache is the only other argument allowed)
+- max_results (integer, optional): Fetch up to this many documents (max: ${MAX_SEARCH_RESULTS}) in pages of ${PAGE_SIZE}, merged with duplicate IDs dropped. Replaces limit
+- fields (array, optional): Fields to return (e.g., ["docdt", "abstracts", "pdfurl"]). Always returns id, display_title, url. See wb_describe_fields for valid names
 - sort_by (string, optional): Sort field - one of: "docdt" (date), "docna" (document name), "docty" (document type), "repnb" (report number)
 - sort_order (string, optional): Sort order - "asc" or "desc" (default: "desc" for dates)
+- resolve_filters (boolean, optional): Match filter values against known values, tolerating case, aliases, ISO codes and typos (default: true). Substitutions and ambiguous matches are reported in "resolutions"
+- citation (string, optional): Attach a citation to each result - "apa", "chicago", "harvard", "worldbank", "bibtex" or "csl-json"
+- include_project (boolean, optional): Attach each document's project summary (name, status, commitment, approval date, implementing agency) from the Projects API
+- cache (string, optional): "default", "refresh" or "bypass" (see wb_clear_cache)
 
 EXAMPLES:
 - Basic search: { "query": "renewable energy" }
+- Loose filter values: { "country": "Brasil", "document_type": "procurement plans" }
 - By country: { "country": "Mexico", "limit": 20 }
 - By document type: { "document_type": "Procurement Plan", "start_date": "2020-01-01" }
 - Combined filters: { "query": "education", "country": "India", "document_type": "Working Paper", "start_date": "2020-01-01" }
-- With pagination: { "country": "Brazil", "limit": 50, "offset": 100 }
-
-RETURNS: Columnar table display + structured JSON data with total count, rows, page, and documents array`,
-
-    inputSchema: {
-      type: 'object',
-      properties: {
-        query: {
-          type: 'string',
-          description: 'Full-text search query across title, abstract, and metadata'
-        },
-        country: {
-          type: 'string',
-          description: 'Country name (exact match, e.g., "Mexico", "India", "Brazil")'
-        },
-        document_type: {
-          type: 'string',
-          description: 'Document type (exact match, e.g., "Procurement Plan", "Working Paper", "Environmental Assessment")'
-        },
-        theme: {
-          type: 'string',
-          description: 'Major theme (exact match, e.g., "FY17 - Urban and Rural Development")'
-        },
-        sector: {
-          type: 'string',
-          description: 'Economic sector (exact match, e.g., "Energy", "Education", "Health")'
-        },
-        language: {
-          type: 'string',
-          description: 'Language (exact match, e.g., "English", "Spanish", "French")'
-        },
-        start_date: {
-          type: 'string',
-          description: 'Start date filter (YYYY-MM-DD format)'
-        },
-        end_date: {
-          type: 'string',
-          description: 'End date filter (YYYY-MM-DD format)'
-        },
-        limit: {
-          type: 'integer',
-          description: 'Number of results per page (default: 20, max: 100)',
-          minimum: 1,
-          maximum: 100
-        },
-        offset: {
-          type: 'integer',
-          description: 'Pagination offset (default: 0)',
-          minimum: 0
-        },
-        fields: {
-          type: 'array',
-          items: { type: 'string' },
-          description: 'Fields to return (e.g., ["docdt", "abstracts", "pdfurl", "docty", "count"]). Always returns id, display_title, url'
-        },
-        sort_by: {
-          type: 'string',
-          enum: ['docdt', 'docna', 'docty', 'repnb'],
-          description: 'Field to sort by (default: docdt for date-based queries, relevance for text queries)'
-        },
-        sort_order: {
-          type: 'string',
-          enum: ['asc', 'desc'],
-          description: 'Sort order (default: desc for dates)'
-        }
-      }
-    },
+- With pagination: { "country": "Brazil", "limit": 50 }, then { "cursor": "<next_cursor>" } for the next 50
+- Many results at once: { "document_type": "Procurement Plan", "country": "Kenya", "max_results": 300 }
+- Several countries: { "query": "drought", "country": ["Kenya", "Ethiopia", "Somalia"] }
+- Exclusions: { "country": "India", "not_document_type": ["Procurement Plan", "Contract Award"] }
+- Regional programme: { "query": "social protection", "region": "SSA", "income_group": "LIC" }
+- Boolean query: { "query": "\"cash transfers\" AND (title:evaluation OR abstract:impact) NOT pilot" }
+- Structured query: { "query": { "all": ["climate finance"], "any": ["adaptation", "resilience"], "field": "title" } }
+- With citations: { "query": "informality", "document_type": "Policy Research Working Paper", "citation": "apa" }
+- Fiscal year: { "country": "Ghana", "fiscal_year": "FY2019" }
+- Relative range: { "query": "debt", "period": "last 6 months" }
+- With project details: { "country": "Kenya", "document_type": "Procurement Plan", "include_project": true }
+
+PAGING: Cursors keep the date range of the first page, so "last 6 months" does not move while paging, and the last ${CURSOR_OVERLAP} IDs of each page are skipped if they show up again on the next one because new documents pushed results down. duplicates_skipped counts them.
+
+RETURNS: Columnar table display + structured JSON data with total count, offset, rows, documents array, next_cursor and prev_cursor (null at either end) and the normalized date_range`,
+
+    ...toolSchemas('wb_search_documents'),
     annotations: {
       title: 'Search World Bank Documents',
       readOnlyHint: true,
@@ -214,29 +214,22 @@ WHEN TO USE:
 
 PARAMETERS:
 - document_id (string, required): Document ID (numeric string, e.g., "11831032")
-- fields (array, optional): Fields to return. Always returns id, display_title, url
+- fields (array, optional): Fields to return. Always returns id, display_title, url. See wb_describe_fields for valid names
+- full_abstract (boolean, optional): Show the whole abstract instead of the first 500 characters
+- include_renditions (boolean, optional): List the document page, PDF, TXT and versions in other languages
+- include_related (boolean, optional): List other documents with the same project ID or report number
+- related_limit (integer, optional): Maximum related documents per relation (default: 10, max: 50)
+- include_project (boolean, optional): Attach the summary of the document's project from the Projects API
+- cache (string, optional): "default", "refresh" or "bypass"
 
 EXAMPLES:
 - Get full document: { "document_id": "11831032" }
 - Get specific fields: { "document_id": "11831032", "fields": ["docdt", "abstracts", "pdfurl", "docty", "count"] }
+- Everything about a document: { "document_id": "11831032", "full_abstract": true, "include_renditions": true, "include_related": true }
 
-RETURNS: Document object with requested fields + formatted display`,
-
-    inputSchema: {
-      type: 'object',
-      properties: {
-        document_id: {
-          type: 'string',
-          description: 'Document ID (numeric string, e.g., "11831032")'
-        },
-        fields: {
-          type: 'array',
-          items: { type: 'string' },
-          description: 'Fields to return (e.g., ["docdt", "abstracts", "pdfurl", "docty", "count"]). Always returns id, display_title, url'
-        }
-      },
-      required: ['document_id']
-    },
+RETURNS: Document object with requested fields, plus renditions and related documents when asked for; the text view groups all metadata into Identification, Publication, Coverage and Other sections`,
+
+    ...toolSchemas('wb_get_document'),
     annotations: {
       title: 'Get World Bank Document',
       readOnlyHint: true,
@@ -244,450 +237,2716 @@ RETURNS: Document object with requested fields + formatted display`,
     }
   },
   {
-    name: 'wb_list_facets',
-    description: `Get available values and counts for filtering fields.
+    name: 'wb_get_documents',
+    description: `Get many World Bank documents by ID in one call.
 
 WHEN TO USE:
-- Discover available values for filters (countries, document types, themes, etc.)
-- Validate filter values before using them
-- Get counts of documents matching each value
-- Build filter UI or autocomplete suggestions
+- Look up a list of document IDs from citations, spreadsheets or earlier results
+- Check which IDs in a list exist
 
 PARAMETERS:
-- facets (array, required): Field names to facet (e.g., ["count_exact", "docty_exact", "lang_exact", "majtheme_exact", "sectr_exact"])
-- filter_query (object, optional): Query to filter documents before faceting (same parameters as wb_search_documents, but only used for filtering)
+- document_ids (array, required): 1-${MAX_BATCH_IDS} document IDs (numeric strings or numbers; "D123" is read as 123). Duplicates are looked up once
+- fields (array, optional): Fields to return for each document. See wb_describe_fields for valid names
+- cache (string, optional): "default", "refresh" or "bypass"
+
+IDs are looked up ${BATCH_SIZE} per request, with up to ${BATCH_CONCURRENCY} requests in flight under the shared rate limit. IDs a batch does not return are retried one by one before they are reported missing.
 
 EXAMPLES:
-- List countries: { "facets": ["count_exact"] }
-- List document types: { "facets": ["docty_exact"] }
-- List languages: { "facets": ["lang_exact"] }
-- Filtered facets: { "facets": ["docty_exact"], "filter_query": { "country": "Mexico" } }
-- Multiple facets: { "facets": ["count_exact", "docty_exact", "lang_exact"] }
+- Several documents: { "document_ids": ["11831032", "32226131", "099125303072236903"] }
+- Titles and dates only: { "document_ids": [11831032, 32226131], "fields": ["display_title", "docdt"] }
 
-RETURNS: Columnar table display + structured facet data`,
+RETURNS: Compact table of the documents found, in input order, plus a missing list with the reason for each ID (invalid, not_found or error)`,
 
-    inputSchema: {
-      type: 'object',
-      properties: {
-        facets: {
-          type: 'array',
-          items: { type: 'string' },
-          description: 'Field names to facet (e.g., ["count_exact", "docty_exact", "lang_exact", "majtheme_exact", "sectr_exact"])'
-        },
-        filter_query: {
-          type: 'object',
-          description: 'Query to filter documents before faceting (same parameters as wb_search_documents)',
-          properties: {
-            query: { type: 'string' },
-            country: { type: 'string' },
-            document_type: { type: 'string' },
-            theme: { type: 'string' },
-            sector: { type: 'string' },
-            language: { type: 'string' },
-            start_date: { type: 'string' },
-            end_date: { type: 'string' }
-          }
-        }
-      },
-      required: ['facets']
-    },
+    ...toolSchemas('wb_get_documents'),
     annotations: {
-      title: 'List Filter Facets',
+      title: 'Get World Bank Documents by ID',
       readOnlyHint: true,
       destructiveHint: false
     }
   },
   {
-    name: 'wb_list_countries',
-    description: `Get list of all available countries with document counts.
+    name: 'wb_get_document_text',
+    description: `Read the full text of a World Bank document in chunks.
 
 WHEN TO USE:
-- Discover available countries
-- Get country names for use in search filters
-- See document counts per country
-- Validate country names before searching
+- Read the actual report rather than its abstract
+- Find where a topic is discussed inside a long document
+- Quote or summarize specific sections or pages
 
 PARAMETERS:
-None
+- document_id (string, required): Document ID (numeric string, e.g., "11831032")
+- chunk (integer, optional): Zero-based chunk to return (default: 0). Use next_chunk from the previous response to continue, with the source it reports and the same max_tokens: chunk numbers differ between sources
+- page (integer, optional): Jump to the chunk containing this page (1-based). Overrides chunk. Page breaks come from the PDF; most text renditions have none, so with source "auto" the PDF is read instead
+- max_tokens (integer, optional): Approximate size of each chunk in tokens (default: 2000, min: 500, max: 8000)
+- search (string, optional): Find a word or phrase in the document. Returns matching snippets with their chunk and page numbers instead of chunk text
+- source (string, optional): "auto" (plain text, falling back to PDF), "txt" or "pdf" (default: "auto")
+- cache (string, optional): "default", "refresh" or "bypass"
 
 EXAMPLES:
-- List all countries: {}
+- Start reading: { "document_id": "11831032" }
+- Continue: { "document_id": "11831032", "source": "txt", "chunk": 1 }
+- Jump to page 40: { "document_id": "11831032", "page": 40 }
+- Find a topic: { "document_id": "11831032", "search": "climate resilience" }
 
-RETURNS: Columnar table display + structured countries array`,
+RETURNS: Chunk text with chunk/page position and next/previous chunk cursors, or search matches + structured data`,
 
-    inputSchema: {
-      type: 'object',
-      properties: {}
-    },
+    ...toolSchemas('wb_get_document_text'),
     annotations: {
-      title: 'List Countries',
+      title: 'Read World Bank Document Text',
       readOnlyHint: true,
       destructiveHint: false
     }
   },
   {
-    name: 'wb_list_document_types',
-    description: `Get list of all available document types with counts.
+    name: 'wb_export_search',
+    description: `Export every document matching a search to a CSV, JSONL, BibTeX or RIS file.
 
 WHEN TO USE:
-- Discover available document types
-- Get document type names for use in search filters
-- See document counts per type
-- Understand what types of documents are available
+- Get all matches for a query into a spreadsheet or reference manager
+- Export more results than one wb_search_documents page (max 100) can show
 
 PARAMETERS:
-None
+- format (string, required): "csv", "jsonl", "bibtex" or "ris"
+- query, country, document_type, theme, sector, language, not_* exclusions, start_date, end_date, period, fiscal_year (optional): Same filters as wb_search_documents, including OR-lists, boolean queries and fiscal-year or relative date ranges
+- sort_by (string, optional): "docdt", "docna", "docty" or "repnb" (default: "docdt")
+- sort_order (string, optional): "asc" or "desc" (default: "desc")
+- max_results (integer, optional): Maximum documents to export (default: 1000)
+- resolve_filters (boolean, optional): Match filter values against known values (default: true)
+- filename (string, optional): File name without directory (extension is added from the format)
+- cache (string, optional): "default", "refresh" or "bypass"
 
 EXAMPLES:
-- List all document types: {}
+- Procurement plans for a country and year: { "format": "csv", "country": "Kenya", "document_type": "Procurement Plan", "start_date": "2023-01-01", "end_date": "2023-12-31" }
+- References for a topic: { "format": "bibtex", "query": "social protection", "document_type": "Working Paper", "max_results": 200 }
 
-RETURNS: Columnar table display + structured document types array`,
+RETURNS: File path, number of exported documents, total matches and whether the export was truncated`,
 
-    inputSchema: {
-      type: 'object',
-      properties: {}
-    },
+    ...toolSchemas('wb_export_search'),
     annotations: {
-      title: 'List Document Types',
-      readOnlyHint: true,
-      destructiveHint: false
+      title: 'Export Search Results',
+      readOnlyHint: false,
+      destructiveHint: false,
+      idempotentHint: false
     }
-  }
-];
+  },
+  {
+    name: 'wb_cite_document',
+    description: `Generate a formatted citation for a World Bank document.
 
-// Utility functions for columnar formatting
-function pad(str, length, right = false) {
-  str = String(str || '').substring(0, length);
-  if (right) {
-    return str.padEnd(length, ' ');
-  } else {
-    return str.padStart(length, ' ');
-  }
-}
+WHEN TO USE:
+- Cite a document in a report, paper or bibliography
+- Get a reference-manager entry (BibTeX or CSL-JSON)
+- Never write citation details by hand: authors, report numbers and dates come from the document record
 
-function formatTable(rows, columns) {
-  if (rows.length === 0) {
-    return 'No results found.';
-  }
+PARAMETERS:
+- document_id (string, required): Document ID (numeric string, e.g., "11831032")
+- style (string, optional): "apa", "chicago", "harvard", "worldbank" (World Bank house style), "bibtex" or "csl-json" (default: "apa")
+- cache (string, optional): "default", "refresh" or "bypass"
 
-  // Calculate column widths
-  const widths = {};
-  columns.forEach(col => {
-    widths[col] = Math.max(
-      col.length,
-      Math.max(...rows.map(row => String(row[col] || '').length))
-    );
-  });
+Documents without personal authors are cited with the World Bank as corporate author. Missing dates are rendered as "n.d." ("no date" in Harvard).
 
-  // Build header
-  const header = columns.map(col => pad(col, widths[col], true)).join(' | ');
-  const separator = columns.map(col => '─'.repeat(widths[col])).join('─┼─');
+EXAMPLES:
+- APA citation: { "document_id": "11831032" }
+- World Bank house style: { "document_id": "11831032", "style": "worldbank" }
+- BibTeX entry: { "document_id": "11831032", "style": "bibtex" }
 
-  // Build rows
-  const formattedRows = rows.map(row =>
-    columns.map(col => pad(String(row[col] || ''), widths[col], true)).join(' | ')
-  );
+RETURNS: Citation text (plain and Markdown with italic title) + structured data`,
 
-  return [header, separator, ...formattedRows].join('\n');
-}
+    ...toolSchemas('wb_cite_document'),
+    annotations: {
+      title: 'Cite World Bank Document',
+      readOnlyHint: true,
+      destructiveHint: false
+    }
+  },
+  {
+    name: 'wb_find_related',
+    description: `Find documents similar to a given World Bank document ("more like this").
 
-function truncate(str, length = 60) {
-  if (!str) return '';
-  str = String(str).replace(/\n/g, ' ');
-  return str.length > length ? str.substring(0, length - 3) + '...' : str;
-}
+WHEN TO USE:
+- Build a literature review starting from one useful report
+- Find other documents from the same project, or on the same sector in the same country
+- Discover related work when you do not know what to search for
 
-function formatCountryTable(countries) {
-  const rows = countries.map(c => ({
-    Name: c.name,
-    Count: c.count.toLocaleString()
-  }));
-  return formatTable(rows, ['Name', 'Count']);
-}
+PARAMETERS:
+- document_id (string, required): Source document ID (numeric string, e.g., "11831032")
+- limit (integer, optional): Maximum related documents to return (default: 10, max: 50)
+- cache (string, optional): "default", "refresh" or "bypass"
 
-function formatDocumentTypeTable(types) {
-  const rows = types.map(t => ({
-    'Document Type': truncate(t.name, 40),
-    Count: t.count.toLocaleString()
-  }));
-  return formatTable(rows, ['Document Type', 'Count']);
-}
+The source document's project ID, country, sector, theme and key terms (from its title, keywords and abstract) are turned into searches. Candidates are ranked by how much they share with the source; the source itself is excluded, and copies of the same report (other languages or volumes) are collapsed into one entry.
 
-function formatSearchResultsTable(documents, limit = 50) {
-  const rows = documents.map(doc => ({
-    ID: doc.id,
-    Title: truncate(doc.display_title, limit),
-    Type: truncate(doc.docty, 25),
-    Country: truncate(doc.count, 20),
-    Date: doc.docdt ? new Date(doc.docdt).toISOString().split('T')[0] : ''
-  }));
-  return formatTable(rows, ['ID', 'Title', 'Type', 'Country', 'Date']);
-}
+EXAMPLES:
+- Related documents: { "document_id": "11831032" }
+- Longer reading list: { "document_id": "11831032", "limit": 30 }
 
-function formatFacetTable(facetData, facetName) {
-  const rows = Object.values(facetData).map(item => ({
-    Name: truncate(item.name, 40),
-    Count: item.count.toLocaleString()
-  }));
-  return formatTable(rows, ['Name', 'Count']);
-}
+RETURNS: Ranked documents, each with a score and reasons (same project, same sector and country, shared keywords) + what the match was based on`,
 
-// Tool handler functions
-async function handleSearchDocuments(args) {
-  const params = {};
-  
-  if (args.query) params.qterm = args.query;
-  if (args.country) params.count_exact = args.country;
-  if (args.document_type) params.docty_exact = args.document_type;
-  if (args.theme) params.majtheme_exact = args.theme;
-  if (args.sector) params.sectr_exact = args.sector;
-  if (args.language) params.lang_exact = args.language;
-  if (args.start_date) params.strdate = args.start_date;
-  if (args.end_date) params.enddate = args.end_date;
-  if (args.limit !== undefined) params.rows = args.limit;
-  if (args.offset !== undefined) params.os = args.offset;
-  if (args.fields && Array.isArray(args.fields) && args.fields.length > 0) {
-    params.fl = args.fields.join(',');
-  }
-  if (args.sort_by) params.sort = args.sort_by;
-  if (args.sort_order) params.order = args.sort_order;
-  
-  const apiResponse = await fetchFromAPI(params);
-  
-  // Convert documents object to array
-  const documents = [];
-  if (apiResponse.documents) {
-    for (const key in apiResponse.documents) {
-      if (key !== 'facets' && key.startsWith('D')) {
-        documents.push(apiResponse.documents[key]);
-      }
+    ...toolSchemas('wb_find_related'),
+    annotations: {
+      title: 'Find Related World Bank Documents',
+      readOnlyHint: true,
+      destructiveHint: false
     }
-  }
-  
-  return {
-    total: apiResponse.total || 0,
-    rows: apiResponse.rows || documents.length,
-    page: apiResponse.page || 1,
-    documents
-  };
-}
+  },
+  {
+    name: 'wb_document_trends',
+    description: `Count documents per period to show how World Bank output on a topic changed over time.
 
-async function handleGetDocument(args) {
-  if (!args.document_id) {
-    throw new Error('Missing required parameter: document_id');
-  }
-  
-  const params = {
-    id: args.document_id,
-    rows: 1
-  };
-  
-  if (args.fields && Array.isArray(args.fields) && args.fields.length > 0) {
-    params.fl = args.fields.join(',');
-  }
-  
-  const apiResponse = await fetchFromAPI(params);
-  
-  // Find the document (key is D{document_id})
-  let document = null;
-  if (apiResponse.documents) {
-    const docKey = `D${args.document_id}`;
-    document = apiResponse.documents[docKey] || null;
-    
-    // If not found by key, search for it
-    if (!document) {
-      for (const key in apiResponse.documents) {
-        if (key !== 'facets' && key.startsWith('D')) {
-          const doc = apiResponse.documents[key];
-          if (doc.id === args.document_id) {
-            document = doc;
-            break;
-          }
-        }
-      }
-    }
-  }
-  
-  if (!document) {
-    throw new Error(`Document not found: ${args.document_id}`);
-  }
-  
-  return { document };
-}
+WHEN TO USE:
+- Answer "how has output on X in country Y changed since 2000?"
+- Compare activity across calendar years, World Bank fiscal years or quarters
+- See which document types, sectors or themes drive a trend
 
-async function handleListFacets(args) {
-  if (!args.facets || !Array.isArray(args.facets) || args.facets.length === 0) {
-    throw new Error('Missing required parameter: facets');
-  }
-  
-  const params = {
-    fct: args.facets.join(','),
-    rows: 0 // Get facets only, no documents
-  };
-  
-  // Add filter query parameters if provided
-  if (args.filter_query) {
-    const filter = args.filter_query;
-    if (filter.query) params.qterm = filter.query;
-    if (filter.country) params.count_exact = filter.country;
-    if (filter.document_type) params.docty_exact = filter.document_type;
-    if (filter.theme) params.majtheme_exact = filter.theme;
-    if (filter.sector) params.sectr_exact = filter.sector;
-    if (filter.language) params.lang_exact = filter.language;
-    if (filter.start_date) params.strdate = filter.start_date;
-    if (filter.end_date) params.enddate = filter.end_date;
-  }
-  
-  const apiResponse = await fetchFromAPI(params);
-  
-  return {
-    facets: apiResponse.documents?.facets || {}
-  };
-}
+PARAMETERS:
+- query, country, document_type, theme, sector, language, not_* exclusions (optional): Same filters as wb_search_documents
+- start_date (string, optional): First day of the range (YYYY-MM-DD, YYYY, FY2019, 2019-Q3, ...; default: ten periods back)
+- end_date (string, optional): Last day of the range (same forms; default: today)
+- period (string, optional): Whole range in one expression instead of start_date/end_date (e.g., "FY2015 to FY2024", "last 3 years", "since 2020")
+- granularity (string, optional): "year" (calendar), "fiscal_year" (World Bank FY, 1 July - 30 June, named after the year it ends) or "quarter" (default: "year")
+- breakdown (string, optional): Split each period by a second facet - "document_type", "sector", "theme", "country" or "language"
+- breakdown_limit (integer, optional): Number of breakdown values to show, largest first (default: 5, max: 10)
+- resolve_filters (boolean, optional): Match filter values against known values (default: true)
+- cache (string, optional): "default", "refresh" or "bypass"
 
-async function handleListCountries() {
-  const params = {
-    fct: 'count_exact',
-    rows: 0
-  };
-  
-  const apiResponse = await fetchFromAPI(params);
-  
-  // Convert facets object to array
-  const countries = [];
-  const facets = apiResponse.documents?.facets?.count_exact || {};
-  for (const key in facets) {
-    countries.push(facets[key]);
-  }
-  
-  // Sort by count descending
-  countries.sort((a, b) => (b.count || 0) - (a.count || 0));
-  
-  return { countries };
-}
+Each period costs one API request, so ranges are capped at ${MAX_PERIODS} periods. Periods cut short by the range or still in progress are marked partial.
 
-async function handleListDocumentTypes() {
-  const params = {
-    fct: 'docty_exact',
-    rows: 0
-  };
-  
-  const apiResponse = await fetchFromAPI(params);
-  
-  // Convert facets object to array
-  const documentTypes = [];
-  const facets = apiResponse.documents?.facets?.docty_exact || {};
-  for (const key in facets) {
-    documentTypes.push(facets[key]);
-  }
-  
-  // Sort by count descending
-  documentTypes.sort((a, b) => (b.count || 0) - (a.count || 0));
-  
-  return { document_types: documentTypes };
-}
+EXAMPLES:
+- Yearly output on a topic: { "query": "renewable energy", "country": "India", "start_date": "2000" }
+- Fiscal years by document type: { "country": "Kenya", "granularity": "fiscal_year", "start_date": "FY2016", "breakdown": "document_type" }
+- Recent quarters: { "query": "climate adaptation", "granularity": "quarter", "start_date": "2023-01-01" }
 
-// Create MCP server
-const server = new Server(
-  {
-    name: SERVER_NAME,
-    version: VERSION,
+RETURNS: Time-series table (count and change per period, plus breakdown columns) + structured data with one entry per period`,
+
+    ...toolSchemas('wb_document_trends'),
+    annotations: {
+      title: 'Document Trends Over Time',
+      readOnlyHint: true,
+      destructiveHint: false
+    }
   },
   {
-    capabilities: {
-      tools: {},
-    },
-  }
-);
+    name: 'wb_compare',
+    description: `Compare 2-10 countries, sectors, themes, document types, languages or years side by side.
 
-// Handle list tools request
-server.setRequestHandler(ListToolsRequestSchema, async () => {
-  return { tools: TOOLS };
-});
+WHEN TO USE:
+- Benchmark a country's portfolio against peers
+- See how the mix of document types, sectors or themes differs between values
+- Find the largest differences between comparable groups
 
-// Handle call tool request
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  const { name, arguments: args } = request.params;
-  
-  try {
-    let result;
-    let formattedOutput = '';
-    let structuredContent = {};
-    
-    switch (name) {
-      case 'wb_search_documents':
-        result = await handleSearchDocuments(args || {});
-        formattedOutput = `Search Results: ${result.total.toLocaleString()} documents found (showing ${result.rows})\n\n`;
-        formattedOutput += formatSearchResultsTable(result.documents);
-        structuredContent = result;
-        break;
-      case 'wb_get_document':
-        result = await handleGetDocument(args || {});
-        const doc = result.document;
-        formattedOutput = `Document: ${doc.display_title}\n\n`;
-        formattedOutput += `ID:      ${doc.id}\n`;
-        formattedOutput += `Type:    ${doc.docty || 'N/A'}\n`;
-        formattedOutput += `Date:    ${doc.docdt ? new Date(doc.docdt).toISOString().split('T')[0] : 'N/A'}\n`;
-        formattedOutput += `URL:     ${doc.url || doc.pdfurl || 'N/A'}\n`;
-        if (doc.abstracts?.cdata) {
-          formattedOutput += `\nAbstract:\n${doc.abstracts.cdata.substring(0, 500)}...\n`;
+PARAMETERS:
+- dimension (string, required): What the columns are - "country", "document_type", "theme", "sector", "language" or "year"
+- values (array, required): 2-10 values of that dimension (e.g., ["Kenya", "Uganda", "Tanzania"]; years as "2020" or fiscal years as "FY2020")
+- facets (array, optional): Dimensions to break each column down by - "document_type", "sector", "theme", "country", "language" (default: ["document_type"])
+- rows (integer, optional): Values to show per facet, largest first, and number of top differences to list (default: 10, max: 50)
+- query, country, document_type, theme, sector, language, not_*, start_date, end_date, period, fiscal_year (optional): Filters applied to every column (same as wb_search_documents); do not also filter on the compared dimension
+- resolve_filters (boolean, optional): Match values and filters against known values (default: true)
+- cache (string, optional): "default", "refresh" or "bypass"
+
+Shares are percentages of each column's total document count. Documents can carry several sectors or themes, so shares in those facets may add up to more than 100%.
+
+EXAMPLES:
+- Peer countries by document type: { "dimension": "country", "values": ["Kenya", "Uganda", "Tanzania"] }
+- Sector mix on a topic: { "dimension": "country", "values": ["India", "Bangladesh"], "facets": ["sector", "theme"], "query": "urban transport" }
+- Fiscal years: { "dimension": "year", "values": ["FY2022", "FY2023", "FY2024"], "country": "Nigeria", "facets": ["document_type"] }
+
+RETURNS: One table per facet with counts and column shares, the top differences in share between columns, and structured JSON of the full matrix`,
+
+    ...toolSchemas('wb_compare'),
+    annotations: {
+      title: 'Compare Side by Side',
+      readOnlyHint: true,
+      destructiveHint: false
+    }
+  },
+  {
+    name: 'wb_save_search',
+    description: `Save a search under a name so it can be re-run later to see what is new.
+
+WHEN TO USE:
+- Monitor new procurement plans, environmental assessments or reports for a set of countries
+- Keep a recurring query (e.g., a weekly portfolio scan) without restating its filters
+
+PARAMETERS:
+- name (string, required): Name to save the search under (unique, matched without regard to case)
+- description (string, optional): What the search monitors
+- query, country, document_type, theme, sector, language, not_*, region, income_group, lending_category, start_date, end_date, period, fiscal_year (optional): Same filters as wb_search_documents; at least one is required. Relative periods ("last 6 months") are re-evaluated at every check
+- resolve_filters (boolean, optional): Match filter values against known values at each check (default: true)
+
+Saved searches are stored in a local JSON file (WB_SAVED_SEARCHES_FILE). Nothing is fetched when saving; the first wb_check_saved_search records the baseline.
+
+EXAMPLES:
+- Procurement plans for project countries: { "name": "East Africa procurement", "country": ["Kenya", "Uganda", "Tanzania"], "document_type": "Procurement Plan" }
+- Environmental assessments in a region: { "name": "SAR EAs", "region": "SAR", "document_type": "Environmental Assessment", "description": "Weekly safeguards scan" }
+
+RETURNS: The saved search with its filters and (empty) check history`,
+
+    ...toolSchemas('wb_save_search'),
+    annotations: {
+      title: 'Save Search',
+      readOnlyHint: false,
+      destructiveHint: false
+    }
+  },
+  {
+    name: 'wb_list_saved_searches',
+    description: `List saved searches with their filters and check history.
+
+WHEN TO USE:
+- See which searches are saved and when each was last checked
+- Look up the exact name of a saved search
+
+PARAMETERS: None
+
+EXAMPLES:
+- List everything: {}
+
+RETURNS: Table of saved searches (filters, last check, new documents at the last check, newest document date) + structured list`,
+
+    ...toolSchemas('wb_list_saved_searches'),
+    annotations: {
+      title: 'List Saved Searches',
+      readOnlyHint: true,
+      destructiveHint: false
+    }
+  },
+  {
+    name: 'wb_update_saved_search',
+    description: `Change the name, description or filters of a saved search.
+
+WHEN TO USE:
+- Add or change a filter of a saved search (e.g., another country)
+- Remove filters, rename a search or start its check history over
+
+PARAMETERS:
+- name (string, required): Saved search to change
+- new_name (string, optional): Rename it
+- description (string or null, optional): New description; null removes it
+- query, country, document_type, ... (optional): Filters to set; they replace the saved value of the same filter and leave the others alone
+- clear_filters (array, optional): Filter names to remove (e.g., ["end_date"])
+- resolve_filters (boolean, optional): Match filter values against known values at each check
+- reset (boolean, optional): Forget the check history so the next check records a new baseline (default: false)
+
+EXAMPLES:
+- Add a country: { "name": "East Africa procurement", "country": ["Kenya", "Uganda", "Tanzania", "Rwanda"] }
+- Drop a filter: { "name": "SAR EAs", "clear_filters": ["document_type"] }
+- Start over: { "name": "SAR EAs", "reset": true }
+
+RETURNS: The updated saved search`,
+
+    ...toolSchemas('wb_update_saved_search'),
+    annotations: {
+      title: 'Update Saved Search',
+      readOnlyHint: false,
+      destructiveHint: false
+    }
+  },
+  {
+    name: 'wb_delete_saved_search',
+    description: `Delete a saved search and its check history.
+
+WHEN TO USE:
+- Stop monitoring a search that is no longer needed
+
+PARAMETERS:
+- name (string, required): Saved search to delete
+
+EXAMPLES:
+- Delete: { "name": "SAR EAs" }
+
+RETURNS: The deleted saved search`,
+
+    ...toolSchemas('wb_delete_saved_search'),
+    annotations: {
+      title: 'Delete Saved Search',
+      readOnlyHint: false,
+      destructiveHint: true
+    }
+  },
+  {
+    name: 'wb_check_saved_search',
+    description: `Re-run saved searches and report only documents that are new since the last check.
+
+WHEN TO USE:
+- "What's new?" for a monitored search, instead of re-running it and comparing dates by hand
+- A summary of new documents across all saved searches
+
+PARAMETERS:
+- name (string, optional): Saved search to check; omit to check every saved search and get a summary
+- record (boolean, optional): Record the check, so the documents reported now are not reported again (default: true). false previews without changing anything
+- limit (integer, optional): New documents to list per search (default: ${DEFAULT_CHECK_LIMIT} for one search, ${DEFAULT_SUMMARY_LIMIT} per search when checking all; max: 100)
+- cache (string, optional): "default", "refresh" or "bypass"
+
+A document is new when it was not reported by an earlier check and is dated no earlier than the window earlier checks covered (the date of the oldest of up to ${MAX_SEEN_IDS.toLocaleString()} documents they remember). Documents disclosed late are caught when their date falls inside that window; ones dated before it are not reported. The first check of a search records the latest ${PAGE_SIZE} matches as a baseline. Each check reads up to ${CHECK_MAX_PAGES} pages of ${PAGE_SIZE} documents.
+
+EXAMPLES:
+- Check one search: { "name": "East Africa procurement" }
+- Summary across all saved searches: {}
+- Preview without recording: { "name": "SAR EAs", "record": false }
+
+RETURNS: Per search: new documents (newest first), their count, total matches, the previous check time and the new high-water mark (newest document date)`,
+
+    ...toolSchemas('wb_check_saved_search'),
+    annotations: {
+      title: 'Check Saved Search for New Documents',
+      readOnlyHint: false,
+      destructiveHint: false
+    }
+  },
+  {
+    name: 'wb_search_indicators',
+    description: `Search World Bank development indicators (GDP, poverty, electricity access, ...) by keyword.
+
+WHEN TO USE:
+- Find the indicator code behind a figure quoted in a report
+- Discover which indicators exist on a topic before fetching data with wb_get_indicator_data
+
+PARAMETERS:
+- query (string, required): Words to find in the indicator code, name, topics or definition (e.g., "electricity access", "poverty headcount", "NY.GDP")
+- source (string or integer, optional): Indicator source ID, code or name (default: 2, World Development Indicators). See wb_list_indicator_sources
+- topic (string, optional): Only indicators with a matching topic (e.g., "Energy", "Poverty")
+- limit (integer, optional): Maximum indicators to return (default: 20, max: 100)
+- cache (string, optional): "default", "refresh" or "bypass". Indicator catalogs are cached for 24 hours by default
+
+EXAMPLES:
+- By keyword: { "query": "access to electricity" }
+- Within a topic: { "query": "headcount", "topic": "Poverty" }
+- Another source: { "query": "enterprise", "source": "Enterprise Surveys" }
+
+RETURNS: Table of matching indicators (code, name, unit) + structured list with source, topics and definitions`,
+
+    ...toolSchemas('wb_search_indicators'),
+    annotations: {
+      title: 'Search Indicators',
+      readOnlyHint: true,
+      destructiveHint: false
+    }
+  },
+  {
+    name: 'wb_get_indicator_data',
+    description: `Get the yearly values of a World Bank indicator for one or more countries.
+
+WHEN TO USE:
+- Get the numbers behind a report: GDP, poverty headcount, electricity access, ...
+- Compare an indicator across countries or over time
+
+PARAMETERS:
+- indicator (string, required): Indicator code (e.g., "NY.GDP.MKTP.CD", "SI.POV.DDAY", "EG.ELC.ACCS.ZS"). Use wb_search_indicators to find codes
+- country (string or array, required): Country names or ISO2/ISO3 codes (e.g., "Kenya", ["KEN", "UGA"]), or aggregate codes such as "WLD" or "SSF"
+- start_year (integer, optional): First year (default: earliest available)
+- end_year (integer, optional): Last year (default: latest available)
+- most_recent (integer, optional): Only the N most recent years instead of a year range
+- cache (string, optional): "default", "refresh" or "bypass"
+
+EXAMPLES:
+- GDP since 2010: { "indicator": "NY.GDP.MKTP.CD", "country": "Kenya", "start_year": 2010 }
+- Electricity access for peers: { "indicator": "EG.ELC.ACCS.ZS", "country": ["Kenya", "Uganda", "Tanzania"], "most_recent": 10 }
+
+RETURNS: Year-by-country table with the latest available value per country + structured series with the indicator's definition, unit and source`,
+
+    ...toolSchemas('wb_get_indicator_data'),
+    annotations: {
+      title: 'Get Indicator Data',
+      readOnlyHint: true,
+      destructiveHint: false
+    }
+  },
+  {
+    name: 'wb_list_indicator_sources',
+    description: `List the data sources of the World Bank Indicators API (World Development Indicators, Doing Business, Enterprise Surveys, ...).
+
+WHEN TO USE:
+- Pick a source for wb_search_indicators
+- Check when a source was last updated
+
+PARAMETERS:
+- cache (string, optional): "default", "refresh" or "bypass"
+
+EXAMPLES:
+- List sources: {}
+
+RETURNS: Table of sources (ID, code, name, last updated) + structured list`,
+
+    ...toolSchemas('wb_list_indicator_sources'),
+    annotations: {
+      title: 'List Indicator Sources',
+      readOnlyHint: true,
+      destructiveHint: false
+    }
+  },
+  {
+    name: 'wb_get_project',
+    description: `Get a World Bank project by ID from the Projects API.
+
+WHEN TO USE:
+- Find out what project a document belongs to: name, status, commitment, approval date, implementing agency
+- Look up a project ID (P123456) seen in a document's metadata
+
+PARAMETERS:
+- project_id (string, required): Project ID (e.g., "P123456")
+- cache (string, optional): "default", "refresh" or "bypass"
+
+EXAMPLES:
+- Get a project: { "project_id": "P123456" }
+
+RETURNS: Project details (status, country, region, commitment in US$, approval and closing dates, lending instrument, implementing agency, borrower, team leader, sectors, abstract and URL)`,
+
+    ...toolSchemas('wb_get_project'),
+    annotations: {
+      title: 'Get World Bank Project',
+      readOnlyHint: true,
+      destructiveHint: false
+    }
+  },
+  {
+    name: 'wb_search_projects',
+    description: `Search World Bank projects in the Projects API.
+
+WHEN TO USE:
+- Find projects by keyword, country or status
+- List projects approved in a period, e.g. a fiscal year
+- Find a project ID to list its documents with wb_project_documents
+
+PARAMETERS:
+- query (string, optional): Words to find in the project name, abstract and other fields
+- country (string or array, optional): Country names or ISO2/ISO3 codes; a list matches any of them
+- status (string or array, optional): "Active", "Closed", "Pipeline" or "Dropped"
+- start_date, end_date, period, fiscal_year (optional): Board approval date range, in the same forms as wb_search_documents ("FY2019", "since 2020", ...)
+- limit (integer, optional): Projects per page (default: ${DEFAULT_PROJECT_RESULTS}, max: 100)
+- offset (integer, optional): Pagination offset (default: 0)
+- sort_order (string, optional): By board approval date, "desc" (default) or "asc"
+- cache (string, optional): "default", "refresh" or "bypass"
+
+EXAMPLES:
+- By keyword: { "query": "geothermal" }
+- Active projects in a country: { "country": "Kenya", "status": "Active" }
+- Approved in a fiscal year: { "country": ["KEN", "UGA"], "fiscal_year": "FY2023" }
+
+RETURNS: Table of projects (ID, name, country, status, approval date, commitment) + structured list with the full project details and the normalized date_range`,
+
+    ...toolSchemas('wb_search_projects'),
+    annotations: {
+      title: 'Search World Bank Projects',
+      readOnlyHint: true,
+      destructiveHint: false
+    }
+  },
+  {
+    name: 'wb_project_documents',
+    description: `List the documents of a World Bank project.
+
+WHEN TO USE:
+- See every document for a project: appraisal documents, procurement plans, implementation reports, ...
+- Find a project's latest document of one type
+
+PARAMETERS:
+- project_id (string, required): Project ID (e.g., "P123456")
+- document_type (string or array, optional): Only these document types (e.g., "Procurement Plan")
+- start_date, end_date, period, fiscal_year (optional): Document date range, as in wb_search_documents
+- limit (integer, optional): Documents per page (default: ${DEFAULT_PROJECT_DOCUMENTS}, max: 100)
+- offset (integer, optional): Pagination offset (default: 0)
+- sort_order (string, optional): By document date, "desc" (default) or "asc"
+- include_project (boolean, optional): Look up the project summary as well (default: true)
+- resolve_filters (boolean, optional): Match document_type against known values (default: true)
+- cache (string, optional): "default", "refresh" or "bypass"
+
+EXAMPLES:
+- All documents: { "project_id": "P123456" }
+- Latest procurement plan: { "project_id": "P123456", "document_type": "Procurement Plan", "limit": 1 }
+
+RETURNS: Project summary line + table of the project's documents (newest first) with the total count`,
+
+    ...toolSchemas('wb_project_documents'),
+    annotations: {
+      title: 'List Project Documents',
+      readOnlyHint: true,
+      destructiveHint: false
+    }
+  },
+  {
+    name: 'wb_list_facets',
+    description: `Get available values and counts for filtering fields.
+
+WHEN TO USE:
+- Discover available values for filters (countries, document types, themes, etc.)
+- Validate filter values before using them
+- Get counts of documents matching each value
+- Build filter UI or autocomplete suggestions
+
+PARAMETERS:
+- facets (array, required): Field names to facet (e.g., ["count_exact", "docty_exact", "lang_exact", "majtheme_exact", "sectr_exact"]). wb_describe_fields with kind "facetable" lists them all
+- filter_query (object, optional): Query to filter documents before faceting (same parameters as wb_search_documents, but only used for filtering)
+- resolve_filters (boolean, optional): Match filter_query values against known values (default: true)
+- cache (string, optional): "default", "refresh" or "bypass"
+
+EXAMPLES:
+- List countries: { "facets": ["count_exact"] }
+- List document types: { "facets": ["docty_exact"] }
+- List languages: { "facets": ["lang_exact"] }
+- Filtered facets: { "facets": ["docty_exact"], "filter_query": { "country": "Mexico" } }
+- Facets for a fiscal year: { "facets": ["sectr_exact"], "filter_query": { "country": "Peru", "fiscal_year": "FY2022" } }
+- Multiple facets: { "facets": ["count_exact", "docty_exact", "lang_exact"] }
+
+RETURNS: Columnar table display + structured facet data`,
+
+    ...toolSchemas('wb_list_facets'),
+    annotations: {
+      title: 'List Filter Facets',
+      readOnlyHint: true,
+      destructiveHint: false
+    }
+  },
+  {
+    name: 'wb_list_countries',
+    description: `Get list of all available countries with document counts.
+
+WHEN TO USE:
+- Discover available countries
+- Get country names for use in search filters
+- See document counts per country
+- Validate country names before searching
+- Look up ISO codes, World Bank region, income group or lending category of a country
+- Find which countries belong to a region or income group
+
+PARAMETERS:
+- region (string or array, optional): Only countries in these regions - "EAP", "ECA", "LAC", "MNA", "NAC", "SAR", "SSA" or their names (e.g., "Sub-Saharan Africa")
+- income_group (string or array, optional): Only countries in these income groups - "LIC", "LMC", "UMC", "HIC" or their names
+- lending_category (string or array, optional): Only countries in these lending categories - "IDA", "IBRD" or "Blend"
+- group_by (string, optional): Group the list by "region", "income_group" or "lending_category"
+- cache (string, optional): "default", "refresh" or "bypass". The country list is cached for 24 hours by default
+
+EXAMPLES:
+- List all countries: {}
+- Countries of a region: { "region": "SSA" }
+- Low-income IDA countries by region: { "income_group": "LIC", "lending_category": "IDA", "group_by": "region" }
+- Force a fresh list: { "cache": "refresh" }
+
+RETURNS: Columnar table display + structured countries array with ISO codes, region, income group and lending category (FY2025 classification), plus group totals when grouped`,
+
+    ...toolSchemas('wb_list_countries'),
+    annotations: {
+      title: 'List Countries',
+      readOnlyHint: true,
+      destructiveHint: false
+    }
+  },
+  {
+    name: 'wb_list_document_types',
+    description: `Get list of all available document types with counts.
+
+WHEN TO USE:
+- Discover available document types
+- Get document type names for use in search filters
+- See document counts per type
+- Understand what types of documents are available
+
+PARAMETERS:
+- cache (string, optional): "default", "refresh" or "bypass". The document type list is cached for 24 hours by default
+
+EXAMPLES:
+- List all document types: {}
+- Force a fresh list: { "cache": "refresh" }
+
+RETURNS: Columnar table display + structured document types array`,
+
+    ...toolSchemas('wb_list_document_types'),
+    annotations: {
+      title: 'List Document Types',
+      readOnlyHint: true,
+      destructiveHint: false
+    }
+  },
+  {
+    name: 'wb_describe_fields',
+    description: `Describe the World Bank document fields: what each contains, its type, and whether it can be sorted on or faceted.
+
+WHEN TO USE:
+- Pick valid names for "fields" in wb_search_documents / wb_get_document
+- Find the *_exact facet name for wb_list_facets
+- Check which fields sort_by accepts
+
+PARAMETERS:
+- name (string, optional): Describe one field, looked up by field name, facet name, filter name or label (e.g., "docdt", "count_exact", "country")
+- kind (string, optional): "all", "facetable" or "sortable" (default: "all")
+
+EXAMPLES:
+- Full catalog: {}
+- Facetable fields: { "kind": "facetable" }
+- One field: { "name": "repnb" }
+
+RETURNS: Columnar table of fields (name, label, type, sortable, facet, filter argument) + structured catalog`,
+
+    ...toolSchemas('wb_describe_fields'),
+    annotations: {
+      title: 'Describe Document Fields',
+      readOnlyHint: true,
+      destructiveHint: false
+    }
+  },
+  {
+    name: 'wb_clear_cache',
+    description: `Clear the local response cache.
+
+WHEN TO USE:
+- Cached country or document type lists look stale
+- Inspect cache settings (TTLs, size, on-disk directory)
+
+PARAMETERS:
+- stats_only (boolean, optional): Report cache settings without clearing anything (default: false)
+
+EXAMPLES:
+- Clear everything: {}
+- Show cache settings: { "stats_only": true }
+
+RETURNS: Number of cleared entries + cache settings`,
+
+    ...toolSchemas('wb_clear_cache'),
+    annotations: {
+      title: 'Clear Response Cache',
+      readOnlyHint: false,
+      destructiveHint: false,
+      idempotentHint: true
+    }
+  }
+];
+
+// Column left out when the table is already grouped by that classification
+const COUNTRY_COLUMNS = { region: 'Region', income_group: 'Income', lending_category: 'Lending' };
+
+function formatCountryTable(countries, groupBy) {
+  const rows = countries.map(c => ({
+    Name: c.name,
+    ISO3: c.iso3 || '',
+    Region: c.region || '',
+    Income: c.income_group || '',
+    Lending: c.lending_category || '',
+    Count: c.count.toLocaleString()
+  }));
+  const columns = [
+    'Name',
+    'ISO3',
+    { name: 'Region', optional: true },
+    { name: 'Income', optional: true },
+    { name: 'Lending', optional: true },
+    'Count'
+  ];
+  return formatTable(rows, groupBy ? columns.filter(column => column.name !== COUNTRY_COLUMNS[groupBy]) : columns);
+}
+
+function formatCountryGroups(result, groupBy) {
+  return result.groups.map(group => {
+    const members = result.countries.filter(country => (country[groupBy] ?? 'Not classified') === group.name);
+    const heading = `${group.name}${group.code && group.code !== group.name ? ` (${group.code})` : ''}: ${group.countries} ${group.countries === 1 ? 'country' : 'countries'}, ${group.documents.toLocaleString()} documents`;
+    return `${heading}\n\n${formatCountryTable(members, groupBy)}`;
+  }).join('\n\n');
+}
+
+function formatDocumentTypeTable(types) {
+  const rows = types.map(t => ({
+    'Document Type': t.name,
+    Count: t.count.toLocaleString()
+  }));
+  return formatTable(rows, [{ name: 'Document Type', width: 40 }, 'Count']);
+}
+
+function formatSearchResultsTable(documents, limit = 50) {
+  const rows = documents.map(doc => ({
+    ID: doc.id,
+    Title: doc.display_title,
+    Type: doc.docty,
+    Country: doc.count,
+    Date: doc.docdt ? new Date(doc.docdt).toISOString().split('T')[0] : ''
+  }));
+  return formatTable(rows, [
+    'ID',
+    { name: 'Title', width: limit },
+    { name: 'Type', width: 25, optional: true },
+    { name: 'Country', width: 20, optional: true },
+    'Date'
+  ]);
+}
+
+// Notes on filter values that were corrected, are ambiguous or matched nothing
+function formatResolutions(resolutions) {
+  if (!resolutions || resolutions.length === 0) return '';
+  
+  const lines = resolutions.map(r => {
+    const candidates = r.candidates.map(c => `"${c.value}"`).join(', ');
+    switch (r.status) {
+      case 'exact':
+      case 'substituted':
+        return `- ${r.filter}: "${r.input}" → "${r.resolved}"${r.method !== 'exact' ? ` (${r.method} match)` : ''}`;
+      case 'ambiguous':
+        return `- ${r.filter}: "${r.input}" is ambiguous; used "${r.resolved}". Candidates: ${candidates}`;
+      default:
+        return `- ${r.filter}: "${r.input}" matches no known value${candidates ? `; did you mean ${candidates}?` : ''}`;
+    }
+  });
+  return `Filter adjustments:\n${lines.join('\n')}\n\n`;
+}
+
+// Echo of the normalized date range, so relative and fiscal periods can be checked
+function formatDateRange(range) {
+  if (!range) return '';
+  const dates = [range.start_date || '…', range.end_date || '…'].join(' to ');
+  const names = [...new Set([range.input, range.label])].filter(name => name !== dates);
+  return `Date range: ${names.length > 0 ? `${names.join(' = ')} (${dates})` : dates}\n\n`;
+}
+
+function formatDocumentDetail(doc, { fullAbstract = false, renditions, related } = {}) {
+  let output = `Document: ${doc.display_title}\n`;
+  
+  for (const section of documentSections(doc)) {
+    const width = Math.max(...section.fields.map(field => field.label.length)) + 2;
+    output += `\n${section.title}\n`;
+    for (const field of section.fields) {
+      output += `  ${`${field.label}:`.padEnd(width)}${field.value.replace(/\n/g, ' ')}\n`;
+    }
+  }
+  
+  const abstract = documentAbstract(doc, fullAbstract);
+  if (abstract) {
+    output += `\nAbstract${abstract.truncated ? ` (${abstract.length.toLocaleString()} characters; pass "full_abstract": true for all of it)` : ''}\n`;
+    output += `${abstract.text}\n`;
+  }
+  
+  if (renditions) {
+    output += `\nRenditions\n`;
+    output += formatTable(renditions.map(rendition => ({
+      Format: rendition.format,
+      Language: rendition.language || '',
+      URL: rendition.url
+    })), ['Format', 'Language', 'URL']);
+    output += '\n';
+  } else {
+    output += `\nURL: ${doc.url || doc.pdfurl || 'N/A'}\n`;
+  }
+  
+  for (const group of related || []) {
+    const label = group.relation === 'project' ? `project ${group.value}` : `report number ${group.value}`;
+    output += `\nOther documents with ${label}: ${group.total.toLocaleString()}`;
+    if (group.total > group.documents.length) {
+      output += ` (showing ${group.documents.length})`;
+    }
+    output += '\n';
+    if (group.documents.length > 0) {
+      output += formatSearchResultsTable(group.documents) + '\n';
+    }
+  }
+  return output;
+}
+
+function formatDocumentText(result) {
+  let output = `Document: ${result.display_title}\n`;
+  output += `Source:  ${result.source.toUpperCase()} (${result.total_pages} pages, ${result.total_chunks} chunks, ~${result.total_tokens.toLocaleString()} tokens)\n\n`;
+  
+  if (result.matches) {
+    output += `Matches for "${result.search}": ${result.total_matches}`;
+    if (result.total_matches > result.matches.length) {
+      output += ` (showing first ${result.matches.length})`;
+    }
+    output += '\n\n';
+    output += formatTable(result.matches.map(match => ({
+      Chunk: String(match.chunk),
+      Page: String(match.page),
+      Snippet: match.snippet
+    })), ['Chunk', 'Page', 'Snippet']);
+    return output;
+  }
+  
+  const { chunk } = result;
+  const pages = chunk.page_start === chunk.page_end ? `page ${chunk.page_start}` : `pages ${chunk.page_start}-${chunk.page_end}`;
+  output += `── Chunk ${chunk.index + 1} of ${result.total_chunks} (${pages}, ~${chunk.tokens} tokens) ──\n\n`;
+  output += `${chunk.text}\n\n`;
+  output += result.next_chunk !== null
+    ? `── Continue with { "document_id": "${result.document_id}", "source": "${result.source}", "chunk": ${result.next_chunk} } ──`
+    : '── End of document ──';
+  return output;
+}
+
+function formatRelatedDocuments(result) {
+  const { source } = result;
+  let output = `Documents related to ${source.document_id}: ${source.display_title}\n`;
+  const basis = [
+    source.project_id && `project ${source.project_id}`,
+    source.country && `country ${source.country}`,
+    source.sector && `sector ${source.sector}`,
+    source.theme && `theme ${source.theme}`,
+    source.key_terms.length > 0 && `key terms ${source.key_terms.join(', ')}`
+  ].filter(Boolean);
+  output += `Based on: ${basis.join('; ') || 'nothing to match on'}\n`;
+  output += `Found ${result.total_related} related documents among ${result.total_candidates} candidates`;
+  if (result.total_related > result.documents.length) {
+    output += ` (showing ${result.documents.length})`;
+  }
+  output += '\n\n';
+  
+  output += formatTable(result.documents.map((doc, index) => ({
+    '#': String(index + 1),
+    ID: doc.id + (doc.duplicate_ids.length > 0 ? ` (+${doc.duplicate_ids.length})` : ''),
+    Title: doc.display_title,
+    Date: doc.docdt ? new Date(doc.docdt).toISOString().split('T')[0] : '',
+    Score: doc.score.toFixed(1),
+    Why: doc.reasons.join('; ')
+  })), ['#', 'ID', { name: 'Title', width: 50 }, 'Date', { name: 'Score', optional: true }, { name: 'Why', optional: true }]);
+  
+  if (result.documents.some(doc => doc.duplicate_ids.length > 0)) {
+    output += '\n\n(+N) Other copies of the same report (languages, volumes) collapsed into this entry';
+  }
+  return output;
+}
+
+// Saved filters in one line, e.g. "country=Kenya|Uganda; document_type=Procurement Plan"
+function describeFilters(filters) {
+  return Object.entries(filters)
+    .map(([name, value]) => `${name}=${Array.isArray(value) ? value.join('|') : typeof value === 'object' ? JSON.stringify(value) : value}`)
+    .join('; ');
+}
+
+function formatTimestamp(value) {
+  return value ? value.replace('T', ' ').slice(0, 16) : 'never';
+}
+
+function formatSavedSearch(search) {
+  let output = `Saved search "${search.name}"\n`;
+  if (search.description) {
+    output += `Description:  ${search.description}\n`;
+  }
+  output += `Filters:      ${describeFilters(search.filters)}\n`;
+  output += `Last checked: ${formatTimestamp(search.last_checked_at)}`;
+  if (search.last_checked_at) {
+    output += ` (${search.checks} checks, newest document ${search.high_water_mark || 'n/a'})`;
+  }
+  return output + '\n';
+}
+
+function formatSavedSearchTable(searches) {
+  if (searches.length === 0) {
+    return 'No saved searches yet. Create one with wb_save_search.';
+  }
+  const rows = searches.map(search => ({
+    Name: search.name,
+    Filters: describeFilters(search.filters),
+    'Last checked': formatTimestamp(search.last_checked_at),
+    'New last time': search.last_new_count === null ? '—' : String(search.last_new_count),
+    Newest: search.high_water_mark || '—'
+  }));
+  return formatTable(rows, [
+    { name: 'Name', width: 30 },
+    { name: 'Filters', width: 50 },
+    'Last checked',
+    { name: 'New last time', optional: true },
+    { name: 'Newest', optional: true }
+  ]);
+}
+
+function formatSavedSearchCheck(result) {
+  if (result.searches.length === 0) {
+    return 'No saved searches yet. Create one with wb_save_search.';
+  }
+  
+  const headline = check => {
+    if (check.error) return `"${check.name}" failed: ${check.error}`;
+    if (check.first_check) {
+      return `"${check.name}": first check, ${check.new_count.toLocaleString()} documents recorded as the baseline (${check.total.toLocaleString()} match)`;
+    }
+    return `"${check.name}": ${check.new_count.toLocaleString()} new since ${formatTimestamp(check.previous_check)} (${check.total.toLocaleString()} match)`;
+  };
+  const listing = check => {
+    if (check.documents.length === 0) return '';
+    const note = check.new_count > check.documents.length ? `Newest ${check.documents.length} shown:\n` : '';
+    return `${note}${formatSearchResultsTable(check.documents)}\n`;
+  };
+  
+  let output = '';
+  if (result.searches.length === 1) {
+    const [check] = result.searches;
+    output += formatResolutions(check.resolutions) + formatDateRange(check.date_range);
+    output += `Saved search ${headline(check)}\n\n`;
+    output += listing(check);
+  } else {
+    output += `Saved searches checked: ${result.searches.length}\n\n`;
+    output += formatTable(result.searches.map(check => ({
+      Name: check.name,
+      New: check.error ? 'error' : check.first_check ? 'baseline' : String(check.new_count),
+      Matching: check.error ? '—' : check.total.toLocaleString(),
+      'Previous check': formatTimestamp(check.previous_check),
+      Newest: check.high_water_mark || '—'
+    })), [
+      { name: 'Name', width: 30 },
+      'New',
+      'Matching',
+      { name: 'Previous check', optional: true },
+      { name: 'Newest', optional: true }
+    ]);
+    output += '\n';
+    for (const check of result.searches.filter(check => check.error || (!check.first_check && check.new_count > 0))) {
+      output += `\n${headline(check)}\n${listing(check)}`;
+    }
+  }
+  
+  if (!result.recorded) {
+    output += '\nPreview only: nothing was recorded, so the same documents will be reported again.';
+  }
+  return output.trimEnd();
+}
+
+function formatIndicatorValue(value) {
+  return value === null ? '—' : value.toLocaleString('en-US', { maximumFractionDigits: 2 });
+}
+
+function formatIndicatorTable(indicators) {
+  const rows = indicators.map(indicator => ({
+    Code: indicator.id,
+    Name: indicator.name,
+    Unit: indicator.unit
+  }));
+  const unit = indicators.some(indicator => indicator.unit) ? [{ name: 'Unit', width: 20, optional: true }] : [];
+  return formatTable(rows, ['Code', { name: 'Name', width: 70 }, ...unit]);
+}
+
+// One row per year, one column per country; years without any value are left out
+function formatIndicatorData(result) {
+  const { indicator } = result;
+  let output = `Indicator: ${indicator.name} [${indicator.id}]\n`;
+  const about = [
+    indicator.unit && `Unit: ${indicator.unit}`,
+    indicator.source && `Source: ${indicator.source}${result.last_updated ? ` (updated ${result.last_updated})` : ''}`
+  ].filter(Boolean);
+  if (about.length > 0) {
+    output += `${about.join('; ')}\n`;
+  }
+  output += '\n';
+  
+  if (result.series.length === 0) {
+    return output + 'No data for these countries and years.';
+  }
+  
+  const columns = result.series.map(series => series.country_code || series.country);
+  const years = [...new Set(result.series.flatMap(series => series.points
+    .filter(point => point.value !== null)
+    .map(point => point.year)))].sort();
+  const rows = years.map(year => {
+    const row = { Year: year };
+    result.series.forEach((series, index) => {
+      row[columns[index]] = formatIndicatorValue(series.points.find(point => point.year === year)?.value ?? null);
+    });
+    return row;
+  });
+  output += formatTable(rows, ['Year', ...columns]);
+  
+  output += '\n\nLatest available:\n';
+  output += result.series
+    .map(series => `- ${series.country}: ${series.latest ? `${formatIndicatorValue(series.latest.value)} (${series.latest.year})` : 'no data'}`)
+    .join('\n');
+  if (result.truncated) {
+    output += `\n\nTruncated after ${MAX_DATA_PAGES * DATA_PAGE_SIZE} values; narrow the years or countries.`;
+  }
+  return output;
+}
+
+function formatIndicatorSourceTable(sources) {
+  const rows = sources.map(source => ({
+    ID: source.id,
+    Code: source.code || '',
+    Name: source.name,
+    'Last updated': source.last_updated || '',
+    Data: source.data_available ? 'yes' : 'no'
+  }));
+  return formatTable(rows, [
+    'ID',
+    { name: 'Code', optional: true },
+    { name: 'Name', width: 50 },
+    'Last updated',
+    { name: 'Data', optional: true }
+  ]);
+}
+
+function formatUsd(amount) {
+  if (amount === null || amount === undefined) return '—';
+  if (amount >= 1e9) return `US$${(amount / 1e9).toFixed(2)}B`;
+  if (amount >= 1e6) return `US$${(amount / 1e6).toFixed(1)}M`;
+  return `US$${amount.toLocaleString('en-US')}`;
+}
+
+// One line per project, e.g. for the projects behind a page of documents
+function formatProjectSummary(project) {
+  const about = [
+    project.status,
+    project.country,
+    project.commitment_usd !== null && formatUsd(project.commitment_usd),
+    project.approval_date && `approved ${project.approval_date}`,
+    project.implementing_agency && `implemented by ${truncate(project.implementing_agency, 60)}`
+  ].filter(Boolean);
+  return `${project.id}: ${project.name}${about.length > 0 ? ` (${about.join(', ')})` : ''}`;
+}
+
+function formatDocumentProjects(documents) {
+  const projects = new Map();
+  const unknown = new Set();
+  for (const doc of documents) {
+    if (doc.project) projects.set(doc.project.id, doc.project);
+    else if (doc.project === null) unknown.add(documentProjectIds(doc)[0]);
+  }
+  if (projects.size === 0 && unknown.size === 0) return '';
+  let output = '\n\nProjects:\n';
+  output += [...projects.values()].map(project => `- ${formatProjectSummary(project)}`).join('\n');
+  if (unknown.size > 0) {
+    output += `${projects.size > 0 ? '\n' : ''}- Not found in the Projects API: ${[...unknown].join(', ')}`;
+  }
+  return output;
+}
+
+function formatProjectDetail(project) {
+  let output = `Project: ${project.name} [${project.id}]\n\n`;
+  const fields = [
+    ['Status', project.status],
+    ['Country', project.country],
+    ['Region', project.region],
+    ['Commitment', project.commitment_usd !== null ? formatUsd(project.commitment_usd) : null],
+    ['Approved', project.approval_date],
+    ['Closing', project.closing_date],
+    ['Instrument', project.lending_instrument],
+    ['Implementing agency', project.implementing_agency],
+    ['Borrower', project.borrower],
+    ['Team leader', project.team_lead],
+    ['Sectors', project.sectors.join('; ')]
+  ].filter(([, value]) => value);
+  const width = Math.max(...fields.map(([label]) => label.length)) + 2;
+  for (const [label, value] of fields) {
+    output += `  ${`${label}:`.padEnd(width)}${value}\n`;
+  }
+  if (project.abstract) {
+    output += `\nAbstract\n${truncate(project.abstract, 500)}\n`;
+  }
+  output += `\nURL: ${project.url}\n`;
+  output += `Documents: wb_project_documents { "project_id": "${project.id}" }`;
+  return output;
+}
+
+function formatProjectTable(projects) {
+  const rows = projects.map(project => ({
+    ID: project.id,
+    Name: project.name,
+    Country: project.country,
+    Status: project.status || '',
+    Approved: project.approval_date || '',
+    Commitment: formatUsd(project.commitment_usd)
+  }));
+  return formatTable(rows, [
+    'ID',
+    { name: 'Name', width: 50 },
+    { name: 'Country', width: 20, optional: true },
+    'Status',
+    { name: 'Approved', optional: true },
+    'Commitment'
+  ]);
+}
+
+function formatFacetTable(facetData, facetName) {
+  const rows = Object.values(facetData).map(item => ({
+    Name: item.name,
+    Count: item.count.toLocaleString()
+  }));
+  return formatTable(rows, [{ name: 'Name', width: 40 }, 'Count']);
+}
+
+function formatTrendTable(result) {
+  const values = result.breakdown?.values || [];
+  const rows = result.periods.map((period, index) => {
+    const previous = result.periods[index - 1];
+    const row = {
+      Period: period.partial ? `${period.period}*` : period.period,
+      Documents: period.count.toLocaleString(),
+      Change: previous && previous.count > 0
+        ? `${period.count >= previous.count ? '+' : ''}${Math.round((period.count - previous.count) / previous.count * 100)}%`
+        : '—'
+    };
+    // Keyed by position: values may only differ after the truncated label
+    values.forEach((value, valueIndex) => {
+      row[`breakdown${valueIndex}`] = (period.breakdown?.[value] || 0).toLocaleString();
+    });
+    return row;
+  });
+  const labels = uniqueLabels(values, 24);
+  return formatTable(rows, ['Period', 'Documents', 'Change', ...labels.map((label, index) => ({ name: `breakdown${index}`, label }))]);
+}
+
+function formatShare(share) {
+  return `${(share * 100).toFixed(1)}%`;
+}
+
+function formatComparisonTable(result, facet) {
+  // Keyed by position: labels may only differ after the truncation
+  const columns = uniqueLabels(result.columns.map(column => column.label), 20)
+    .map((label, index) => ({ name: `column${index}`, label }));
+  const totalRow = { Value: 'All documents' };
+  result.columns.forEach((column, index) => {
+    totalRow[columns[index].name] = column.total.toLocaleString();
+  });
+  const rows = result.facets[facet].map(row => {
+    const cells = { Value: row.value };
+    result.columns.forEach((column, index) => {
+      cells[columns[index].name] = `${row.counts[column.label].toLocaleString()} (${formatShare(row.shares[column.label])})`;
+    });
+    return cells;
+  });
+  return formatTable([totalRow, ...rows], [{ name: 'Value', width: 36 }, ...columns]);
+}
+
+function formatFieldTable(fields) {
+  const rows = fields.map(field => ({
+    Field: field.name,
+    Label: field.label,
+    Type: field.type,
+    Sortable: field.sortable ? 'yes' : 'no',
+    Facet: field.facet || '—',
+    Filter: field.filter || '—'
+  }));
+  return formatTable(rows, [
+    'Field',
+    { name: 'Label', optional: true },
+    'Type',
+    { name: 'Sortable', optional: true },
+    { name: 'Facet', optional: true },
+    { name: 'Filter', optional: true }
+  ]);
+}
+
+// Tool handler functions
+// Map the common filter arguments to WDS query parameters
+function buildFilterParams(filter = {}) {
+  const params = {};
+  
+  const qterm = buildQueryTerm(filter.query, filter);
+  if (qterm) params.qterm = qterm;
+  // Facet filters take one value or an OR-list
+  for (const [name, field] of Object.entries(RESOLVABLE_FILTERS)) {
+    const value = facetValue(filter[name]);
+    if (value) params[field] = value;
+  }
+  if (filter.start_date) params.strdate = filter.start_date;
+  if (filter.end_date) params.enddate = filter.end_date;
+  
+  return params;
+}
+
+function buildSearchParams(args) {
+  const params = buildFilterParams(args);
+  
+  if (args.limit !== undefined) params.rows = args.limit;
+  if (args.offset !== undefined) params.os = args.offset;
+  if (args.fields && Array.isArray(args.fields) && args.fields.length > 0) {
+    params.fl = args.fields.join(',');
+  }
+  if (args.sort_by) params.sort = args.sort_by;
+  if (args.sort_order) params.order = args.sort_order;
+  
+  return params;
+}
+
+// Convert documents object (keyed D{id}, plus facets) to array
+function extractDocuments(apiResponse) {
+  const documents = [];
+  if (apiResponse.documents) {
+    for (const key in apiResponse.documents) {
+      if (key !== 'facets' && key.startsWith('D')) {
+        documents.push(apiResponse.documents[key]);
+      }
+    }
+  }
+  return documents;
+}
+
+// Facet values for a field, used to resolve loosely written filter values
+async function loadFacetValues(field) {
+  const apiResponse = await fetchFromAPI({ fct: field, rows: 0 });
+  return Object.values(apiResponse.documents?.facets?.[field] || {}).map(item => item.name);
+}
+
+// Resolve filter values against facet values unless resolve_filters is false
+async function resolveFilterArgs(filter = {}, enabled = true) {
+  // period, fiscal_year and date expressions become concrete start/end dates
+  const dateRange = resolveDateRange(filter);
+  const dated = {
+    ...filter,
+    period: undefined,
+    fiscal_year: undefined,
+    start_date: dateRange?.start_date ?? undefined,
+    end_date: dateRange?.end_date ?? undefined,
+    region: undefined,
+    income_group: undefined,
+    lending_category: undefined
+  };
+  const resolved = enabled === false
+    ? { filters: dated, resolutions: [] }
+    : await resolveFilters(dated, loadFacetValues);
+  return { ...(await applyCountryGroups(filter, resolved, enabled)), dateRange };
+}
+
+// Expand region, income_group and lending_category into a country OR-list.
+// An explicit country filter narrows the expansion to its own countries.
+async function applyCountryGroups(filter, { filters, resolutions }, enabled) {
+  const membership = countriesInGroups(filter);
+  if (!membership) {
+    return { filters, resolutions };
+  }
+  
+  let members = membership.countries;
+  if (filters.country !== undefined) {
+    const requested = (Array.isArray(filters.country) ? filters.country : [filters.country]).map(findCountry);
+    members = members.filter(country => requested.includes(country));
+  }
+  
+  // Send the names WDS uses; economies without any documents are dropped
+  let names = members.map(country => country.name);
+  if (enabled !== false) {
+    try {
+      const wdsNames = new Map((await loadFacetValues('count_exact')).map(value => [findCountry(value), value]));
+      names = members.map(country => wdsNames.get(country)).filter(Boolean);
+    } catch (error) {
+      console.error(`Could not load count_exact values for group expansion: ${error.message}`);
+    }
+  }
+  
+  const described = Object.entries(membership.groups)
+    .map(([kind, groups]) => `${kind.replace('_', ' ')} ${groups.map(group => group.name).join(' or ')}`)
+    .join(' and ');
+  if (names.length === 0) {
+    throw invalidArgument(`No countries with documents match ${described}${filters.country !== undefined ? ' among the requested countries' : ''}`);
+  }
+  
+  return {
+    filters: { ...filters, country: names },
+    resolutions: [
+      ...resolutions,
+      ...Object.entries(membership.groups).map(([kind, groups]) => ({
+        filter: kind,
+        input: [filter[kind]].flat().join(', '),
+        resolved: `${groups.map(group => group.name).join(' or ')} (${names.length} ${names.length === 1 ? 'country' : 'countries'})`,
+        status: 'substituted',
+        method: 'group',
+        score: 1,
+        candidates: []
+      }))
+    ]
+  };
+}
+
+// Search arguments and position held in a cursor; only cache may accompany it
+function readCursor(args) {
+  const { cursor, cache, ...rest } = args;
+  const extra = Object.keys(rest).filter(key => rest[key] !== undefined);
+  if (extra.length > 0) {
+    throw invalidArgument(`cursor already holds the search; pass it without ${extra.join(', ')}`);
+  }
+  const state = decodeCursor(cursor);
+  const { cursor: _cursor, offset: _offset, ...search } = parseArguments('wb_search_documents', state.search);
+  return { ...state, search: { ...search, cache } };
+}
+
+async function handleSearchDocuments(args) {
+  const { search, offset, seen, history, date_range: pinnedRange } = args.cursor
+    ? readCursor(args)
+    : { search: args, offset: args.offset ?? 0, seen: [], history: [], date_range: null };
+  // Later pages reuse the dates of the first, so relative periods do not move
+  const dated = pinnedRange
+    ? { ...search, period: undefined, fiscal_year: undefined, start_date: pinnedRange.start_date ?? undefined, end_date: pinnedRange.end_date ?? undefined }
+    : search;
+  const { filters, resolutions, dateRange: resolvedRange } = await resolveFilterArgs(dated, search.resolve_filters);
+  const dateRange = pinnedRange ?? resolvedRange;
+  const params = buildSearchParams(withCitationFields(
+    withProjectField({ ...filters, limit: undefined, offset: undefined }, search.include_project),
+    search.citation
+  ));
+  
+  // max_results merges full pages; IDs already returned (including those at
+  // the end of the previous page) are skipped in case results shifted
+  const pageSize = search.max_results ? PAGE_SIZE : search.limit ?? DEFAULT_SEARCH_LIMIT;
+  const wanted = search.max_results ?? pageSize;
+  const returned = new Set(seen);
+  let documents = [];
+  let position = offset;
+  let total = 0;
+  let requests = 0;
+  let duplicates = 0;
+  while (documents.length < wanted) {
+    const apiResponse = await fetchFromAPI({ ...params, rows: pageSize, os: position }, { cache: search.cache });
+    const page = extractDocuments(apiResponse);
+    total = apiResponse.total || 0;
+    requests++;
+    
+    for (const doc of page) {
+      if (documents.length >= wanted) break;
+      position++;
+      if (returned.has(String(doc.id))) {
+        duplicates++;
+        continue;
+      }
+      returned.add(String(doc.id));
+      documents.push(doc);
+    }
+    if (page.length < pageSize || position >= total) {
+      break;
+    }
+  }
+  
+  const { cursor: _cursor, offset: _offset, cache: _cache, ...cursorSearch } = search;
+  const nextCursor = position < total
+    ? encodeCursor({
+      search: cursorSearch,
+      offset: position,
+      date_range: dateRange,
+      seen: documents.map(doc => String(doc.id)),
+      history: [...history, offset]
+    })
+    : null;
+  // The previous page starts where it was recorded; skipped repeats make
+  // counting back from offset land elsewhere. Without a record (an explicit
+  // offset, or history beyond CURSOR_HISTORY) the page size is counted back.
+  const prevCursor = offset > 0
+    ? encodeCursor({
+      search: cursorSearch,
+      offset: history.length > 0 ? history[history.length - 1] : Math.max(0, offset - wanted),
+      date_range: dateRange,
+      history: history.slice(0, -1)
+    })
+    : null;
+  
+  if (search.include_project) {
+    documents = await attachProjects(documents, search.cache);
+  }
+  
+  if (search.citation) {
+    // Copy rather than mutate: documents may be shared with the response cache
+    documents = documents.map(doc => {
+      const citation = citeDocument(doc, search.citation);
+      return { ...doc, citation: citation.data || citation.text };
+    });
+  }
+  
+  return {
+    total,
+    rows: documents.length,
+    page: Math.floor(offset / wanted) + 1,
+    offset,
+    documents,
+    next_cursor: nextCursor,
+    prev_cursor: prevCursor,
+    duplicates_skipped: duplicates,
+    requests,
+    date_range: dateRange,
+    resolutions
+  };
+}
+
+async function handleGetDocument(args) {
+  if (!args.document_id) {
+    throw invalidArgument('Missing required parameter: document_id');
+  }
+  
+  const params = {
+    id: args.document_id,
+    rows: 1
+  };
+  
+  if (args.fields && Array.isArray(args.fields) && args.fields.length > 0) {
+    // Related documents and translations are found through these fields
+    const lookups = args.include_related || args.include_renditions ? ['projectid', 'repnb', 'lang'] : args.include_project ? ['projectid'] : [];
+    params.fl = [...new Set([...args.fields, ...lookups])].join(',');
+  }
+  
+  const apiResponse = await fetchFromAPI(params, { cache: args.cache });
+  
+  // Find the document (key is D{document_id})
+  let document = null;
+  if (apiResponse.documents) {
+    const docKey = `D${args.document_id}`;
+    document = apiResponse.documents[docKey] || null;
+    
+    // If not found by key, search for it
+    if (!document) {
+      for (const key in apiResponse.documents) {
+        if (key !== 'facets' && key.startsWith('D')) {
+          const doc = apiResponse.documents[key];
+          if (doc.id === args.document_id) {
+            document = doc;
+            break;
+          }
         }
-        structuredContent = result;
-        break;
-      case 'wb_list_facets':
-        result = await handleListFacets(args || {});
-        formattedOutput = 'Filter Options (Facets)\n\n';
-        for (const [facetName, facetData] of Object.entries(result.facets)) {
-          formattedOutput += `${facetName}:\n`;
-          formattedOutput += formatFacetTable(facetData, facetName) + '\n\n';
+      }
+    }
+  }
+  
+  if (!document) {
+    throw new WorldBankError(ErrorCodes.NOT_FOUND, `Document not found: ${args.document_id}`);
+  }
+  if (args.include_project) {
+    [document] = await attachProjects([document], args.cache);
+  }
+  
+  if (!args.include_related && !args.include_renditions) {
+    return { document };
+  }
+  
+  // Documents sharing the project ID or report number; the report number
+  // lookup also finds versions of the same report in other languages
+  const limit = args.related_limit ?? DEFAULT_RELATED_LIMIT;
+  const related = [];
+  for (const relation of relatedQueries(document)) {
+    if (!args.include_related && relation.relation !== 'report_number') continue;
+    const relatedResponse = await fetchFromAPI({
+      qterm: relation.qterm,
+      rows: limit + 1,
+      fl: 'id,display_title,docty,docdt,lang,repnb,url,pdfurl,txturl',
+      sort: 'docdt',
+      order: 'desc'
+    }, { cache: args.cache });
+    const documents = extractDocuments(relatedResponse);
+    const others = documents.filter(doc => String(doc.id) !== String(document.id));
+    related.push({
+      relation: relation.relation,
+      value: relation.value,
+      total: Math.max((relatedResponse.total || 0) - (others.length < documents.length ? 1 : 0), others.length),
+      documents: others.slice(0, limit)
+    });
+  }
+  
+  const result = { document };
+  if (args.include_renditions) {
+    const language = String(document.lang || '');
+    const translations = related
+      .filter(group => group.relation === 'report_number')
+      .flatMap(group => group.documents)
+      .filter(doc => doc.lang && String(doc.lang) !== language);
+    result.renditions = documentRenditions(document, translations);
+  }
+  if (args.include_related) {
+    result.related = related;
+  }
+  return result;
+}
+
+// Documents keyed by ID for one lookup request; extra documents the API returns are ignored
+async function lookupDocuments(ids, { fl, cache }) {
+  const apiResponse = await fetchFromAPI({
+    id: ids.join(OR_SEPARATOR),
+    rows: ids.length,
+    ...(fl ? { fl } : {})
+  }, { cache });
+  const wanted = new Set(ids);
+  return new Map(extractDocuments(apiResponse)
+    .filter(doc => wanted.has(String(doc.id)))
+    .map(doc => [String(doc.id), doc]));
+}
+
+async function handleGetDocuments(args) {
+  const { valid, invalid, duplicates } = normalizeIds(args.document_ids);
+  const options = {
+    // id is needed to match documents to the requested IDs
+    fl: args.fields?.length > 0 ? [...new Set(['id', ...args.fields])].join(',') : undefined,
+    cache: args.cache
+  };
+  const found = new Map();
+  const failed = new Map();
+  let requests = 0;
+  
+  await mapConcurrent(chunk(valid, BATCH_SIZE), BATCH_CONCURRENCY, async ids => {
+    if (ids.length > 1) {
+      try {
+        requests++;
+        for (const [id, doc] of await lookupDocuments(ids, options)) {
+          found.set(id, doc);
         }
-        structuredContent = result;
-        break;
-      case 'wb_list_countries':
-        result = await handleListCountries();
-        formattedOutput = 'Available Countries and Document Counts\n\n';
-        formattedOutput += formatCountryTable(result.countries);
-        structuredContent = result;
-        break;
-      case 'wb_list_document_types':
-        result = await handleListDocumentTypes();
-        formattedOutput = 'Available Document Types and Counts\n\n';
-        formattedOutput += formatDocumentTypeTable(result.document_types);
-        structuredContent = result;
-        break;
-      default:
-        throw new Error(`Unknown tool: ${name}`);
+      } catch (error) {
+        // Fall through to single lookups, which report their own errors
+      }
+    }
+    for (const id of ids.filter(id => !found.has(id))) {
+      try {
+        requests++;
+        const documents = await lookupDocuments([id], options);
+        if (documents.has(id)) found.set(id, documents.get(id));
+      } catch (error) {
+        if (error.code !== ErrorCodes.NOT_FOUND) failed.set(id, error.message);
+      }
+    }
+  });
+  
+  return {
+    requested: args.document_ids.length,
+    found: found.size,
+    duplicates,
+    requests,
+    documents: valid.filter(id => found.has(id)).map(id => found.get(id)),
+    missing: [
+      ...invalid,
+      ...valid.filter(id => !found.has(id)).map(id => failed.has(id)
+        ? { id, reason: 'error', message: failed.get(id) }
+        : { id, reason: 'not_found', message: 'no document with this ID' })
+    ]
+  };
+}
+
+async function handleGetDocumentText(args) {
+  if (!args.document_id) {
+    throw invalidArgument('Missing required parameter: document_id');
+  }
+  
+  const maxTokens = args.max_tokens ?? DEFAULT_CHUNK_TOKENS;
+  
+  const { document } = await handleGetDocument({ document_id: args.document_id, cache: args.cache });
+  const text = await loadDocumentText(document, { source: args.source || 'auto', cache: args.cache, paged: args.page !== undefined });
+  const chunks = chunkPages(text.pages, maxTokens);
+  
+  const result = {
+    document_id: document.id,
+    display_title: document.display_title,
+    source: text.source,
+    source_url: text.url,
+    total_pages: text.pages.length,
+    total_chunks: chunks.length,
+    total_tokens: chunks.reduce((sum, chunk) => sum + chunk.tokens, 0)
+  };
+  
+  if (args.search) {
+    const { total, matches } = searchChunks(chunks, args.search);
+    return { ...result, search: args.search, total_matches: total, matches };
+  }
+  
+  let index = args.chunk ?? 0;
+  if (args.page !== undefined) {
+    if (args.page > text.pages.length) {
+      throw invalidArgument(text.source === 'txt' && text.pages.length === 1
+        ? `page ${args.page} cannot be found: the text rendition has no page breaks${args.source === 'txt' ? '; use source "pdf" or chunk instead' : ' and no PDF could be read; use chunk instead'}`
+        : `page ${args.page} is out of range (document has ${text.pages.length} pages)`);
+    }
+    // Pages without text belong to the next chunk that has some
+    index = chunks.findIndex(chunk => chunk.page_end >= args.page);
+  }
+  if (index < 0 || index >= chunks.length) {
+    throw invalidArgument(`chunk ${index} is out of range (document has ${chunks.length} chunks)`);
+  }
+  
+  const chunk = chunks[index];
+  return {
+    ...result,
+    chunk: {
+      index: chunk.index,
+      page_start: chunk.page_start,
+      page_end: chunk.page_end,
+      tokens: chunk.tokens,
+      text: chunk.text
+    },
+    prev_chunk: index > 0 ? index - 1 : null,
+    next_chunk: index < chunks.length - 1 ? index + 1 : null
+  };
+}
+
+async function handleExportSearch(args) {
+  const maxResults = args.max_results ?? DEFAULT_EXPORT_ROWS;
+  
+  const { filters, resolutions, dateRange } = await resolveFilterArgs(args, args.resolve_filters);
+  const baseParams = buildSearchParams({
+    ...filters,
+    sort_by: args.sort_by || 'docdt',
+    sort_order: args.sort_order || 'desc',
+    limit: undefined,
+    offset: undefined,
+    fields: undefined
+  });
+  
+  // Page through results; ids already seen are skipped in case results shift between pages
+  const documents = [];
+  const seen = new Set();
+  let total = 0;
+  let pages = 0;
+  for (let offset = 0; documents.length < maxResults; offset += PAGE_SIZE) {
+    const apiResponse = await fetchFromAPI({ ...baseParams, rows: PAGE_SIZE, os: offset }, { cache: args.cache });
+    const page = extractDocuments(apiResponse);
+    total = apiResponse.total || 0;
+    pages++;
+    
+    for (const doc of page) {
+      if (!seen.has(doc.id) && documents.length < maxResults) {
+        seen.add(doc.id);
+        documents.push(doc);
+      }
+    }
+    if (page.length < PAGE_SIZE || offset + PAGE_SIZE >= total) {
+      break;
+    }
+  }
+  
+  const filePath = documents.length > 0 ? await writeExport(documents, args.format, args.filename) : null;
+  
+  return {
+    path: filePath,
+    format: args.format,
+    exported: documents.length,
+    total,
+    truncated: total > documents.length,
+    requests: pages,
+    date_range: dateRange,
+    resolutions
+  };
+}
+
+async function handleCiteDocument(args) {
+  const style = args.style || 'apa';
+  
+  const { document } = await handleGetDocument({ document_id: args.document_id, cache: args.cache });
+  return {
+    document_id: document.id,
+    display_title: document.display_title,
+    ...citeDocument(document, style)
+  };
+}
+
+async function handleFindRelated(args) {
+  const { document } = await handleGetDocument({ document_id: args.document_id, cache: args.cache });
+  const terms = keyTerms(document);
+  const searches = similarSearches(document, terms);
+  
+  const candidates = [];
+  for (const search of searches) {
+    const apiResponse = await fetchFromAPI({
+      ...search.params,
+      rows: CANDIDATE_ROWS,
+      fl: CANDIDATE_FIELDS.join(',')
+    }, { cache: args.cache });
+    candidates.push(...extractDocuments(apiResponse));
+  }
+  
+  const ranked = rankSimilar(document, candidates, { terms, limit: args.limit });
+  const first = value => fieldText(value, ';').split(/[;,]/)[0].trim() || null;
+  return {
+    source: {
+      document_id: document.id,
+      display_title: document.display_title,
+      project_id: first(document.projectid),
+      country: first(document.count),
+      sector: first(document.sectr),
+      theme: first(document.majtheme),
+      key_terms: terms
+    },
+    searches: searches.map(search => search.signal),
+    ...ranked
+  };
+}
+
+async function handleDocumentTrends(args) {
+  const granularity = args.granularity || 'year';
+  const breakdownField = args.breakdown ? RESOLVABLE_FILTERS[args.breakdown] : null;
+  const periods = buildPeriods(resolveDateRange(args) || {}, granularity);
+
+  const { filters, resolutions, dateRange } = await resolveFilterArgs(args, args.resolve_filters);
+  const baseParams = buildFilterParams({ ...filters, start_date: undefined, end_date: undefined });
+
+  // One facet-only request per period; past periods come from the facet cache on repeat calls
+  for (const period of periods) {
+    const params = { ...baseParams, strdate: period.start_date, enddate: period.end_date, rows: 0 };
+    if (breakdownField) params.fct = breakdownField;
+    const apiResponse = await fetchFromAPI(params, { cache: args.cache });
+    period.count = Number(apiResponse.total) || 0;
+    if (breakdownField) {
+      period.breakdown = {};
+      for (const item of Object.values(apiResponse.documents?.facets?.[breakdownField] || {})) {
+        period.breakdown[item.name] = item.count;
+      }
+    }
+  }
+
+  let breakdown = null;
+  if (breakdownField) {
+    // Keep the values that are largest over the whole range
+    const totals = new Map();
+    for (const period of periods) {
+      for (const [value, count] of Object.entries(period.breakdown)) {
+        totals.set(value, (totals.get(value) || 0) + count);
+      }
+    }
+    const values = [...totals]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, args.breakdown_limit || DEFAULT_BREAKDOWN_LIMIT)
+      .map(([value]) => value);
+    for (const period of periods) {
+      period.breakdown = Object.fromEntries(values.map(value => [value, period.breakdown[value] || 0]));
+    }
+    breakdown = { dimension: args.breakdown, field: breakdownField, values };
+  }
+
+  return {
+    granularity,
+    start_date: periods[0].start_date,
+    end_date: periods[periods.length - 1].end_date,
+    total: periods.reduce((sum, period) => sum + period.count, 0),
+    periods,
+    breakdown,
+    date_range: dateRange,
+    resolutions
+  };
+}
+
+async function handleCompare(args) {
+  const { dimension, values } = args;
+  if (dimension !== 'year' && args[dimension] !== undefined) {
+    throw invalidArgument(`Pass the ${dimension} values to compare in "values", not as a ${dimension} filter`);
+  }
+  if (dimension === 'year' && resolveDateRange(args)) {
+    throw invalidArgument('When comparing years, pass only the years in "values", not start_date, end_date, period or fiscal_year');
+  }
+  const facets = args.facets?.length ? args.facets : ['document_type'];
+
+  // Years become date ranges; every other dimension is resolved like a filter
+  const { filters, resolutions, dateRange } = await resolveFilterArgs(
+    dimension === 'year' ? args : { ...args, [dimension]: values },
+    args.resolve_filters
+  );
+  const columns = dimension === 'year'
+    ? values.map(value => {
+      const range = yearRange(value);
+      return { label: range.period, filters: { ...filters, start_date: range.start_date, end_date: range.end_date } };
+    })
+    : filters[dimension].map(value => ({ label: value, filters: { ...filters, [dimension]: value } }));
+
+  const labels = columns.map(column => column.label);
+  const duplicate = labels.find((label, index) => labels.indexOf(label) !== index);
+  if (duplicate) {
+    throw invalidArgument(`"${duplicate}" appears more than once among the values to compare`);
+  }
+
+  const fields = facets.map(facet => RESOLVABLE_FILTERS[facet]);
+  for (const column of columns) {
+    const params = { ...buildFilterParams(column.filters), fct: fields.join(','), rows: 0 };
+    const apiResponse = await fetchFromAPI(params, { cache: args.cache });
+    column.total = Number(apiResponse.total) || 0;
+    column.facets = {};
+    for (const field of fields) {
+      column.facets[field] = new Map(Object.values(apiResponse.documents?.facets?.[field] || {})
+        .map(item => [item.name, item.count]));
     }
-    
-    return {
-      content: [
-        {
-          type: 'text',
-          text: formattedOutput,
-        },
-      ],
-      structuredContent: structuredContent,
-    };
+  }
+
+  const matrix = {};
+  const differences = [];
+  const limit = args.rows || DEFAULT_COMPARE_ROWS;
+  facets.forEach((facet, index) => {
+    const field = fields[index];
+    const names = new Set(columns.flatMap(column => [...column.facets[field].keys()]));
+    const rows = [...names].map(value => {
+      const counts = {};
+      const shares = {};
+      for (const column of columns) {
+        counts[column.label] = column.facets[field].get(value) || 0;
+        shares[column.label] = column.total > 0 ? Number((counts[column.label] / column.total).toFixed(4)) : 0;
+      }
+      const ranked = columns.map(column => column.label).sort((a, b) => shares[b] - shares[a]);
+      const highest = ranked[0];
+      const lowest = ranked[ranked.length - 1];
+      return {
+        value,
+        counts,
+        shares,
+        total: Object.values(counts).reduce((sum, count) => sum + count, 0),
+        spread: Number((shares[highest] - shares[lowest]).toFixed(4)),
+        highest,
+        lowest
+      };
+    }).sort((a, b) => b.total - a.total);
+
+    for (const row of rows) {
+      differences.push({
+        facet,
+        value: row.value,
+        highest: { column: row.highest, share: row.shares[row.highest], count: row.counts[row.highest] },
+        lowest: { column: row.lowest, share: row.shares[row.lowest], count: row.counts[row.lowest] },
+        spread: row.spread
+      });
+    }
+    matrix[facet] = rows.slice(0, limit).map(({ value, counts, shares, total, spread }) => ({ value, counts, shares, total, spread }));
+  });
+
+  return {
+    dimension,
+    columns: columns.map(column => ({ label: column.label, total: column.total })),
+    facets: matrix,
+    top_differences: differences
+      .filter(difference => difference.spread > 0)
+      .sort((a, b) => b.spread - a.spread)
+      .slice(0, limit),
+    date_range: dateRange,
+    resolutions
+  };
+}
+
+// The filter arguments of a call, as stored with a saved search
+function savedFilters(args) {
+  return Object.fromEntries(FILTER_NAMES
+    .filter(name => args[name] !== undefined)
+    .map(name => [name, args[name]]));
+}
+
+// Date and group filters are checked when a search is saved rather than at its first check
+function validateSavedFilters(filters) {
+  resolveDateRange(filters);
+  countriesInGroups(filters);
+}
+
+async function handleSaveSearch(args) {
+  const filters = savedFilters(args);
+  if (Object.keys(filters).length === 0) {
+    throw invalidArgument('A saved search needs at least one filter or query');
+  }
+  validateSavedFilters(filters);
+  const search = await createSavedSearch({
+    name: args.name,
+    description: args.description,
+    filters,
+    resolve_filters: args.resolve_filters
+  });
+  return { file: SAVED_SEARCHES_FILE, search };
+}
+
+async function handleListSavedSearches() {
+  return { file: SAVED_SEARCHES_FILE, searches: await listSavedSearches() };
+}
+
+async function handleUpdateSavedSearch(args) {
+  const search = await updateSavedSearch(args.name, {
+    new_name: args.new_name,
+    description: args.description,
+    filters: savedFilters(args),
+    clear_filters: args.clear_filters,
+    resolve_filters: args.resolve_filters,
+    reset: args.reset
+  }, validateSavedFilters);
+  return { file: SAVED_SEARCHES_FILE, search };
+}
+
+async function handleDeleteSavedSearch(args) {
+  return { file: SAVED_SEARCHES_FILE, search: await deleteSavedSearch(args.name) };
+}
+
+// Run one saved search newest first and pick out the documents not reported before
+async function checkSavedSearch(search, { record, limit, cache, checkedAt }) {
+  const { filters, resolutions, dateRange } = await resolveFilterArgs(search.filters, search.resolve_filters);
+  const baseParams = buildSearchParams({ ...filters, sort_by: 'docdt', sort_order: 'desc' });
+  
+  // Later checks read on until they pass the start of the window already covered
+  const documents = [];
+  let total = 0;
+  for (let page = 0; page < CHECK_MAX_PAGES; page++) {
+    const apiResponse = await fetchFromAPI({ ...baseParams, rows: PAGE_SIZE, os: page * PAGE_SIZE }, { cache });
+    const results = extractDocuments(apiResponse);
+    total = apiResponse.total || 0;
+    documents.push(...results);
+    if (results.length < PAGE_SIZE || (page + 1) * PAGE_SIZE >= total || !needsNextPage(search, results)) {
+      break;
+    }
+  }
+  
+  const found = findNewDocuments(search, documents);
+  const updated = record
+    ? await recordCheck(search.name, { documents, newCount: found.documents.length, checkedAt })
+    : search;
+  return {
+    name: search.name,
+    first_check: found.first_check,
+    previous_check: search.last_checked_at,
+    total,
+    new_count: found.documents.length,
+    documents: found.documents.slice(0, limit),
+    high_water_mark: updated.high_water_mark,
+    date_range: dateRange,
+    resolutions,
+    error: null
+  };
+}
+
+async function handleCheckSavedSearch(args) {
+  const record = args.record ?? true;
+  const checkedAt = new Date().toISOString();
+  const options = {
+    record,
+    limit: args.limit ?? (args.name ? DEFAULT_CHECK_LIMIT : DEFAULT_SUMMARY_LIMIT),
+    cache: args.cache,
+    checkedAt
+  };
+  
+  if (args.name) {
+    const search = await getSavedSearch(args.name);
+    return { checked_at: checkedAt, recorded: record, searches: [await checkSavedSearch(search, options)] };
+  }
+  
+  // One failing search should not hide the others in the summary
+  const searches = [];
+  for (const search of await readSavedSearches()) {
+    try {
+      searches.push(await checkSavedSearch(search, options));
+    } catch (error) {
+      searches.push({
+        name: search.name,
+        first_check: !search.last_checked_at,
+        previous_check: search.last_checked_at,
+        total: 0,
+        new_count: 0,
+        documents: [],
+        high_water_mark: search.high_water_mark,
+        date_range: null,
+        resolutions: [],
+        error: error.message
+      });
+    }
+  }
+  return { checked_at: checkedAt, recorded: record, searches };
+}
+
+// Indicators API request, unwrapped into { meta, rows }
+async function fetchIndicators(segments, params = {}, options = {}) {
+  return unwrapResponse(await fetchJSON(indicatorsUrl(...segments), params, options));
+}
+
+async function loadIndicatorSources(cache) {
+  const { rows } = await fetchIndicators(['sources'], { per_page: 1000 }, { cache, catalog: true });
+  return rows.map(normalizeSource);
+}
+
+// Indicator source by ID, code ("WDI") or name
+async function resolveIndicatorSource(value, cache) {
+  const input = String(value ?? DEFAULT_INDICATOR_SOURCE).trim();
+  const key = input.toLowerCase();
+  const sources = await loadIndicatorSources(cache);
+  const source = sources.find(candidate => candidate.id === input || candidate.code?.toLowerCase() === key || candidate.name.toLowerCase() === key)
+    || sources.find(candidate => candidate.name.toLowerCase().includes(key));
+  if (!source) {
+    throw invalidArgument(`source: unknown indicator source "${input}"; use an ID, code or name from wb_list_indicator_sources (e.g., 2 for World Development Indicators)`);
+  }
+  return source;
+}
+
+// ISO3 code for a country name or code; other short codes (aggregates such as "WLD") pass through
+function indicatorCountryCode(value) {
+  const text = String(value).trim();
+  const country = findCountry(text);
+  if (country) return country.iso3;
+  if (/^[a-z0-9]{2,3}$/i.test(text)) return text.toUpperCase();
+  if (text.toLowerCase() === 'all') return 'all';
+  throw invalidArgument(`country: unknown country "${text}"; use a name, an ISO2/ISO3 code or an aggregate code such as "WLD"`);
+}
+
+async function handleSearchIndicators(args) {
+  const source = await resolveIndicatorSource(args.source, args.cache);
+  const { rows } = await fetchIndicators(['source', source.id, 'indicator'], { per_page: CATALOG_PAGE_SIZE }, { cache: args.cache, catalog: true });
+  const found = searchIndicators(rows.map(normalizeIndicator), args.query, { topic: args.topic, limit: args.limit });
+  return {
+    query: args.query,
+    source: { id: source.id, code: source.code, name: source.name },
+    ...found
+  };
+}
+
+async function handleGetIndicatorData(args) {
+  if (args.most_recent !== undefined && (args.start_year !== undefined || args.end_year !== undefined)) {
+    throw invalidArgument('Use either most_recent or start_year/end_year, not both');
+  }
+  if (args.start_year !== undefined && args.end_year !== undefined && args.start_year > args.end_year) {
+    throw invalidArgument(`start_year (${args.start_year}) is after end_year (${args.end_year})`);
+  }
+  const countries = [...new Set([args.country].flat().map(indicatorCountryCode))];
+  
+  // Definition, unit and source; also rejects unknown indicator codes before fetching data
+  const definition = await fetchIndicators(['indicator', args.indicator], {}, { cache: args.cache, catalog: true })
+    .then(({ rows }) => rows[0], error => {
+      if (error.code !== ErrorCodes.NOT_FOUND) throw error;
+    });
+  if (!definition) {
+    throw new WorldBankError(ErrorCodes.NOT_FOUND, `Indicator not found: ${args.indicator} (find codes with wb_search_indicators)`);
+  }
+  
+  const params = { per_page: DATA_PAGE_SIZE };
+  if (args.most_recent !== undefined) {
+    params.mrv = args.most_recent;
+  } else if (args.start_year !== undefined || args.end_year !== undefined) {
+    params.date = `${args.start_year ?? 1960}:${args.end_year ?? new Date().getUTCFullYear()}`;
+  }
+  
+  const rows = [];
+  let lastUpdated = null;
+  let truncated = false;
+  for (let page = 1; ; page++) {
+    const response = await fetchIndicators(['country', countries, 'indicator', definition.id], { ...params, page }, { cache: args.cache });
+    rows.push(...response.rows);
+    lastUpdated = response.meta.last_updated;
+    if (page >= response.meta.pages) break;
+    if (page >= MAX_DATA_PAGES) {
+      truncated = true;
+      break;
+    }
+  }
+  
+  return {
+    indicator: normalizeIndicator(definition),
+    last_updated: lastUpdated,
+    truncated,
+    series: normalizeSeries(rows)
+  };
+}
+
+async function handleListIndicatorSources(args) {
+  return { sources: await loadIndicatorSources(args.cache) };
+}
+
+// Projects API search, normalized into { total, projects }
+async function fetchProjects(params, options = {}) {
+  return extractProjects(await fetchJSON(PROJECTS_BASE_URL, { fl: PROJECT_FIELDS.join(','), ...params }, options));
+}
+
+// Projects keyed by ID, looked up in batches; IDs the API does not return are left out
+async function lookupProjects(ids, cache) {
+  const found = new Map();
+  await mapConcurrent(chunk(ids, BATCH_SIZE), BATCH_CONCURRENCY, async batch => {
+    const { projects } = await fetchProjects({ id: batch.join(OR_SEPARATOR), rows: batch.length }, { cache });
+    for (const project of projects) {
+      if (batch.includes(project.id)) found.set(project.id, project);
+    }
+  });
+  return found;
+}
+
+// Ask for projectid when the caller limited the fields, so documents can be linked
+function withProjectField(filters, enabled) {
+  if (!enabled || !filters.fields?.length) return filters;
+  return { ...filters, fields: [...new Set([...filters.fields, 'projectid'])] };
+}
+
+// A restricted field list would otherwise leave citations without authors,
+// report number or date
+function withCitationFields(filters, style) {
+  if (!style || !filters.fields?.length) return filters;
+  return { ...filters, fields: [...new Set([...filters.fields, ...CITATION_FIELDS])] };
+}
+
+// Copies of the documents with a project summary for each document's first
+// project ID (null when the Projects API does not know it). A failed lookup
+// leaves the documents as they are rather than failing the whole call.
+async function attachProjects(documents, cache) {
+  const ids = [...new Set(documents.map(doc => documentProjectIds(doc)[0]).filter(Boolean))].slice(0, MAX_ENRICHED_PROJECTS);
+  if (ids.length === 0) return documents;
+  let projects;
+  try {
+    projects = await lookupProjects(ids, cache);
   } catch (error) {
+    console.error(`Could not look up projects ${ids.join(', ')}: ${error.message}`);
+    return documents;
+  }
+  return documents.map(doc => {
+    const id = documentProjectIds(doc)[0];
+    if (!id || !ids.includes(id)) return doc;
+    return { ...doc, project: projects.has(id) ? projectSummary(projects.get(id)) : null };
+  });
+}
+
+async function getProject(projectId, cache) {
+  const project = (await lookupProjects([projectId], cache)).get(projectId);
+  if (!project) {
+    throw new WorldBankError(ErrorCodes.NOT_FOUND, `Project not found: ${projectId}`);
+  }
+  return project;
+}
+
+// Projects API country codes are ISO2
+function projectCountryCode(value) {
+  const country = findCountry(value);
+  if (!country?.iso2) {
+    throw invalidArgument(`country: unknown country "${value}"; use a country name or ISO2/ISO3 code`);
+  }
+  return country.iso2;
+}
+
+async function handleGetProject(args) {
+  return { project: await getProject(args.project_id, args.cache) };
+}
+
+async function handleSearchProjects(args) {
+  const dateRange = resolveDateRange(args);
+  const params = {
+    rows: args.limit ?? DEFAULT_PROJECT_RESULTS,
+    os: args.offset ?? 0,
+    srt: 'boardapprovaldate',
+    order: args.sort_order || 'desc'
+  };
+  if (args.query) params.qterm = args.query;
+  if (args.country !== undefined) {
+    params.countrycode_exact = [...new Set([args.country].flat().map(projectCountryCode))].join(OR_SEPARATOR);
+  }
+  if (args.status !== undefined) params.status_exact = [args.status].flat().join(OR_SEPARATOR);
+  // Date filters apply to the board approval date
+  if (dateRange?.start_date) params.strdate = dateRange.start_date;
+  if (dateRange?.end_date) params.enddate = dateRange.end_date;
+  
+  const { total, projects } = await fetchProjects(params, { cache: args.cache });
+  return { total, rows: projects.length, projects, date_range: dateRange };
+}
+
+async function handleProjectDocuments(args) {
+  const { filters, resolutions, dateRange } = await resolveFilterArgs({
+    document_type: args.document_type,
+    start_date: args.start_date,
+    end_date: args.end_date,
+    period: args.period,
+    fiscal_year: args.fiscal_year
+  }, args.resolve_filters);
+  const params = buildSearchParams({
+    ...filters,
+    limit: args.limit ?? DEFAULT_PROJECT_DOCUMENTS,
+    offset: args.offset,
+    sort_by: 'docdt',
+    sort_order: args.sort_order || 'desc'
+  });
+  const projectTerm = `projectid:"${args.project_id}"`;
+  params.qterm = params.qterm ? `${projectTerm} AND (${params.qterm})` : projectTerm;
+  
+  const [apiResponse, project] = await Promise.all([
+    fetchFromAPI(params, { cache: args.cache }),
+    args.include_project === false ? null : getProject(args.project_id, args.cache).then(projectSummary, error => {
+      if (error.code !== ErrorCodes.NOT_FOUND) throw error;
+      return null;
+    })
+  ]);
+  const documents = extractDocuments(apiResponse);
+  if (args.include_project !== false && !project && !apiResponse.total) {
+    throw new WorldBankError(ErrorCodes.NOT_FOUND, `Project not found: ${args.project_id} (no project record and no documents)`);
+  }
+  
+  return {
+    project_id: args.project_id,
+    project,
+    total: apiResponse.total || 0,
+    rows: documents.length,
+    documents,
+    date_range: dateRange,
+    resolutions
+  };
+}
+
+async function handleListFacets(args) {
+  if (!args.facets || !Array.isArray(args.facets) || args.facets.length === 0) {
+    throw invalidArgument('Missing required parameter: facets');
+  }
+  
+  const params = {
+    fct: args.facets.join(','),
+    rows: 0 // Get facets only, no documents
+  };
+  
+  // Add filter query parameters if provided
+  const { filters, resolutions, dateRange } = await resolveFilterArgs(args.filter_query, args.resolve_filters);
+  Object.assign(params, buildFilterParams(filters));
+  
+  const apiResponse = await fetchFromAPI(params, { cache: args.cache });
+  
+  return {
+    facets: apiResponse.documents?.facets || {},
+    date_range: dateRange,
+    resolutions
+  };
+}
+
+async function handleListCountries(args = {}) {
+  const params = {
+    fct: 'count_exact',
+    rows: 0
+  };
+  
+  const apiResponse = await fetchFromAPI(params, { cache: args.cache });
+  
+  // Convert facets object to array, adding codes and classification from the reference table
+  let countries = [];
+  const facets = apiResponse.documents?.facets?.count_exact || {};
+  for (const key in facets) {
+    const country = findCountry(facets[key].name);
+    countries.push({
+      ...facets[key],
+      iso3: country?.iso3 ?? null,
+      iso2: country?.iso2 ?? null,
+      region: country ? groupName('region', country.region) : null,
+      income_group: country ? groupName('income_group', country.income_group) : null,
+      lending_category: country ? groupName('lending_category', country.lending_category) : null
+    });
+  }
+  
+  // Region and income filters keep only classified economies, so aggregates like "World" drop out
+  const membership = countriesInGroups(args);
+  if (membership) {
+    const codes = new Set(membership.countries.map(country => country.iso3));
+    countries = countries.filter(country => codes.has(country.iso3));
+  }
+  
+  // Sort by count descending
+  countries.sort((a, b) => (b.count || 0) - (a.count || 0));
+  
+  if (!args.group_by) {
+    return { countries };
+  }
+  
+  // Groups in reference-table order; unclassified entries (regions, "World") come last
+  const groups = [...COUNTRY_GROUPS[args.group_by], { code: null, name: 'Not classified' }].map(group => {
+    const members = countries.filter(country => (country[args.group_by] ?? 'Not classified') === group.name);
     return {
-      content: [
-        {
-          type: 'text',
-          text: `Error: ${error.message || 'Internal server error'}`,
-        },
-      ],
-      isError: true,
+      code: group.code,
+      name: group.name,
+      countries: members.length,
+      documents: members.reduce((sum, country) => sum + (country.count || 0), 0)
     };
+  }).filter(group => group.countries > 0);
+  
+  return { countries, groups };
+}
+
+async function handleListDocumentTypes(args = {}) {
+  const params = {
+    fct: 'docty_exact',
+    rows: 0
+  };
+  
+  const apiResponse = await fetchFromAPI(params, { cache: args.cache });
+  
+  // Convert facets object to array
+  const documentTypes = [];
+  const facets = apiResponse.documents?.facets?.docty_exact || {};
+  for (const key in facets) {
+    documentTypes.push(facets[key]);
   }
-});
+  
+  // Sort by count descending
+  documentTypes.sort((a, b) => (b.count || 0) - (a.count || 0));
+  
+  return { document_types: documentTypes };
+}
+
+function handleDescribeFields(args) {
+  let fields = FIELD_CATALOG;
+  if (args.name) {
+    const name = args.name.trim().toLowerCase();
+    fields = FIELD_CATALOG.filter(field =>
+      [field.name, field.facet, field.filter, field.label.toLowerCase()].includes(name));
+    if (fields.length === 0) {
+      throw invalidArgument(unknownFieldMessage(args.name));
+    }
+  }
+  if (args.kind === 'facetable') fields = fields.filter(field => field.facetable);
+  if (args.kind === 'sortable') fields = fields.filter(field => field.sortable);
+  return { fields };
+}
+
+async function handleClearCache(args) {
+  if (args.stats_only) {
+    return { cleared: null, cache: cacheStats() };
+  }
+  const cleared = await clearCache();
+  return { cleared, cache: cacheStats() };
+}
+
+// Run a tool's handler with validated arguments
+async function runTool(name, args) {
+  switch (name) {
+    case 'wb_search_documents':
+      return handleSearchDocuments(args);
+    case 'wb_get_document':
+      return handleGetDocument(args);
+    case 'wb_get_documents':
+      return handleGetDocuments(args);
+    case 'wb_get_document_text':
+      return handleGetDocumentText(args);
+    case 'wb_export_search':
+      return handleExportSearch(args);
+    case 'wb_cite_document':
+      return handleCiteDocument(args);
+    case 'wb_find_related':
+      return handleFindRelated(args);
+    case 'wb_document_trends':
+      return handleDocumentTrends(args);
+    case 'wb_compare':
+      return handleCompare(args);
+    case 'wb_save_search':
+      return handleSaveSearch(args);
+    case 'wb_list_saved_searches':
+      return handleListSavedSearches();
+    case 'wb_update_saved_search':
+      return handleUpdateSavedSearch(args);
+    case 'wb_delete_saved_search':
+      return handleDeleteSavedSearch(args);
+    case 'wb_check_saved_search':
+      return handleCheckSavedSearch(args);
+    case 'wb_search_indicators':
+      return handleSearchIndicators(args);
+    case 'wb_get_indicator_data':
+      return handleGetIndicatorData(args);
+    case 'wb_list_indicator_sources':
+      return handleListIndicatorSources(args);
+    case 'wb_get_project':
+      return handleGetProject(args);
+    case 'wb_search_projects':
+      return handleSearchProjects(args);
+    case 'wb_project_documents':
+      return handleProjectDocuments(args);
+    case 'wb_list_facets':
+      return handleListFacets(args);
+    case 'wb_list_countries':
+      return handleListCountries(args);
+    case 'wb_list_document_types':
+      return handleListDocumentTypes(args);
+    case 'wb_describe_fields':
+      return handleDescribeFields(args);
+    case 'wb_clear_cache':
+      return handleClearCache(args);
+    default:
+      throw invalidArgument(`Unknown tool: ${name}`);
+  }
+}
+
+// Text view of a tool's result. It is rendered again with tighter settings
+// while the output is over the max_chars budget, so it must not have side effects.
+function formatResult(name, result, args) {
+  switch (name) {
+    case 'wb_search_documents': {
+      const end = result.offset + result.rows + result.duplicates_skipped;
+      let output = formatResolutions(result.resolutions) + formatDateRange(result.date_range);
+      output += `Search Results: ${result.total.toLocaleString()} documents found`;
+      output += result.rows > 0 ? ` (showing ${(result.offset + 1).toLocaleString()}-${end.toLocaleString()})\n\n` : '\n\n';
+      output += formatSearchResultsTable(result.documents);
+      if (result.duplicates_skipped > 0) {
+        output += `\n\nSkipped ${result.duplicates_skipped} ${result.duplicates_skipped === 1 ? 'document' : 'documents'} already returned (results shifted between pages)`;
+      }
+      if (result.next_cursor) output += `\n\nNext page: { "cursor": "${result.next_cursor}" }`;
+      if (result.prev_cursor) output += `\n${result.next_cursor ? '' : '\n'}Previous page: { "cursor": "${result.prev_cursor}" }`;
+      // A cursor carries the citation style of the search it continues
+      const style = args?.cursor ? decodeCursor(args.cursor).search.citation : args?.citation;
+      if (style) {
+        output += `\n\nCitations (${style}):\n\n`;
+        output += result.documents
+          .map(doc => typeof doc.citation === 'string' ? doc.citation : JSON.stringify(doc.citation))
+          .join('\n\n');
+      }
+      output += formatDocumentProjects(result.documents);
+      return output;
+    }
+    case 'wb_get_document': {
+      let output = formatDocumentDetail(result.document, {
+        fullAbstract: args.full_abstract,
+        renditions: result.renditions,
+        related: result.related
+      });
+      const projects = formatDocumentProjects([result.document]);
+      if (projects) output += `\n${projects.trimStart()}`;
+      return output;
+    }
+    case 'wb_get_documents': {
+      let output = `Documents: ${result.found} of ${result.requested - result.duplicates} found`;
+      output += `${result.duplicates > 0 ? ` (${result.duplicates} duplicate ${result.duplicates === 1 ? 'ID' : 'IDs'} skipped)` : ''}, ${result.requests} API requests\n\n`;
+      if (result.documents.length > 0) {
+        output += formatSearchResultsTable(result.documents) + '\n';
+      }
+      if (result.missing.length > 0) {
+        output += `\nMissing (${result.missing.length}):\n`;
+        output += result.missing.map(item => `- ${item.id}: ${item.reason === 'error' ? `error (${item.message})` : item.message}`).join('\n');
+      }
+      return output;
+    }
+    case 'wb_get_document_text':
+      return formatDocumentText(result);
+    case 'wb_export_search': {
+      let output = formatResolutions(result.resolutions) + formatDateRange(result.date_range);
+      if (result.path) {
+        output += `Exported ${result.exported.toLocaleString()} of ${result.total.toLocaleString()} documents as ${result.format.toUpperCase()}\n\n`;
+        output += `File: ${result.path}\n`;
+        if (result.truncated) {
+          output += `\nTruncated: ${(result.total - result.exported).toLocaleString()} more documents match. Raise max_results or narrow the filters to export them.\n`;
+        }
+      } else {
+        output += 'No documents match these filters; no file was written.';
+      }
+      return output;
+    }
+    case 'wb_cite_document':
+      return `Citation (${result.style}) for document ${result.document_id}:\n\n${result.markdown}`;
+    case 'wb_find_related':
+      return formatRelatedDocuments(result);
+    case 'wb_document_trends': {
+      let output = formatResolutions(result.resolutions) + formatDateRange(result.date_range);
+      output += `Document Trends by ${result.granularity.replace('_', ' ')}: ${result.periods[0].period} to ${result.periods[result.periods.length - 1].period} (${result.start_date} to ${result.end_date})\n`;
+      output += `Total: ${result.total.toLocaleString()} documents\n\n`;
+      output += formatTrendTable(result);
+      if (result.periods.some(period => period.partial)) {
+        output += '\n\n* Partial period (cut short by the date range or still in progress)';
+      }
+      if (result.breakdown) {
+        output += `\n\nBreakdown columns: top ${result.breakdown.values.length} ${result.breakdown.dimension} values over the whole range`;
+      }
+      return output;
+    }
+    case 'wb_compare': {
+      let output = formatResolutions(result.resolutions) + formatDateRange(result.date_range);
+      output += `Comparison by ${result.dimension.replace('_', ' ')}: ${result.columns.map(column => column.label).join(' vs ')}\n\n`;
+      for (const facet of Object.keys(result.facets)) {
+        output += `${facet} (count and share of column total):\n`;
+        output += formatComparisonTable(result, facet) + '\n\n';
+      }
+      if (result.top_differences.length > 0) {
+        output += 'Largest differences in share:\n';
+        output += result.top_differences
+          .map(d => `- ${d.facet} "${d.value}": ${d.highest.column} ${formatShare(d.highest.share)} vs ${d.lowest.column} ${formatShare(d.lowest.share)} (${Math.round(d.spread * 100)} points)`)
+          .join('\n');
+      }
+      return output;
+    }
+    case 'wb_save_search':
+      return `${formatSavedSearch(result.search)}\nSaved to ${result.file}. Run wb_check_saved_search to record a baseline.`;
+    case 'wb_list_saved_searches': {
+      let output = `Saved Searches (${result.file})\n\n`;
+      output += formatSavedSearchTable(result.searches);
+      return output;
+    }
+    case 'wb_update_saved_search':
+      return `Updated. ${formatSavedSearch(result.search).trimEnd()}`;
+    case 'wb_delete_saved_search':
+      return `Deleted saved search "${result.search.name}" (${describeFilters(result.search.filters)})`;
+    case 'wb_check_saved_search':
+      return formatSavedSearchCheck(result);
+    case 'wb_search_indicators': {
+      let output = `Indicators matching "${result.query}" in ${result.source.name}: ${result.total.toLocaleString()}`;
+      output += result.total > result.indicators.length ? ` (showing ${result.indicators.length})\n\n` : '\n\n';
+      output += formatIndicatorTable(result.indicators);
+      return output;
+    }
+    case 'wb_get_indicator_data':
+      return formatIndicatorData(result);
+    case 'wb_list_indicator_sources': {
+      let output = 'Indicator Sources\n\n';
+      output += formatIndicatorSourceTable(result.sources);
+      return output;
+    }
+    case 'wb_get_project':
+      return formatProjectDetail(result.project);
+    case 'wb_search_projects': {
+      let output = formatDateRange(result.date_range);
+      output += `Projects: ${result.total.toLocaleString()} found (showing ${result.rows})\n\n`;
+      output += formatProjectTable(result.projects);
+      return output;
+    }
+    case 'wb_project_documents': {
+      let output = formatResolutions(result.resolutions) + formatDateRange(result.date_range);
+      output += result.project ? `Project: ${formatProjectSummary(result.project)}\n` : `Project: ${result.project_id}\n`;
+      output += `Documents: ${result.total.toLocaleString()} (showing ${result.rows})\n\n`;
+      output += formatSearchResultsTable(result.documents);
+      return output;
+    }
+    case 'wb_list_facets': {
+      let output = formatResolutions(result.resolutions) + formatDateRange(result.date_range);
+      output += 'Filter Options (Facets)\n\n';
+      for (const [facetName, facetData] of Object.entries(result.facets)) {
+        output += `${facetName}:\n`;
+        output += formatFacetTable(facetData, facetName) + '\n\n';
+      }
+      return output;
+    }
+    case 'wb_list_countries': {
+      let output = 'Available Countries and Document Counts\n\n';
+      output += result.groups
+        ? formatCountryGroups(result, args.group_by)
+        : formatCountryTable(result.countries);
+      return output;
+    }
+    case 'wb_list_document_types': {
+      let output = 'Available Document Types and Counts\n\n';
+      output += formatDocumentTypeTable(result.document_types);
+      return output;
+    }
+    case 'wb_describe_fields': {
+      let output = 'World Bank Document Fields\n\n';
+      output += formatFieldTable(result.fields);
+      if (result.fields.length === 1) {
+        output += `\n\n${result.fields[0].description}`;
+      }
+      return output;
+    }
+    case 'wb_clear_cache': {
+      let output = result.cleared
+        ? `Cache cleared: ${result.cleared.memory} in-memory and ${result.cleared.disk} on-disk entries removed\n\n`
+        : 'Response Cache\n\n';
+      output += formatTable(
+        Object.entries(result.cache).map(([Setting, value]) => ({ Setting, Value: String(value ?? 'none') })),
+        ['Setting', 'Value']
+      );
+      return output;
+    }
+    default:
+      return '';
+  }
+}
+
+// Create an MCP server with all handlers registered. Each stdio connection or
+// HTTP session gets its own instance; the rate limiter and cache are shared.
+function createServer() {
+  const server = new Server(
+    {
+      name: SERVER_NAME,
+      version: VERSION,
+    },
+    {
+      capabilities: {
+        tools: {},
+        resources: RESOURCE_CAPABILITIES,
+        prompts: PROMPT_CAPABILITIES,
+      },
+    }
+  );
+
+  const resources = registerResources(server, {
+    getDocument: handleGetDocument,
+    listCountries: handleListCountries,
+    listDocumentTypes: handleListDocumentTypes,
+    formatDocument: formatDocumentDetail,
+    formatCountries: formatCountryTable,
+    formatDocumentTypes: formatDocumentTypeTable
+  });
+  registerPrompts(server);
+
+  // Handle list tools request
+  server.setRequestHandler(ListToolsRequestSchema, async () => {
+    return { tools: TOOLS };
+  });
+
+  // Handle call tool request
+  server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    const { name } = request.params;
+  
+    try {
+      const { output_format, max_chars, ...args } = parseArguments(name, request.params.arguments);
+      const result = await runTool(name, args);
+      if (name === 'wb_get_document') {
+        resources.trackDocument(result.document);
+      }
+      const structuredContent = parseOutput(name, result);
+      const settings = {
+        format: output_format ?? DEFAULT_OUTPUT_FORMAT,
+        maxChars: max_chars ?? DEFAULT_MAX_CHARS
+      };
+      const text = settings.format === 'json'
+        ? renderJSON(structuredContent, settings)
+        : renderOutput(() => formatResult(name, result, args), settings);
+    
+      return {
+        content: [
+          {
+            type: 'text',
+            text,
+          },
+        ],
+        structuredContent,
+      };
+    } catch (error) {
+      return toToolError(error);
+    }
+  });
+
+  return server;
+}
 
 // Start server
 async function main() {
+  const options = parseOptions(process.argv.slice(2), process.env);
+  configureFixtures({ mode: options.fixtures, dir: options.fixturesDir, miss: options.fixtureMiss });
+  if (options.fixtures !== 'off') {
+    console.error(`Fixture ${options.fixtures} mode: ${fixtureSettings().dir}`);
+  }
+  
+  if (options.transport === 'http') {
+    await startHttpServer(createServer, {
+      host: options.host,
+      port: options.port,
+      authToken: options.authToken,
+      sessionIdleTimeout: options.sessionIdleTimeout,
+      name: SERVER_NAME,
+      version: VERSION
+    });
+    return;
+  }
+  
+  const server = createServer();
   const transport = new StdioServerTransport();
   await server.connect(transport);
   console.error(`${SERVER_NAME} v${VERSION} connected via stdio`);
 }
 
+// CLI flags take precedence over environment variables
+function parseOptions(argv, env) {
+  const options = {
+    transport: env.WB_MCP_TRANSPORT || 'stdio',
+    host: env.WB_MCP_HOST || '127.0.0.1',
+    port: Number(env.WB_MCP_PORT || 3000),
+    authToken: env.WB_MCP_AUTH_TOKEN || '',
+    sessionIdleTimeout: Number(env.WB_MCP_SESSION_IDLE_TIMEOUT ?? 1800),
+    fixtures: env.WB_FIXTURES || 'off',
+    fixturesDir: env.WB_FIXTURES_DIR || '',
+    fixtureMiss: env.WB_FIXTURES_MISS || 'fail'
+  };
+  
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inline] = argv[i].split('=', 2);
+    const value = () => inline ?? argv[++i];
+    switch (flag) {
+      case '--http':
+        options.transport = 'http';
+        break;
+      case '--stdio':
+        options.transport = 'stdio';
+        break;
+      case '--transport':
+        options.transport = value();
+        break;
+      case '--host':
+        options.host = value();
+        break;
+      case '--port':
+        options.port = Number(value());
+        break;
+      case '--record':
+        options.fixtures = 'record';
+        break;
+      case '--replay':
+        options.fixtures = 'replay';
+        break;
+      case '--fixtures':
+        options.fixtures = value();
+        break;
+      case '--fixtures-dir':
+        options.fixturesDir = value();
+        break;
+      case '--fixture-miss':
+        options.fixtureMiss = value();
+        break;
+      case '--session-idle-timeout':
+        options.sessionIdleTimeout = Number(value());
+        break;
+      default:
+        // Launchers may pass arguments of their own
+        console.error(`Ignoring unknown option: ${argv[i]}`);
+    }
+  }
+  
+  if (!['stdio', 'http'].includes(options.transport)) {
+    throw new Error(`Unknown transport: ${options.transport} (expected "stdio" or "http")`);
+  }
+  if (!Number.isInteger(options.port) || options.port < 0 || options.port > 65535) {
+    throw new Error(`Invalid port: ${options.port}`);
+  }
+  if (!Number.isFinite(options.sessionIdleTimeout) || options.sessionIdleTimeout < 0) {
+    throw new Error(`Invalid session idle timeout: ${options.sessionIdleTimeout}`);
+  }
+  return options;
+}
+
 main().catch((error) => {
   console.error('Fatal error:', error);
   process.exit(1);
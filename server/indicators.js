@@ -0,0 +1,147 @@
+/**
+ * World Bank Indicators API (api.worldbank.org/v2) helpers.
+ *
+ * Builds request URLs, unwraps the API's [metadata, rows] responses and its
+ * error messages (which arrive with HTTP 200), normalizes indicators, sources
+ * and time series, and searches a source's indicator catalog locally, since
+ * the API itself has no text search. Requests go through the same client,
+ * rate limit and cache as the Documents API.
+ */
+
+import { ErrorCodes, WorldBankError } from './errors.js';
+
+export const INDICATORS_BASE_URL = (process.env.WB_INDICATORS_BASE_URL || 'https://api.worldbank.org/v2').replace(/\/+$/, '');
+export const DEFAULT_INDICATOR_SOURCE = '2'; // World Development Indicators
+export const DEFAULT_INDICATOR_RESULTS = 20;
+// Large enough to fetch a source's whole catalog in one page
+export const CATALOG_PAGE_SIZE = 20000;
+export const DATA_PAGE_SIZE = 1000;
+export const MAX_DATA_PAGES = 10;
+
+// API message ids: 120 is "Invalid value", used for unknown indicator and country codes
+const NOT_FOUND_MESSAGES = new Set(['120']);
+
+/** URL for `segments` under the base URL; arrays become ";"-separated lists. */
+export function indicatorsUrl(...segments) {
+  const path = segments
+    .map(segment => [segment].flat().map(part => encodeURIComponent(String(part))).join(';'))
+    .join('/');
+  return `${INDICATORS_BASE_URL}/${path}`;
+}
+
+/**
+ * Split a response into { meta, rows }. Errors come back as
+ * [{ message: [{ id, key, value }] }] and are raised as WorldBankError.
+ */
+export function unwrapResponse(body) {
+  const [meta, rows] = Array.isArray(body) ? body : [];
+  if (Array.isArray(meta?.message)) {
+    const messages = meta.message.map(message => [message.key, message.value].filter(Boolean).join(': '));
+    const code = meta.message.some(message => NOT_FOUND_MESSAGES.has(String(message.id)))
+      ? ErrorCodes.NOT_FOUND
+      : ErrorCodes.BAD_REQUEST;
+    throw new WorldBankError(code, `Indicators API: ${messages.join('; ')}`);
+  }
+  if (!meta || typeof meta !== 'object' || (rows !== null && rows !== undefined && !Array.isArray(rows))) {
+    throw new WorldBankError(ErrorCodes.MALFORMED_RESPONSE, 'Indicators API returned an unexpected response shape');
+  }
+  return {
+    meta: {
+      page: Number(meta.page) || 1,
+      pages: Number(meta.pages) || 0,
+      total: Number(meta.total) || 0,
+      last_updated: meta.lastupdated || null
+    },
+    rows: rows || []
+  };
+}
+
+function trimmed(value) {
+  const text = typeof value === 'string' ? value.trim() : '';
+  return text || null;
+}
+
+export function normalizeIndicator(indicator) {
+  return {
+    id: indicator.id,
+    name: trimmed(indicator.name) || indicator.id,
+    unit: trimmed(indicator.unit),
+    source: trimmed(indicator.source?.value),
+    source_id: indicator.source?.id != null ? String(indicator.source.id) : null,
+    topics: (indicator.topics || []).map(topic => trimmed(topic.value)).filter(Boolean),
+    organization: trimmed(indicator.sourceOrganization),
+    description: trimmed(indicator.sourceNote)
+  };
+}
+
+export function normalizeSource(source) {
+  return {
+    id: String(source.id),
+    code: trimmed(source.code),
+    name: trimmed(source.name) || String(source.id),
+    last_updated: trimmed(source.lastupdated),
+    data_available: source.dataavailability === 'Y',
+    metadata_available: source.metadataavailability === 'Y',
+    concepts: Number(source.concepts) || 0
+  };
+}
+
+function words(text) {
+  return String(text || '').toLowerCase().match(/[\p{L}\p{N}.%$]+/gu) || [];
+}
+
+/**
+ * Rank normalized indicators for `query`. Every query word must appear in
+ * the code, name, topics or description; an exact code wins, then matches
+ * in the name, and shorter (more general) names break ties.
+ */
+export function searchIndicators(indicators, query, { topic, limit = DEFAULT_INDICATOR_RESULTS } = {}) {
+  const terms = words(query);
+  const code = String(query || '').trim().toLowerCase();
+  const topicFilter = topic ? topic.trim().toLowerCase() : null;
+
+  const ranked = indicators
+    .filter(indicator => !topicFilter || indicator.topics.some(name => name.toLowerCase().includes(topicFilter)))
+    .map(indicator => {
+      const id = indicator.id.toLowerCase();
+      const name = new Set(words(indicator.name));
+      const rest = new Set(words([indicator.id, ...indicator.topics, indicator.description].join(' ')));
+      if (!terms.every(term => name.has(term) || rest.has(term) || id.includes(term))) {
+        return null;
+      }
+      let score = terms.filter(term => name.has(term)).length * 10;
+      if (id === code) score += 100;
+      else if (code && id.startsWith(code)) score += 50;
+      return { indicator, score };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score || a.indicator.name.length - b.indicator.name.length);
+
+  return {
+    total: ranked.length,
+    indicators: ranked.slice(0, limit).map(match => match.indicator)
+  };
+}
+
+/**
+ * Group time-series rows by country: [{ country, country_code, points:
+ * [{ year, value }] oldest first, latest: { year, value } | null }].
+ */
+export function normalizeSeries(rows) {
+  const byCountry = new Map();
+  for (const row of rows) {
+    const countryCode = row.countryiso3code || row.country?.id || '';
+    if (!byCountry.has(countryCode)) {
+      byCountry.set(countryCode, { country: row.country?.value || countryCode, country_code: countryCode, points: [] });
+    }
+    byCountry.get(countryCode).points.push({
+      year: String(row.date),
+      value: row.value === null || row.value === undefined || row.value === '' ? null : Number(row.value)
+    });
+  }
+  return [...byCountry.values()].map(series => {
+    series.points.sort((a, b) => a.year.localeCompare(b.year));
+    const latest = [...series.points].reverse().find(point => point.value !== null) || null;
+    return { ...series, latest };
+  });
+}
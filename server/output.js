@@ -0,0 +1,221 @@
+/**
+ * Output formats and response size budgets.
+ *
+ * Tables are rendered as padded text (the default), Markdown tables or
+ * compact one-line-per-row lists; "json" returns the structured result as the
+ * text instead. A character budget (max_chars) is met step by step: columns
+ * are narrowed, optional columns dropped, then rows beyond what fits are
+ * summarized as "N more", and only as a last resort is the text cut. The
+ * format and the current step are held per call in AsyncLocalStorage, so
+ * concurrent calls on the HTTP transport do not see each other's settings.
+ */
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+export const OUTPUT_FORMATS = ['text', 'markdown', 'compact', 'json'];
+export const MIN_MAX_CHARS = 200;
+export const DEFAULT_OUTPUT_FORMAT = OUTPUT_FORMATS.includes(process.env.WB_OUTPUT_FORMAT) ? process.env.WB_OUTPUT_FORMAT : 'text';
+// No budget unless one is configured
+export const DEFAULT_MAX_CHARS = readBudget(process.env.WB_MAX_CHARS);
+
+// Each step is tried in turn until the output fits the budget
+const SHRINK_STEPS = [
+  {},
+  { width: 40 },
+  { width: 24, dropOptional: true },
+  ...[50, 20, 10, 5, 2].map(maxRows => ({ width: 24, dropOptional: true, maxRows }))
+];
+// Longest string kept in JSON output once it is over budget
+const JSON_STRING_LIMIT = 200;
+
+const storage = new AsyncLocalStorage();
+
+function readBudget(value) {
+  const number = Number(value);
+  return Number.isInteger(number) && number >= MIN_MAX_CHARS ? number : null;
+}
+
+function settings() {
+  return storage.getStore() || { format: DEFAULT_OUTPUT_FORMAT, step: SHRINK_STEPS[0] };
+}
+
+export function truncate(str, length = 60) {
+  if (!str) return '';
+  str = String(str).replace(/\n/g, ' ');
+  return str.length > length ? str.substring(0, length - 3) + '...' : str;
+}
+
+function pad(str, length, right = false) {
+  str = String(str || '').substring(0, length);
+  if (right) {
+    return str.padEnd(length, ' ');
+  } else {
+    return str.padStart(length, ' ');
+  }
+}
+
+// Columns are names or { name, label, width, optional }. Cells are read by
+// name and headed by label (default: the name). width caps the column in text
+// tables, and in every format once the budget asks for narrower columns;
+// optional columns are the first to go.
+function normalizeColumns(columns) {
+  return columns.map(column => typeof column === 'string' ? { name: column } : column);
+}
+
+/** `values` cut to `width` for use as column labels, numbered where the cuts collide. */
+export function uniqueLabels(values, width) {
+  const counts = new Map();
+  return values.map(value => {
+    const label = truncate(value, width);
+    const count = (counts.get(label) || 0) + 1;
+    counts.set(label, count);
+    if (count === 1) return label;
+    const suffix = ` (${count})`;
+    return `${truncate(value, width - suffix.length)}${suffix}`;
+  });
+}
+
+function cellWidth(column, { format, step }) {
+  const widths = [format === 'text' ? column.width : undefined, step.width].filter(Boolean);
+  return widths.length > 0 ? Math.min(...widths) : Infinity;
+}
+
+function overflowNotice(count) {
+  return `… ${count.toLocaleString()} more ${count === 1 ? 'row' : 'rows'} not shown (raise max_chars to see them)`;
+}
+
+function textTable(rows, columns, labels) {
+  // Calculate column widths
+  const widths = {};
+  columns.forEach((col, index) => {
+    widths[col] = Math.max(
+      labels[index].length,
+      Math.max(...rows.map(row => String(row[col] || '').length))
+    );
+  });
+
+  // Build header
+  const header = columns.map((col, index) => pad(labels[index], widths[col], true)).join(' | ');
+  const separator = columns.map(col => '─'.repeat(widths[col])).join('─┼─');
+
+  // Build rows
+  const formattedRows = rows.map(row =>
+    columns.map(col => pad(String(row[col] || ''), widths[col], true)).join(' | ')
+  );
+
+  return [header, separator, ...formattedRows].join('\n');
+}
+
+function markdownTable(rows, columns, labels) {
+  const escape = value => String(value || '').replace(/\|/g, '\\|');
+  return [
+    `| ${labels.map(escape).join(' | ')} |`,
+    `| ${columns.map(() => '---').join(' | ')} |`,
+    ...rows.map(row => `| ${columns.map(col => escape(row[col])).join(' | ')} |`)
+  ].join('\n');
+}
+
+// "- first: Label: second; Label: third", with empty cells shown as "—" so
+// every value stays next to its column
+function compactList(rows, columns, labels) {
+  return rows.map(row => {
+    const [first, ...rest] = columns.map(col => String(row[col] || '') || '—');
+    return `- ${first}${rest.length > 0 ? `: ${rest.map((value, index) => `${labels[index + 1]}: ${value}`).join('; ')}` : ''}`;
+  }).join('\n');
+}
+
+/** Render `rows` (objects keyed by column name) in the current output format. */
+export function formatTable(rows, columns) {
+  if (rows.length === 0) {
+    return 'No results found.';
+  }
+  const current = settings();
+  const { step } = current;
+  const kept = normalizeColumns(columns).filter((column, index) => index === 0 || !(step.dropOptional && column.optional));
+  const shown = step.maxRows ? rows.slice(0, step.maxRows) : rows;
+  const cells = shown.map(row => Object.fromEntries(kept.map(column => {
+    const value = String(row[column.name] ?? '').replace(/\s*\n\s*/g, ' ');
+    return [column.name, truncate(value, cellWidth(column, current))];
+  })));
+  const names = kept.map(column => column.name);
+  const labels = kept.map(column => column.label ?? column.name);
+
+  const table = current.format === 'markdown' ? markdownTable(cells, names, labels)
+    : current.format === 'compact' ? compactList(cells, names, labels)
+      : textTable(cells, names, labels);
+  return shown.length < rows.length ? `${table}\n${overflowNotice(rows.length - shown.length)}` : table;
+}
+
+// Cut at a line break before the budget and say that the rest was left out
+function cut(text, maxChars) {
+  const notice = `… output cut to fit max_chars (${maxChars.toLocaleString()}); raise it to see the rest`;
+  const room = Math.max(0, maxChars - notice.length - 1);
+  const lineEnd = text.lastIndexOf('\n', room);
+  return `${text.slice(0, lineEnd > room / 2 ? lineEnd : room)}\n${notice}`;
+}
+
+/**
+ * Run `render` (which formats a result through formatTable) in `format`,
+ * retrying with the shrink steps until the text fits `maxChars`.
+ */
+export function renderOutput(render, { format = DEFAULT_OUTPUT_FORMAT, maxChars = DEFAULT_MAX_CHARS } = {}) {
+  let text = '';
+  for (const step of maxChars ? SHRINK_STEPS : SHRINK_STEPS.slice(0, 1)) {
+    text = storage.run({ format, step }, render);
+    if (!maxChars || text.length <= maxChars) return text;
+  }
+  return cut(text, maxChars);
+}
+
+function shortenStrings(value) {
+  if (typeof value === 'string') {
+    return value.length > JSON_STRING_LIMIT ? `${value.slice(0, JSON_STRING_LIMIT - 1)}…` : value;
+  }
+  if (Array.isArray(value)) return value.map(shortenStrings);
+  if (value && typeof value === 'object') {
+    // Shortened cursors would no longer work
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, key.endsWith('cursor') ? item : shortenStrings(item)]));
+  }
+  return value;
+}
+
+// Longest array anywhere in `value`, as { array, path }
+function longestArray(value, path = []) {
+  let best = null;
+  const visit = (item, itemPath) => {
+    if (Array.isArray(item)) {
+      if (item.length > 0 && (!best || JSON.stringify(item).length > JSON.stringify(best.array).length)) {
+        best = { array: item, path: itemPath };
+      }
+      item.forEach((child, index) => visit(child, [...itemPath, index]));
+    } else if (item && typeof item === 'object') {
+      for (const [key, child] of Object.entries(item)) visit(child, [...itemPath, key]);
+    }
+  };
+  visit(value, path);
+  return best;
+}
+
+/**
+ * The structured result as JSON text within `maxChars`: long strings are
+ * shortened, then the longest arrays halved, with the rows left out of each
+ * array counted under "_omitted" by path (e.g. { "documents": 40 }).
+ */
+export function renderJSON(data, { maxChars = DEFAULT_MAX_CHARS } = {}) {
+  let text = JSON.stringify(data, null, 2);
+  if (!maxChars || text.length <= maxChars) return text;
+
+  const trimmed = shortenStrings(data);
+  const omitted = {};
+  const serialize = () => JSON.stringify(Object.keys(omitted).length > 0 ? { ...trimmed, _omitted: omitted } : trimmed);
+  text = serialize();
+  while (text.length > maxChars) {
+    const longest = longestArray(trimmed);
+    if (!longest) break;
+    const removed = longest.array.splice(Math.floor(longest.array.length / 2));
+    const key = longest.path.join('.');
+    omitted[key] = (omitted[key] || 0) + removed.length;
+    text = serialize();
+  }
+  return text.length <= maxChars ? text : cut(text, maxChars);
+}
@@ -0,0 +1,281 @@
+/**
+ * Reporting periods and date expressions for time-based queries.
+ *
+ * Splits a date range into calendar years, World Bank fiscal years (1 July to
+ * 30 June, named after the year they end in) or calendar quarters. Periods
+ * cut short by the requested range or by today are marked partial.
+ *
+ * Date arguments accept more than YYYY-MM-DD: years ("2019"), fiscal years
+ * ("FY2019", "FY19"), quarters ("2019-Q3"), months ("2019-03") and relative
+ * dates ("6 months ago", "today"). A `period` argument covers a whole range
+ * ("FY2017 to FY2019", "last 6 months", "this fiscal year", "since 2020"),
+ * and every expression is normalized to concrete dates.
+ */
+
+import { invalidArgument } from './errors.js';
+
+export const GRANULARITIES = ['year', 'fiscal_year', 'quarter'];
+
+export const MAX_PERIODS = 80;
+const DEFAULT_PERIODS = 10;
+const DAY = 24 * 60 * 60 * 1000;
+
+export function isoDate(date) {
+  return date.toISOString().split('T')[0];
+}
+
+function utc(year, month, day) {
+  return new Date(Date.UTC(year, month, day));
+}
+
+function todayUTC() {
+  const now = new Date();
+  return utc(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+}
+
+/** The period of the given granularity that contains `date`. */
+export function periodContaining(date, granularity) {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+
+  if (granularity === 'month') {
+    return { label: `${year}-${String(month + 1).padStart(2, '0')}`, start: utc(year, month, 1), end: utc(year, month + 1, 0) };
+  }
+
+  if (granularity === 'fiscal_year') {
+    const fiscalYear = month >= 6 ? year + 1 : year;
+    return { label: `FY${fiscalYear}`, start: utc(fiscalYear - 1, 6, 1), end: utc(fiscalYear, 5, 30) };
+  }
+  if (granularity === 'quarter') {
+    const quarter = Math.floor(month / 3);
+    return { label: `${year}-Q${quarter + 1}`, start: utc(year, quarter * 3, 1), end: utc(year, quarter * 3 + 3, 0) };
+  }
+  return { label: String(year), start: utc(year, 0, 1), end: utc(year, 11, 31) };
+}
+
+/**
+ * Periods covering start_date..end_date. end_date defaults to today and
+ * start_date to the beginning of the tenth period back. Returns
+ * [{ period, start_date, end_date, partial }].
+ */
+export function buildPeriods({ start_date, end_date } = {}, granularity = 'year') {
+  if (!GRANULARITIES.includes(granularity)) {
+    throw invalidArgument(`granularity must be one of: ${GRANULARITIES.join(', ')}`);
+  }
+
+  const today = todayUTC();
+  const end = end_date ? parseDateExpression(end_date, 'end_date', 'end') : today;
+  let start;
+  if (start_date) {
+    start = parseDateExpression(start_date, 'start_date', 'start');
+  } else {
+    start = periodContaining(end, granularity).start;
+    for (let i = 1; i < DEFAULT_PERIODS; i++) {
+      start = periodContaining(new Date(start.getTime() - DAY), granularity).start;
+    }
+  }
+  if (start > end) {
+    throw invalidArgument('start_date must be on or before end_date');
+  }
+
+  const periods = [];
+  for (let period = periodContaining(start, granularity); period.start <= end;
+    period = periodContaining(new Date(period.end.getTime() + DAY), granularity)) {
+    if (periods.length === MAX_PERIODS) {
+      throw invalidArgument(`The range covers more than ${MAX_PERIODS} periods; narrow it or use a coarser granularity`);
+    }
+    const periodStart = period.start < start ? start : period.start;
+    const periodEnd = period.end > end ? end : period.end;
+    periods.push({
+      period: period.label,
+      start_date: isoDate(periodStart),
+      end_date: isoDate(periodEnd),
+      partial: periodStart > period.start || periodEnd < period.end || period.end > today
+    });
+  }
+  return periods;
+}
+
+/**
+ * Date range for a single year label: "2020" (calendar year) or "FY2020"
+ * (World Bank fiscal year). Returns { period, start_date, end_date }.
+ */
+export function yearRange(label) {
+  const match = /^(FY)?(\d{4})$/i.exec(String(label).trim());
+  if (!match) {
+    throw invalidArgument(`"${label}" is not a year; use YYYY or FYYYYY (e.g., "2020", "FY2020")`);
+  }
+  const year = Number(match[2]);
+  const period = periodContaining(match[1] ? utc(year, 0, 1) : utc(year, 6, 1), match[1] ? 'fiscal_year' : 'year');
+  return { period: period.label, start_date: isoDate(period.start), end_date: isoDate(period.end) };
+}
+
+const UNITS = {
+  day: 'day',
+  week: 'week',
+  month: 'month',
+  quarter: 'quarter',
+  year: 'year',
+  'fiscal year': 'fiscal_year',
+  fy: 'fiscal_year'
+};
+const UNIT_PATTERN = '(days?|weeks?|months?|quarters?|fiscal years?|fys?|years?)';
+
+function unitName(text) {
+  return UNITS[text.toLowerCase().replace(/s$/, '')];
+}
+
+// Move `date` by `count` units (negative goes back); months clamp to the month's last day
+function shift(date, unit, count) {
+  if (unit === 'day' || unit === 'week') {
+    return new Date(date.getTime() + count * (unit === 'week' ? 7 : 1) * DAY);
+  }
+  const months = count * ({ month: 1, quarter: 3 }[unit] || 12);
+  const target = utc(date.getUTCFullYear(), date.getUTCMonth() + months, 1);
+  const lastDay = utc(target.getUTCFullYear(), target.getUTCMonth() + 1, 0).getUTCDate();
+  return utc(target.getUTCFullYear(), target.getUTCMonth(), Math.min(date.getUTCDate(), lastDay));
+}
+
+function fullYear(digits) {
+  return digits.length === 2 ? 2000 + Number(digits) : Number(digits);
+}
+
+/**
+ * The span a single date expression names: { label, start, end }, or null
+ * when the expression is not recognized. A day is a span of one day.
+ */
+function expressionSpan(value) {
+  const text = String(value).trim().replace(/\s+/g, ' ');
+  let match;
+
+  if ((match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text))) {
+    const date = utc(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    return isoDate(date) === text ? { label: text, start: date, end: date } : null;
+  }
+  if ((match = /^(\d{4})$/.exec(text))) {
+    return periodContaining(utc(Number(match[1]), 0, 1), 'year');
+  }
+  if ((match = /^FY ?(\d{2}|\d{4})$/i.exec(text))) {
+    return periodContaining(utc(fullYear(match[1]), 0, 1), 'fiscal_year');
+  }
+  if ((match = /^(\d{4})[- ]?Q([1-4])$/i.exec(text)) || (match = /^Q([1-4])[- ](\d{4})$/i.exec(text))) {
+    const [year, quarter] = match[0].toUpperCase().startsWith('Q') ? [match[2], match[1]] : [match[1], match[2]];
+    return periodContaining(utc(Number(year), (Number(quarter) - 1) * 3, 1), 'quarter');
+  }
+  if ((match = /^(\d{4})-(\d{2})$/.exec(text)) && Number(match[2]) >= 1 && Number(match[2]) <= 12) {
+    return periodContaining(utc(Number(match[1]), Number(match[2]) - 1, 1), 'month');
+  }
+  if (/^today$/i.test(text)) {
+    const today = todayUTC();
+    return { label: isoDate(today), start: today, end: today };
+  }
+  if ((match = new RegExp(`^(\\d+) ${UNIT_PATTERN} ago$`, 'i').exec(text))) {
+    const date = shift(todayUTC(), unitName(match[2]) === 'fiscal_year' ? 'year' : unitName(match[2]), -Number(match[1]));
+    return { label: isoDate(date), start: date, end: date };
+  }
+  return null;
+}
+
+const EXPRESSION_HELP = 'use YYYY-MM-DD, a year (2019), fiscal year (FY2019), quarter (2019-Q3), month (2019-03) or relative date ("6 months ago")';
+
+/**
+ * Parse a date expression to a UTC date: the first day of the span it names
+ * when `edge` is "start", the last day when it is "end".
+ */
+export function parseDateExpression(value, name, edge = 'start') {
+  const span = expressionSpan(value);
+  if (!span) {
+    throw invalidArgument(`${name} "${value}" is not a recognized date; ${EXPRESSION_HELP}`);
+  }
+  return edge === 'end' ? span.end : span.start;
+}
+
+/** Whether a string is a valid date expression (for argument validation). */
+export function isDateExpression(value) {
+  return expressionSpan(value) !== null;
+}
+
+const PERIOD_HELP = 'use a date expression (FY2019, 2019, 2019-Q3, 2019-03, YYYY-MM-DD), a range ("FY2017 to FY2019"), "last 6 months", "last fiscal year", "this year", "year to date" or "since 2020"';
+
+/**
+ * Resolve a period expression to { label, start, end }, or null when it is
+ * not recognized. Ranges and relative periods end today at the latest.
+ */
+function periodSpan(value) {
+  const text = String(value).trim().replace(/\s+/g, ' ');
+  const today = todayUTC();
+  let match;
+
+  if ((match = /^(.+?) ?(?:\.\.| to | - |–|—) ?(.+)$/i.exec(text))
+    || (match = /^(\d{4}|FY ?\d{2,4})-(\d{4}|FY ?\d{2,4})$/i.exec(text))) {
+    const from = expressionSpan(match[1]);
+    const to = expressionSpan(match[2]);
+    return from && to ? { label: `${from.label} to ${to.label}`, start: from.start, end: to.end } : null;
+  }
+  if ((match = /^since (.+)$/i.exec(text))) {
+    const from = expressionSpan(match[1]);
+    return from ? { label: `since ${from.label}`, start: from.start, end: today } : null;
+  }
+  if ((match = new RegExp(`^(?:last|past) (\\d+) ${UNIT_PATTERN}$`, 'i').exec(text))) {
+    const unit = unitName(match[2]);
+    const start = shift(today, unit === 'fiscal_year' ? 'year' : unit, -Number(match[1]));
+    return { label: text.toLowerCase(), start: new Date(start.getTime() + DAY), end: today };
+  }
+  if ((match = /^(last|previous|this|current) (month|quarter|fiscal year|fy|year)$/i.exec(text))) {
+    const unit = unitName(match[2]);
+    const current = periodContaining(today, unit);
+    if (/^(this|current)$/i.test(match[1])) {
+      return { label: current.label, start: current.start, end: today };
+    }
+    return periodContaining(new Date(current.start.getTime() - DAY), unit);
+  }
+  if ((match = /^(fiscal )?(?:year to date|ytd)$/i.exec(text)) || (match = /^(f)ytd$/i.exec(text))) {
+    const current = periodContaining(today, match[1] ? 'fiscal_year' : 'year');
+    return { label: `${current.label} to date`, start: current.start, end: today };
+  }
+  return expressionSpan(text);
+}
+
+/**
+ * The date range set by `period`, `fiscal_year`, `start_date` and
+ * `end_date`, normalized to YYYY-MM-DD: { input, label, start_date,
+ * end_date }, where either date may be null for an open-ended range.
+ * Returns null when no date argument is set.
+ */
+export function resolveDateRange({ period, fiscal_year, start_date, end_date } = {}) {
+  const given = [period, fiscal_year].filter(value => value !== undefined && value !== null && value !== '');
+  if (given.length > 1) {
+    throw invalidArgument('Pass either period or fiscal_year, not both');
+  }
+  if (given.length === 1 && (start_date || end_date)) {
+    throw invalidArgument(`Pass either ${period ? 'period' : 'fiscal_year'} or start_date/end_date, not both`);
+  }
+
+  if (given.length === 1) {
+    const input = period ? String(period) : `FY${String(fiscal_year).replace(/^FY ?/i, '')}`;
+    const span = periodSpan(input);
+    if (!span) {
+      throw invalidArgument(period
+        ? `period "${period}" is not recognized; ${PERIOD_HELP}`
+        : `fiscal_year must be a year such as "FY2019", "FY19" or 2019, got "${fiscal_year}"`);
+    }
+    if (span.start > span.end) {
+      throw invalidArgument(`period "${input}" starts after it ends`);
+    }
+    return { input, label: span.label, start_date: isoDate(span.start), end_date: isoDate(span.end) };
+  }
+
+  if (!start_date && !end_date) return null;
+  const start = start_date ? parseDateExpression(start_date, 'start_date', 'start') : null;
+  const end = end_date ? parseDateExpression(end_date, 'end_date', 'end') : null;
+  if (start && end && start > end) {
+    throw invalidArgument('start_date must be on or before end_date');
+  }
+  const input = [start_date, end_date].map(value => value || '…').join(' to ');
+  return {
+    input,
+    label: input,
+    start_date: start ? isoDate(start) : null,
+    end_date: end ? isoDate(end) : null
+  };
+}
@@ -0,0 +1,110 @@
+/**
+ * World Bank Projects API (search.worldbank.org/api/v2/projects) helpers.
+ *
+ * Normalizes project records into the fields a document's project is usually
+ * looked up for: name, status, commitment, approval and closing dates and the
+ * implementing agency. WDS documents carry project IDs in `projectid`, which
+ * is how documents are linked to their project. Requests go through the same
+ * client, rate limit and cache as the Documents API.
+ */
+
+import { fieldText } from './citation.js';
+import { ErrorCodes, WorldBankError } from './errors.js';
+
+export const PROJECTS_BASE_URL = (process.env.WB_PROJECTS_BASE_URL || 'https://search.worldbank.org/api/v2/projects').replace(/\/+$/, '');
+export const PROJECT_STATUSES = ['Active', 'Closed', 'Pipeline', 'Dropped'];
+export const DEFAULT_PROJECT_RESULTS = 20;
+export const DEFAULT_PROJECT_DOCUMENTS = 20;
+// Distinct projects looked up to enrich one page of documents
+export const MAX_ENRICHED_PROJECTS = 50;
+
+export const PROJECT_FIELDS = [
+  'id', 'project_name', 'status', 'projectstatusdisplay', 'countryshortname', 'countrycode', 'regionname',
+  'boardapprovaldate', 'closingdate', 'totalcommamt', 'totalamt', 'curr_total_commitment', 'lendinginstr',
+  'impagency', 'borrower', 'teamleadname', 'sector', 'url', 'project_abstract'
+];
+
+const PROJECT_ID_PATTERN = /^P\d{6}$/;
+
+/** "p123456 " → "P123456"; null when the value is not a project ID. */
+export function normalizeProjectId(value) {
+  const id = String(value ?? '').trim().toUpperCase();
+  return PROJECT_ID_PATTERN.test(id) ? id : null;
+}
+
+/** Project IDs of a WDS document, in order; `projectid` may hold several. */
+export function documentProjectIds(doc) {
+  const ids = fieldText(doc.projectid, ',').split(/[,;\s]+/).map(normalizeProjectId).filter(Boolean);
+  return [...new Set(ids)];
+}
+
+function text(value) {
+  return fieldText(value) || null;
+}
+
+function isoDate(value) {
+  const raw = text(value);
+  if (!raw) return null;
+  const date = new Date(raw);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString().split('T')[0];
+}
+
+// Amounts arrive as strings with thousands separators ("250,000,000");
+// curr_total_commitment is in millions and only used as a fallback
+function commitment(project) {
+  for (const value of [project.totalcommamt, project.totalamt]) {
+    const amount = Number(String(value ?? '').replace(/,/g, ''));
+    if (value !== undefined && value !== null && value !== '' && Number.isFinite(amount)) return amount;
+  }
+  const millions = Number(project.curr_total_commitment);
+  return project.curr_total_commitment !== undefined && Number.isFinite(millions) ? millions * 1e6 : null;
+}
+
+function sectors(value) {
+  const names = [value ?? []].flat()
+    .flatMap(item => item && typeof item === 'object' && !Array.isArray(item) && 'Name' in item ? [item.Name] : Object.values(item || {}))
+    .map(name => text(name))
+    .filter(Boolean);
+  return [...new Set(names)];
+}
+
+export function normalizeProject(project) {
+  return {
+    id: project.id,
+    name: text(project.project_name) || project.id,
+    status: text(project.projectstatusdisplay) || text(project.status),
+    country: text(project.countryshortname),
+    country_code: fieldText(project.countrycode, ',').split(',')[0] || null,
+    region: text(project.regionname),
+    approval_date: isoDate(project.boardapprovaldate),
+    closing_date: isoDate(project.closingdate),
+    commitment_usd: commitment(project),
+    lending_instrument: text(project.lendinginstr),
+    implementing_agency: text(project.impagency),
+    borrower: text(project.borrower),
+    team_lead: text(project.teamleadname),
+    sectors: sectors(project.sector),
+    url: text(project.url) || `https://projects.worldbank.org/en/projects-operations/project-detail/${project.id}`,
+    abstract: text(project.project_abstract)
+  };
+}
+
+/** The fields attached to documents enriched with their project. */
+export function projectSummary(project) {
+  const { id, name, status, country, commitment_usd, approval_date, implementing_agency } = project;
+  return { id, name, status, country, commitment_usd, approval_date, implementing_agency };
+}
+
+/**
+ * Normalized projects and the total from a search response. Projects come
+ * keyed by ID under `projects`, which is missing when nothing matches.
+ */
+export function extractProjects(response) {
+  if (!response || typeof response !== 'object' || (response.projects !== undefined && typeof response.projects !== 'object')) {
+    throw new WorldBankError(ErrorCodes.MALFORMED_RESPONSE, 'Projects API returned an unexpected response shape');
+  }
+  const projects = Object.entries(response.projects || {})
+    .filter(([, project]) => project && typeof project === 'object')
+    .map(([key, project]) => normalizeProject({ ...project, id: normalizeProjectId(project.id) || key }));
+  return { total: Number(response.total) || 0, projects };
+}
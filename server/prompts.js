@@ -0,0 +1,293 @@
+/**
+ * MCP prompts for common research workflows.
+ *
+ * Each prompt takes a few plain arguments (country, sector, date range, ...),
+ * checks them the way the tools would, and returns step-by-step instructions
+ * naming the tools to call with the exact arguments and filter values to use,
+ * so a one-click prompt gets the same results as a carefully written request.
+ */
+
+import {
+  ErrorCode,
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
+  McpError,
+} from '@modelcontextprotocol/sdk/types.js';
+import { findCountry, findGroup } from './countries.js';
+import { WorldBankError } from './errors.js';
+import { resolveDateRange } from './periods.js';
+import { normalizeProjectId } from './projects.js';
+
+export const PROMPT_CAPABILITIES = {};
+
+// Document types as WDS names them; tools resolve near misses and report unknown ones
+const DIAGNOSTIC_TYPES = [
+  'Systematic Country Diagnostic',
+  'Country Partnership Framework',
+  'Country Economic Memorandum',
+  'Public Expenditure Review',
+  'Poverty Assessment'
+];
+const RESEARCH_TYPES = ['Policy Research Working Paper', 'Working Paper', 'Report', 'Journal Article', 'Brief'];
+const PROCUREMENT_NOTICE_TYPES = [
+  'Procurement Plan',
+  'General Procurement Notice',
+  'Specific Procurement Notice',
+  'Request for Expression of Interest'
+];
+const SAFEGUARD_TYPES = [
+  'Environmental Assessment',
+  'Environmental and Social Management Framework',
+  'Environmental and Social Management Plan',
+  'Environmental and Social Commitment Plan',
+  'Environmental and Social Review Summary',
+  'Stakeholder Engagement Plan',
+  'Resettlement Plan',
+  'Resettlement Policy Framework',
+  'Indigenous Peoples Plan'
+];
+
+const PERIOD_ARGUMENT = 'Date range: a fiscal year ("FY2024"), a range ("FY2020 to FY2024", "2019-2023") or a relative period ("last 5 years", "since 2020")';
+
+const PROMPTS = [
+  {
+    name: 'country_evidence_brief',
+    title: 'Country Evidence Brief',
+    description: 'Evidence brief on a country from World Bank diagnostics, research and indicators, with cited sources',
+    arguments: [
+      { name: 'country', description: 'Country name or ISO code (e.g., "Kenya", "VNM")', required: true },
+      { name: 'topic', description: 'Optional focus, e.g. "jobs", "climate adaptation", "learning poverty"' },
+      { name: 'period', description: `${PERIOD_ARGUMENT}. Default: last 5 years` }
+    ],
+    build: countryEvidenceBrief
+  },
+  {
+    name: 'sector_literature_scan',
+    title: 'Sector Literature Scan',
+    description: 'Scan of World Bank research and analytical work on a sector, with trends, key works and gaps',
+    arguments: [
+      { name: 'sector', description: 'Sector (e.g., "Energy", "Education", "Health")', required: true },
+      { name: 'region', description: 'Optional World Bank region code or name (e.g., "SSA", "South Asia")' },
+      { name: 'country', description: 'Optional country name or ISO code; narrows the region if both are given' },
+      { name: 'topic', description: 'Optional keywords within the sector, e.g. "mini-grids"' },
+      { name: 'period', description: `${PERIOD_ARGUMENT}. Default: last 3 years` }
+    ],
+    build: sectorLiteratureScan
+  },
+  {
+    name: 'procurement_pipeline_review',
+    title: 'Procurement Pipeline Review',
+    description: 'Review of procurement plans, notices and contract awards for a country\'s World Bank projects',
+    arguments: [
+      { name: 'country', description: 'Country name or ISO code', required: true },
+      { name: 'sector', description: 'Optional sector (e.g., "Energy", "Transportation")' },
+      { name: 'period', description: `${PERIOD_ARGUMENT}. Default: last 12 months` }
+    ],
+    build: procurementPipelineReview
+  },
+  {
+    name: 'environmental_safeguards_check',
+    title: 'Environmental Safeguards Check',
+    description: 'Check which environmental and social safeguard documents exist for a project or a country\'s projects',
+    arguments: [
+      { name: 'project_id', description: 'Project ID (e.g., "P123456"); give this or country' },
+      { name: 'country', description: 'Country name or ISO code; give this or project_id' },
+      { name: 'sector', description: 'Optional sector, used with country' },
+      { name: 'period', description: `${PERIOD_ARGUMENT}. Default: last 5 years` }
+    ],
+    build: environmentalSafeguardsCheck
+  }
+];
+
+function invalidParams(message) {
+  return new McpError(ErrorCode.InvalidParams, message);
+}
+
+// Prompt arguments arrive as strings; blank ones count as not given
+function argument(args, name) {
+  const value = typeof args[name] === 'string' ? args[name].trim() : '';
+  return value || undefined;
+}
+
+function required(args, name, prompt) {
+  const value = argument(args, name);
+  if (!value) {
+    throw invalidParams(`Prompt ${prompt} requires the "${name}" argument`);
+  }
+  return value;
+}
+
+// Canonical name and ISO3 code when the country is known; otherwise the
+// value is passed on as written and the tools' filter resolution handles it
+function country(value) {
+  const match = value && findCountry(value);
+  return match ? { name: match.name, iso3: match.iso3 } : value ? { name: value, iso3: null } : null;
+}
+
+function region(value) {
+  return value ? findGroup('region', value) : null;
+}
+
+function period(value, fallback) {
+  const range = resolveDateRange({ period: value || fallback });
+  return { period: range.input, description: `${range.label} (${range.start_date || '…'} to ${range.end_date || '…'})` };
+}
+
+// `tool {"arg": ...}` with arguments that are not set left out
+function call(tool, args) {
+  return `\`${tool} ${JSON.stringify(args)}\``;
+}
+
+function steps(list) {
+  return list.filter(Boolean).map((step, index) => `${index + 1}. ${step}`).join('\n');
+}
+
+const FILTER_NOTE = 'Check the "Filter adjustments" of each search: if a filter value is reported as unmatched, drop it or use a suggested value and search again.';
+
+function countryEvidenceBrief(args) {
+  const place = country(required(args, 'country', 'country_evidence_brief'));
+  const topic = argument(args, 'topic');
+  const range = period(argument(args, 'period'), 'last 5 years');
+  const filters = { country: place.name, query: topic, period: range.period };
+
+  return `Prepare an evidence brief on ${topic ? `${topic} in ` : ''}${place.name} from World Bank sources. Date range: ${range.description}.
+
+${steps([
+    `See what is available: ${call('wb_list_facets', { facets: ['docty_exact', 'majtheme_exact'], filter_query: filters })}`,
+    `Find the core country diagnostics: ${call('wb_search_documents', { ...filters, document_type: DIAGNOSTIC_TYPES, limit: 20, sort_by: 'docdt', sort_order: 'desc', citation: 'worldbank' })}`,
+    `Find research and analytical work: ${call('wb_search_documents', { ...filters, document_type: RESEARCH_TYPES, limit: 20, citation: 'worldbank' })}`,
+    `Pick the 5-8 most relevant documents and read their full abstracts with ${call('wb_get_document', { document_id: '<id>', full_abstract: true })}. Where the abstract is not enough, search the text with ${call('wb_get_document_text', { document_id: '<id>', search: topic || '<key term>' })}`,
+    place.iso3 && `Add 2-3 headline figures the documents rely on: find indicator codes with ${call('wb_search_indicators', { query: topic || '<indicator keywords>' })} and fetch them with ${call('wb_get_indicator_data', { indicator: '<code>', country: place.iso3, most_recent: 10 })}`
+  ])}
+
+${FILTER_NOTE}
+
+Write the brief in plain language for a non-specialist:
+- Context: 2-3 sentences
+- Key findings: 5-7 bullets, each ending with its source as (document ID, title, year)
+- Figures: the headline numbers with year and source
+- Gaps and caveats: what the documents do not cover or disagree on
+- Sources: the World Bank citations of every document used`;
+}
+
+function sectorLiteratureScan(args) {
+  const sector = required(args, 'sector', 'sector_literature_scan');
+  const group = region(argument(args, 'region'));
+  const place = country(argument(args, 'country'));
+  const topic = argument(args, 'topic');
+  const range = period(argument(args, 'period'), 'last 3 years');
+  const filters = { sector, region: group?.code, country: place?.name, query: topic, period: range.period };
+  const scope = [place?.name, group?.name].filter(Boolean).join(', ');
+
+  return `Scan World Bank literature on ${sector}${topic ? ` (${topic})` : ''}${scope ? ` in ${scope}` : ''}. Date range: ${range.description}.
+
+${steps([
+    `Collect research and analytical work: ${call('wb_search_documents', { ...filters, document_type: RESEARCH_TYPES, limit: 50, sort_by: 'docdt', sort_order: 'desc', citation: 'apa' })}. Follow "next_cursor" if the total is larger and the later pages still look relevant`,
+    `See how output has moved over time: ${call('wb_document_trends', { ...filters, document_type: RESEARCH_TYPES, granularity: 'fiscal_year' })}`,
+    `See where the work concentrates: ${call('wb_list_facets', { facets: ['count_exact', 'docty_exact', 'majtheme_exact'], filter_query: { ...filters, document_type: RESEARCH_TYPES } })}`,
+    `For the 2-3 most central works, catch related work the search missed: ${call('wb_find_related', { document_id: '<id>' })}`,
+    `Read the abstracts of the works you include: ${call('wb_get_document', { document_id: '<id>', full_abstract: true })}`
+  ])}
+
+${FILTER_NOTE}
+
+Report:
+- Overview: volume and trend of the literature in 2-3 sentences
+- Themes: 3-5 clusters of work, each with its main findings
+- Key works: a table of title, year, type, one-line finding and document ID
+- Gaps: questions, countries or methods the literature does not cover
+- Bibliography: APA citations of the key works`;
+}
+
+function procurementPipelineReview(args) {
+  const place = country(required(args, 'country', 'procurement_pipeline_review'));
+  const sector = argument(args, 'sector');
+  const range = period(argument(args, 'period'), 'last 12 months');
+  const filters = { country: place.name, sector, period: range.period };
+
+  return `Review the World Bank procurement pipeline for ${place.name}${sector ? ` in ${sector}` : ''}. Date range: ${range.description}.
+
+${steps([
+    `List the projects that can still procure: ${call('wb_search_projects', { country: place.name, status: ['Active', 'Pipeline'], limit: 50 })}`,
+    `Find procurement plans and notices, with their projects: ${call('wb_search_documents', { ...filters, document_type: PROCUREMENT_NOTICE_TYPES, include_project: true, limit: 50, sort_by: 'docdt', sort_order: 'desc' })}`,
+    `Find recent contract awards: ${call('wb_search_documents', { ...filters, document_type: 'Contract Award', include_project: true, limit: 50, sort_by: 'docdt', sort_order: 'desc' })}`,
+    `For each active project with procurement activity, get its latest procurement plan: ${call('wb_project_documents', { project_id: '<project id>', document_type: 'Procurement Plan', limit: 1 })}, and read the upcoming packages with ${call('wb_get_document_text', { document_id: '<id>', search: 'procurement method' })}`,
+    `Offer to keep watching: ${call('wb_save_search', { name: `${place.name} procurement`, country: place.name, sector, document_type: [...PROCUREMENT_NOTICE_TYPES, 'Contract Award'] })}, then check it with wb_check_saved_search`
+  ])}
+
+${FILTER_NOTE}
+
+Report:
+- Summary: number of active and pipeline projects, and of plans, notices and awards in the period
+- By project: a table of project ID, name, status, commitment, latest procurement plan date, open notices and recent awards
+- Upcoming opportunities: packages and notices still open, with dates and document IDs
+- Notes: projects with no procurement documents in the period`;
+}
+
+function environmentalSafeguardsCheck(args) {
+  const projectId = argument(args, 'project_id');
+  const place = country(argument(args, 'country'));
+  if (!projectId && !place) {
+    throw invalidParams('Prompt environmental_safeguards_check requires "project_id" or "country"');
+  }
+  const project = projectId && normalizeProjectId(projectId);
+  if (projectId && !project) {
+    throw invalidParams(`project_id must be a project ID such as "P123456", got "${projectId}"`);
+  }
+  const sector = argument(args, 'sector');
+  const range = period(argument(args, 'period'), 'last 5 years');
+
+  const find = project
+    ? [
+      `Get the project: ${call('wb_get_project', { project_id: project })}`,
+      `List its safeguard documents: ${call('wb_project_documents', { project_id: project, document_type: SAFEGUARD_TYPES, limit: 100 })}`,
+      `List all its documents, to spot safeguard material filed under other types: ${call('wb_project_documents', { project_id: project, limit: 100 })}`
+    ]
+    : [
+      `Find safeguard documents and their projects: ${call('wb_search_documents', { country: place.name, sector, period: range.period, document_type: SAFEGUARD_TYPES, include_project: true, limit: 100, sort_by: 'docdt', sort_order: 'desc' })}`,
+      `See which instruments are filed how often: ${call('wb_list_facets', { facets: ['docty_exact'], filter_query: { country: place.name, sector, period: range.period, document_type: SAFEGUARD_TYPES } })}`,
+      `List the projects approved in the period, to find any without safeguard documents: ${call('wb_search_projects', { country: place.name, period: range.period, limit: 100 })}`
+    ];
+
+  return `Check the environmental and social safeguard documentation of ${project ? `project ${project}` : `World Bank projects in ${place.name}${sector ? ` (${sector})` : ''}`}.${project ? '' : ` Date range: ${range.description}.`}
+
+${steps([
+    ...find,
+    `For the main instruments (environmental assessment, ESMF or ESMP, resettlement), read the relevant parts: ${call('wb_get_document_text', { document_id: '<id>', search: 'grievance mechanism' })}; also search for "risk category", "resettlement" and "monitoring"`
+  ])}
+
+${FILTER_NOTE}
+
+Report:
+- Overview: projects reviewed and their environmental risk category where stated
+- Instruments: a table of project × instrument with the document date and ID, or "not found"
+- Concerns: missing instruments for the project's risk level, outdated plans, open resettlement or grievance issues
+- Caveat: a document missing from the Documents & Reports database does not prove it does not exist; say so for every gap`;
+}
+
+/** Register prompt handlers on `server`. */
+export function registerPrompts(server) {
+  server.setRequestHandler(ListPromptsRequestSchema, async () => ({
+    prompts: PROMPTS.map(({ build, ...prompt }) => prompt)
+  }));
+
+  server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+    const { name, arguments: args = {} } = request.params;
+    const prompt = PROMPTS.find(candidate => candidate.name === name);
+    if (!prompt) {
+      throw invalidParams(`Unknown prompt: ${name}; available prompts: ${PROMPTS.map(candidate => candidate.name).join(', ')}`);
+    }
+    let text;
+    try {
+      text = prompt.build(args);
+    } catch (error) {
+      // Bad periods and region names are reported like invalid tool arguments
+      if (error instanceof WorldBankError) throw invalidParams(error.message);
+      throw error;
+    }
+    return {
+      description: prompt.description,
+      messages: [{ role: 'user', content: { type: 'text', text } }]
+    };
+  });
+}
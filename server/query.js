@@ -0,0 +1,152 @@
+/**
+ * Translation of search arguments into WDS query syntax.
+ *
+ * Facet filters accept a single value or an OR-list, sent as one *_exact
+ * parameter joined with "^". WDS has no negated facet parameters, so
+ * exclusions (not_country, not_document_type, ...) become NOT clauses on the
+ * same *_exact fields inside qterm. `query` is either a string in WDS boolean
+ * syntax (quotes, AND/OR/NOT, parentheses, field:term) or a structured object
+ * that is rendered into that syntax.
+ */
+
+import { invalidArgument } from './errors.js';
+import { RESOLVABLE_FILTERS } from './resolver.js';
+
+// WDS separator for OR-ed values of one *_exact parameter
+export const OR_SEPARATOR = '^';
+
+// Friendly field names accepted in queries -> WDS field names
+export const QUERY_FIELDS = {
+  title: 'display_title',
+  abstract: 'abstracts',
+  author: 'authors',
+  report_number: 'repnb'
+};
+
+const STRUCTURED_KEYS = ['all', 'any', 'none', 'field'];
+
+function asList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : [value])
+    .map(item => String(item).trim())
+    .filter(Boolean);
+}
+
+// Multi-word terms are searched as phrases
+function quote(term) {
+  const text = term.replace(/"/g, '');
+  return /\s/.test(text) ? `"${text}"` : text;
+}
+
+// Wrap in parentheses unless the expression is a single term or already one group
+function group(expression) {
+  if (!/\s/.test(expression)) return expression;
+  if (expression.startsWith('(') && expression.endsWith(')')) {
+    let depth = 0;
+    for (let i = 0; i < expression.length; i++) {
+      if (expression[i] === '(') depth++;
+      if (expression[i] === ')') depth--;
+      if (depth === 0 && i < expression.length - 1) return `(${expression})`;
+    }
+    return expression;
+  }
+  return `(${expression})`;
+}
+
+function scoped(field, expression) {
+  return field ? `${field}:(${expression})` : expression;
+}
+
+function structuredQuery(query) {
+  const unknown = Object.keys(query).filter(key => !STRUCTURED_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw invalidArgument(`Unknown query key(s): ${unknown.join(', ')}. Use ${STRUCTURED_KEYS.join(', ')}`);
+  }
+
+  let field = null;
+  if (query.field && query.field !== 'any') {
+    field = QUERY_FIELDS[query.field];
+    if (!field) {
+      throw invalidArgument(`query.field must be one of: any, ${Object.keys(QUERY_FIELDS).join(', ')}`);
+    }
+  }
+
+  const all = asList(query.all).map(quote);
+  const any = asList(query.any).map(quote);
+  const none = asList(query.none).map(quote);
+
+  const clauses = [];
+  if (all.length > 0) clauses.push(scoped(field, all.join(' AND ')));
+  if (any.length > 0) {
+    const expression = any.join(' OR ');
+    clauses.push(field ? scoped(field, expression) : any.length > 1 ? `(${expression})` : expression);
+  }
+  for (const term of none) {
+    clauses.push(`NOT ${scoped(field, term)}`);
+  }
+  if (clauses.length === 0) {
+    throw invalidArgument('query must contain at least one term in all, any or none');
+  }
+  return clauses.join(' AND ');
+}
+
+// Map friendly field prefixes outside quoted phrases and check that quotes
+// and parentheses balance, so malformed queries fail here rather than upstream
+function translateQueryString(query) {
+  const segments = query.split(/("[^"]*")/);
+  if ((query.match(/"/g) || []).length % 2 !== 0) {
+    throw invalidArgument('query has an unterminated quoted phrase');
+  }
+
+  let depth = 0;
+  const translated = segments.map(segment => {
+    if (segment.startsWith('"')) return segment;
+    for (const char of segment) {
+      if (char === '(') depth++;
+      if (char === ')' && --depth < 0) break;
+    }
+    return segment.replace(/\b([a-z_]+):/gi, (match, name) => {
+      const field = QUERY_FIELDS[name.toLowerCase()];
+      return field ? `${field}:` : match;
+    });
+  }).join('');
+
+  if (depth !== 0) {
+    throw invalidArgument('query has unbalanced parentheses');
+  }
+  return translated.trim();
+}
+
+/**
+ * Build the WDS qterm for a query (string or structured object) plus the
+ * exclusion filters in `filters`. Returns undefined when there is nothing
+ * to search for.
+ */
+export function buildQueryTerm(query, filters = {}) {
+  let base = null;
+  if (typeof query === 'string' && query.trim()) {
+    base = translateQueryString(query);
+  } else if (query && typeof query === 'object' && !Array.isArray(query)) {
+    base = structuredQuery(query);
+  } else if (query !== undefined && query !== null && query !== '' && typeof query !== 'string') {
+    throw invalidArgument('query must be a string or an object with all, any, none and field');
+  }
+
+  const exclusions = [];
+  for (const [filter, field] of Object.entries(RESOLVABLE_FILTERS)) {
+    for (const value of asList(filters[`not_${filter}`])) {
+      exclusions.push(`NOT ${field}:"${value.replace(/"/g, '')}"`);
+    }
+  }
+
+  if (exclusions.length === 0) return base || undefined;
+  if (!base) return exclusions.join(' AND ');
+  // Parenthesize so exclusions apply to the whole query, not its last term
+  return [group(base), ...exclusions].join(' AND ');
+}
+
+/** Value for a *_exact parameter: one value, or an OR-list joined with "^". */
+export function facetValue(value) {
+  const values = asList(value);
+  return values.length > 0 ? values.join(OR_SEPARATOR) : undefined;
+}
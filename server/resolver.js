@@ -0,0 +1,199 @@
+/**
+ * Fuzzy resolution of filter values.
+ *
+ * WDS only matches *_exact filters verbatim, so "Brasil", "procurement plans"
+ * or "VNM" silently return nothing. Each filter value is checked against the
+ * live facet values for its field: case-insensitively, through the country
+ * alias/ISO code table, by token set and by edit distance.
+ */
+
+import { COUNTRIES, countryNames, findCountryByCode } from './countries.js';
+
+// Filter argument -> WDS facet field whose values it must match
+export const RESOLVABLE_FILTERS = {
+  country: 'count_exact',
+  document_type: 'docty_exact',
+  theme: 'majtheme_exact',
+  sector: 'sectr_exact',
+  language: 'lang_exact'
+};
+
+const SUBSTITUTE_THRESHOLD = 0.85;
+const AMBIGUITY_MARGIN = 0.05;
+const CANDIDATE_THRESHOLD = 0.6;
+const SUGGESTION_THRESHOLD = 0.45;
+const MAX_CANDIDATES = 5;
+const STOPWORDS = new Set(['the', 'of', 'and', 'for', 'de', 'la', 'el']);
+
+export function normalize(value) {
+  return String(value)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+// Singularize naively so "procurement plans" and "Procurement Plan" share tokens
+function tokens(value) {
+  return new Set(normalize(value)
+    .split(' ')
+    .filter(token => token && !STOPWORDS.has(token))
+    .map(token => token.length > 3 && token.endsWith('s') && !token.endsWith('ss') ? token.slice(0, -1) : token));
+}
+
+// Optimal string alignment distance (Levenshtein plus adjacent transpositions)
+function editDistance(a, b) {
+  let previous2 = [];
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], previous2[j - 2] + 1);
+      }
+    }
+    previous2 = previous;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/** Similarity between 0 and 1 of a user value and a facet value. */
+export function similarity(input, candidate) {
+  const a = normalize(input);
+  const b = normalize(candidate);
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  const ta = tokens(input);
+  const tb = tokens(candidate);
+  let tokenScore = 0;
+  if (ta.size > 0 && [...ta].every(token => tb.has(token))) {
+    // Same tokens in another order or number, or a subset of the candidate's tokens
+    tokenScore = ta.size === tb.size ? 0.97 : 0.75 + 0.2 * (ta.size / tb.size);
+  }
+
+  const editScore = 1 - editDistance(a, b) / Math.max(a.length, b.length);
+  return Math.max(tokenScore, editScore);
+}
+
+const countriesByName = new Map();
+for (const country of COUNTRIES) {
+  for (const name of countryNames(country)) {
+    countriesByName.set(normalize(name), country);
+  }
+}
+
+// Known names for a country input given as ISO code, name or alias
+function countryAliases(input) {
+  const trimmed = String(input).trim();
+  if (/^[A-Za-z]{2,3}$/.test(trimmed)) {
+    const country = findCountryByCode(trimmed);
+    if (country) return { method: 'code', names: countryNames(country) };
+  }
+  const country = countriesByName.get(normalize(trimmed));
+  return country ? { method: 'alias', names: countryNames(country) } : null;
+}
+
+/**
+ * Resolve one value against the facet values for its field. Returns
+ * { input, resolved, status, method, score, candidates } where status is
+ * 'exact', 'substituted', 'ambiguous' or 'unmatched'. Ambiguous values resolve
+ * to the best candidate; unmatched values are passed through unchanged.
+ */
+export function resolveValue(input, values, filter) {
+  const aliases = filter === 'country' ? countryAliases(input) : null;
+
+  const scored = values.map(value => {
+    let best = { value, score: similarity(input, value), method: 'fuzzy' };
+    if (aliases) {
+      for (const name of aliases.names) {
+        // Alias matches rank just below a verbatim match of the user's own text
+        const score = similarity(name, value) * 0.99;
+        if (score > best.score) {
+          best = { value, score, method: aliases.method };
+        }
+      }
+    }
+    return best;
+  }).sort((a, b) => b.score - a.score);
+
+  const [best, second] = scored;
+  const candidates = scored
+    .filter(candidate => candidate.score >= CANDIDATE_THRESHOLD)
+    .slice(0, MAX_CANDIDATES)
+    .map(candidate => ({ value: candidate.value, score: Number(candidate.score.toFixed(2)) }));
+
+  if (!best || best.score < CANDIDATE_THRESHOLD) {
+    return {
+      input,
+      resolved: input,
+      status: 'unmatched',
+      method: null,
+      score: best ? Number(best.score.toFixed(2)) : 0,
+      candidates: scored
+        .filter(candidate => candidate.score >= SUGGESTION_THRESHOLD)
+        .slice(0, 3)
+        .map(candidate => ({ value: candidate.value, score: Number(candidate.score.toFixed(2)) }))
+    };
+  }
+
+  if (best.score === 1 && normalize(input) === normalize(best.value)) {
+    return { input, resolved: best.value, status: 'exact', method: 'exact', score: 1, candidates: [] };
+  }
+
+  const clearWinner = best.score >= SUBSTITUTE_THRESHOLD && (!second || best.score - second.score >= AMBIGUITY_MARGIN);
+  return {
+    input,
+    resolved: best.value,
+    status: clearWinner ? 'substituted' : 'ambiguous',
+    method: best.method,
+    score: Number(best.score.toFixed(2)),
+    candidates: clearWinner ? [] : candidates
+  };
+}
+
+/**
+ * Resolve every resolvable filter in `filters`, including its not_ exclusion
+ * list. Single values and arrays are both accepted. `loadValues(field)` returns the
+ * facet values for a WDS field. Values that cannot be checked (facet lookup
+ * failed) are passed through unchanged.
+ *
+ * Returns { filters, resolutions }, where resolutions lists every value that
+ * was not an exact match.
+ */
+export async function resolveFilters(filters, loadValues) {
+  const resolved = { ...filters };
+  const resolutions = [];
+
+  for (const [filter, field] of Object.entries(RESOLVABLE_FILTERS)) {
+    // Exclusion lists (not_country, ...) match against the same values
+    for (const key of [filter, `not_${filter}`]) {
+      const value = filters[key];
+      if (value === undefined || value === null || value === '') continue;
+
+      let values;
+      try {
+        values = await loadValues(field);
+      } catch (error) {
+        console.error(`Could not load ${field} values for filter resolution: ${error.message}`);
+        continue;
+      }
+
+      const inputs = Array.isArray(value) ? value : [value];
+      const results = inputs.map(input => resolveValue(input, values, filter));
+      resolved[key] = Array.isArray(value) ? results.map(result => result.resolved) : results[0].resolved;
+      for (const result of results) {
+        if (result.status !== 'exact' || result.resolved !== result.input) {
+          resolutions.push({ filter: key, ...result });
+        }
+      }
+    }
+  }
+
+  return { filters: resolved, resolutions };
+}
@@ -0,0 +1,205 @@
+/**
+ * MCP resources for the World Bank MCP server.
+ *
+ * Documents are addressable as worldbank://document/{id}; the country and
+ * document type catalogs are static resources. Documents read during a session
+ * are added to the resource list (announced via list_changed), and subscribed
+ * resources are polled so clients hear about upstream changes.
+ */
+
+import { createHash } from 'node:crypto';
+import {
+  ErrorCode,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  McpError,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+} from '@modelcontextprotocol/sdk/types.js';
+
+const URI_SCHEME = 'worldbank://';
+const DOCUMENT_URI_PREFIX = `${URI_SCHEME}document/`;
+const COUNTRIES_URI = `${URI_SCHEME}catalog/countries`;
+const DOCUMENT_TYPES_URI = `${URI_SCHEME}catalog/document-types`;
+const MAX_RECENT_DOCUMENTS = 50;
+const POLL_INTERVAL = Number(process.env.WB_RESOURCE_POLL_INTERVAL || 60 * 60) * 1000; // milliseconds
+
+export const RESOURCE_CAPABILITIES = { subscribe: true, listChanged: true };
+
+const STATIC_RESOURCES = [
+  {
+    uri: COUNTRIES_URI,
+    name: 'countries',
+    title: 'World Bank Countries',
+    description: 'All countries with document counts (same data as wb_list_countries)',
+    mimeType: 'application/json'
+  },
+  {
+    uri: DOCUMENT_TYPES_URI,
+    name: 'document-types',
+    title: 'World Bank Document Types',
+    description: 'All document types with counts (same data as wb_list_document_types)',
+    mimeType: 'application/json'
+  }
+];
+
+const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: `${DOCUMENT_URI_PREFIX}{id}`,
+    name: 'document',
+    title: 'World Bank Document',
+    description: 'Metadata and abstract for a World Bank document by ID (e.g., worldbank://document/11831032)',
+    mimeType: 'text/plain'
+  }
+];
+
+export function documentUri(id) {
+  return `${DOCUMENT_URI_PREFIX}${encodeURIComponent(id)}`;
+}
+
+function hashContents(contents) {
+  return createHash('sha256').update(JSON.stringify(contents)).digest('hex');
+}
+
+/**
+ * Register resource handlers on `server`. `deps` supplies the tool handlers and
+ * formatters from index.js: getDocument, listCountries, listDocumentTypes,
+ * formatDocument, formatCountries and formatDocumentTypes.
+ *
+ * Returns { trackDocument } so tool calls can add documents to the list.
+ */
+export function registerResources(server, deps) {
+  const recentDocuments = new Map();
+  const subscriptions = new Map(); // uri -> hash of last contents sent
+  let pollTimer = null;
+
+  async function readResource(uri, cache) {
+    if (uri === COUNTRIES_URI) {
+      const result = await deps.listCountries({ cache });
+      return [
+        { uri, mimeType: 'application/json', text: JSON.stringify(result) },
+        { uri, mimeType: 'text/plain', text: deps.formatCountries(result.countries) }
+      ];
+    }
+
+    if (uri === DOCUMENT_TYPES_URI) {
+      const result = await deps.listDocumentTypes({ cache });
+      return [
+        { uri, mimeType: 'application/json', text: JSON.stringify(result) },
+        { uri, mimeType: 'text/plain', text: deps.formatDocumentTypes(result.document_types) }
+      ];
+    }
+
+    if (uri.startsWith(DOCUMENT_URI_PREFIX)) {
+      let id;
+      try {
+        id = decodeURIComponent(uri.slice(DOCUMENT_URI_PREFIX.length));
+      } catch {
+        // Malformed percent-escapes are the caller's mistake, not a server failure
+        throw new McpError(ErrorCode.InvalidParams, `Invalid document URI: ${uri}`);
+      }
+      if (!id || id.includes('/')) {
+        throw new McpError(ErrorCode.InvalidParams, `Invalid document URI: ${uri}`);
+      }
+      const { document } = await deps.getDocument({ document_id: id, cache });
+      trackDocument(document);
+      return [
+        { uri, mimeType: 'text/plain', text: deps.formatDocument(document) },
+        { uri, mimeType: 'application/json', text: JSON.stringify({ document }) }
+      ];
+    }
+
+    throw new McpError(ErrorCode.InvalidParams, `Unknown resource: ${uri}`);
+  }
+
+  function trackDocument(document) {
+    const uri = documentUri(document.id);
+    const isNew = !recentDocuments.has(uri);
+    recentDocuments.delete(uri);
+    recentDocuments.set(uri, {
+      uri,
+      name: `document-${document.id}`,
+      title: document.display_title,
+      description: [document.docty, document.count, document.docdt?.split('T')[0]].filter(Boolean).join(' | '),
+      mimeType: 'text/plain'
+    });
+    while (recentDocuments.size > MAX_RECENT_DOCUMENTS) {
+      recentDocuments.delete(recentDocuments.keys().next().value);
+    }
+    if (isNew) {
+      server.sendResourceListChanged().catch(() => {});
+    }
+  }
+
+  async function pollSubscriptions() {
+    for (const [uri, previous] of subscriptions) {
+      try {
+        const hash = hashContents(await readResource(uri, 'refresh'));
+        if (previous && hash !== previous) {
+          await server.sendResourceUpdated({ uri });
+        }
+        subscriptions.set(uri, hash);
+      } catch (error) {
+        console.error(`Resource poll failed for ${uri}: ${error.message}`);
+      }
+    }
+  }
+
+  function updatePolling() {
+    if (subscriptions.size > 0 && !pollTimer) {
+      pollTimer = setInterval(pollSubscriptions, POLL_INTERVAL);
+      pollTimer.unref();
+    } else if (subscriptions.size === 0 && pollTimer) {
+      clearInterval(pollTimer);
+      pollTimer = null;
+    }
+  }
+
+  server.setRequestHandler(ListResourcesRequestSchema, async () => {
+    return { resources: [...STATIC_RESOURCES, ...[...recentDocuments.values()].reverse()] };
+  });
+
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+    return { resourceTemplates: RESOURCE_TEMPLATES };
+  });
+
+  server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+    const { uri } = request.params;
+    try {
+      const contents = await readResource(uri);
+      if (subscriptions.has(uri)) {
+        subscriptions.set(uri, hashContents(contents));
+      }
+      return { contents };
+    } catch (error) {
+      if (error instanceof McpError) throw error;
+      throw new McpError(ErrorCode.InternalError, error.message, error.toJSON?.());
+    }
+  });
+
+  server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+    const { uri } = request.params;
+    if (!uri.startsWith(URI_SCHEME)) {
+      throw new McpError(ErrorCode.InvalidParams, `Unknown resource: ${uri}`);
+    }
+    if (!subscriptions.has(uri)) {
+      subscriptions.set(uri, null);
+    }
+    updatePolling();
+    return {};
+  });
+
+  server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    subscriptions.delete(request.params.uri);
+    updatePolling();
+    return {};
+  });
+
+  server.onclose = () => {
+    subscriptions.clear();
+    updatePolling();
+  };
+
+  return { trackDocument };
+}
@@ -0,0 +1,259 @@
+/**
+ * Saved searches and "what's new since the last check" monitoring.
+ *
+ * Searches are stored by name in a local JSON file together with their check
+ * state: when they were last checked, the newest document date seen (the
+ * high-water mark) and the IDs already reported. A check reports documents
+ * that are not in that set and are no older than the window earlier checks
+ * covered (the date of the oldest document they remember). Late disclosures
+ * dated inside that window are caught once; ones dated before it are not,
+ * because they cannot be told apart from old documents the baseline never
+ * fetched. Trimming the remembered IDs to MAX_SEEN_IDS moves the window
+ * forward, so it narrows to the newest documents of busy searches.
+ */
+
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { documentDate } from './citation.js';
+import { ErrorCodes, invalidArgument, WorldBankError } from './errors.js';
+
+export const SAVED_SEARCHES_FILE = process.env.WB_SAVED_SEARCHES_FILE
+  || path.join(os.homedir(), '.world-bank-mcp', 'saved-searches.json');
+// IDs remembered per search; beyond this the oldest are dropped and the window moves forward
+export const MAX_SEEN_IDS = 1000;
+export const MAX_NAME_LENGTH = 80;
+
+const STORE_VERSION = 1;
+
+// Read-modify-write cycles run one at a time so concurrent tool calls do not lose updates
+let queue = Promise.resolve();
+
+async function readStore() {
+  let text;
+  try {
+    text = await readFile(SAVED_SEARCHES_FILE, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return { version: STORE_VERSION, searches: [] };
+    throw error;
+  }
+  try {
+    const store = JSON.parse(text);
+    return { version: STORE_VERSION, searches: Array.isArray(store.searches) ? store.searches : [] };
+  } catch {
+    throw new Error(`Saved searches file is not valid JSON: ${SAVED_SEARCHES_FILE}`);
+  }
+}
+
+async function writeStore(store) {
+  await mkdir(path.dirname(SAVED_SEARCHES_FILE), { recursive: true });
+  // Write then rename so a crash never leaves half a file
+  const temporary = `${SAVED_SEARCHES_FILE}.${process.pid}.tmp`;
+  await writeFile(temporary, JSON.stringify(store, null, 2) + '\n');
+  await rename(temporary, SAVED_SEARCHES_FILE);
+}
+
+function updateStore(mutate) {
+  const run = queue.then(async () => {
+    const store = await readStore();
+    const result = await mutate(store);
+    await writeStore(store);
+    return result;
+  });
+  queue = run.catch(() => {});
+  return run;
+}
+
+function normalizeName(name) {
+  const trimmed = String(name ?? '').trim().replace(/\s+/g, ' ');
+  if (!trimmed) {
+    throw invalidArgument('name: saved search name must not be empty');
+  }
+  if (trimmed.length > MAX_NAME_LENGTH) {
+    throw invalidArgument(`name: saved search name must be at most ${MAX_NAME_LENGTH} characters`);
+  }
+  return trimmed;
+}
+
+// Names are matched without regard to case
+function findIndex(store, name) {
+  const key = normalizeName(name).toLowerCase();
+  return store.searches.findIndex(search => search.name.toLowerCase() === key);
+}
+
+function notFound(store, name) {
+  const known = store.searches.map(search => `"${search.name}"`).join(', ');
+  return new WorldBankError(
+    ErrorCodes.NOT_FOUND,
+    `No saved search named "${name}"${known ? `; saved searches: ${known}` : '; none are saved yet (see wb_save_search)'}`
+  );
+}
+
+/** A saved search as returned by the tools: check state without the seen IDs. */
+export function publicView(search) {
+  const { seen = {}, ...rest } = search;
+  return { ...rest, seen_count: Object.keys(seen).length };
+}
+
+/** Every saved search, including its seen IDs. */
+export async function readSavedSearches() {
+  return (await readStore()).searches;
+}
+
+export async function listSavedSearches() {
+  return (await readSavedSearches()).map(publicView);
+}
+
+export async function getSavedSearch(name) {
+  const store = await readStore();
+  const index = findIndex(store, name);
+  if (index === -1) throw notFound(store, name);
+  return store.searches[index];
+}
+
+/** Create a saved search. Fails if the name is taken. */
+export function createSavedSearch({ name, description, filters, resolve_filters }) {
+  return updateStore(store => {
+    const normalized = normalizeName(name);
+    if (findIndex(store, normalized) !== -1) {
+      throw invalidArgument(`A saved search named "${normalized}" already exists; use wb_update_saved_search to change it`);
+    }
+    const now = new Date().toISOString();
+    const search = {
+      name: normalized,
+      description: description ?? null,
+      filters,
+      resolve_filters: resolve_filters ?? true,
+      created_at: now,
+      updated_at: now,
+      last_checked_at: null,
+      checks: 0,
+      last_new_count: null,
+      high_water_mark: null,
+      window_start: null,
+      seen: {}
+    };
+    store.searches.push(search);
+    return publicView(search);
+  });
+}
+
+/**
+ * Change a saved search. `filters` are merged into the saved ones and
+ * `clear_filters` removes some; `reset` forgets the check state so the next
+ * check starts a new baseline. `validate` is called with the merged filters
+ * and throws to reject them.
+ */
+export function updateSavedSearch(name, { new_name, description, filters = {}, clear_filters = [], resolve_filters, reset }, validate = () => {}) {
+  return updateStore(store => {
+    const index = findIndex(store, name);
+    if (index === -1) throw notFound(store, name);
+    const search = store.searches[index];
+
+    if (new_name !== undefined) {
+      const renamed = normalizeName(new_name);
+      const clash = findIndex(store, renamed);
+      if (clash !== -1 && clash !== index) {
+        throw invalidArgument(`A saved search named "${renamed}" already exists`);
+      }
+      search.name = renamed;
+    }
+    if (description !== undefined) search.description = description;
+    if (resolve_filters !== undefined) search.resolve_filters = resolve_filters;
+
+    const merged = { ...search.filters, ...filters };
+    for (const filter of clear_filters) delete merged[filter];
+    if (Object.keys(merged).length === 0) {
+      throw invalidArgument('A saved search needs at least one filter or query');
+    }
+    validate(merged);
+    search.filters = merged;
+
+    if (reset) {
+      Object.assign(search, { last_checked_at: null, checks: 0, last_new_count: null, high_water_mark: null, window_start: null, seen: {} });
+    }
+    search.updated_at = new Date().toISOString();
+    return publicView(search);
+  });
+}
+
+export function deleteSavedSearch(name) {
+  return updateStore(store => {
+    const index = findIndex(store, name);
+    if (index === -1) throw notFound(store, name);
+    const [removed] = store.searches.splice(index, 1);
+    return publicView(removed);
+  });
+}
+
+// Documents without a date cannot be placed in the window, so they count as inside it
+function dateOf(doc) {
+  return documentDate(doc) || '';
+}
+
+/**
+ * Whether a check must fetch another page: only for searches checked before,
+ * while every document on the page is still inside the covered window.
+ */
+export function needsNextPage(search, page) {
+  if (!search.last_checked_at || !search.window_start) return false;
+  return page.every(doc => !dateOf(doc) || dateOf(doc) >= search.window_start);
+}
+
+/**
+ * Compare documents from a check (newest first) with the saved state.
+ * Returns { first_check, documents } where documents are the new ones. On
+ * the first check every document is new and becomes the baseline.
+ */
+export function findNewDocuments(search, documents) {
+  const firstCheck = !search.last_checked_at;
+  const seen = search.seen || {};
+  const fresh = documents.filter(doc => {
+    if (seen[String(doc.id)] !== undefined) return false;
+    if (firstCheck || !search.window_start) return true;
+    const date = dateOf(doc);
+    return !date || date >= search.window_start;
+  });
+  const unique = [...new Map(fresh.map(doc => [String(doc.id), doc])).values()];
+  return { first_check: firstCheck, documents: unique };
+}
+
+/**
+ * Record a check: remember the IDs of `documents` (everything fetched), move
+ * the high-water mark and store the number of new documents. Returns the
+ * updated search.
+ */
+export function recordCheck(name, { documents, newCount, checkedAt }) {
+  return updateStore(store => {
+    const index = findIndex(store, name);
+    if (index === -1) throw notFound(store, name);
+    const search = store.searches[index];
+
+    const seen = { ...search.seen };
+    for (const doc of documents) {
+      seen[String(doc.id)] = dateOf(doc);
+    }
+    const dated = documents.map(dateOf).filter(Boolean);
+    const oldest = dated.reduce((min, date) => (date < min ? date : min), dated[0] || null);
+    let windowStart = search.window_start && (!oldest || search.window_start < oldest) ? search.window_start : oldest;
+
+    // Keep the newest IDs; the window then starts at the oldest one kept
+    let entries = Object.entries(seen);
+    if (entries.length > MAX_SEEN_IDS) {
+      entries = entries.sort((a, b) => b[1].localeCompare(a[1])).slice(0, MAX_SEEN_IDS);
+      const kept = entries.map(([, date]) => date).filter(Boolean);
+      if (kept.length > 0) windowStart = kept[kept.length - 1];
+    }
+
+    const newest = dated.reduce((max, date) => (date > max ? date : max), search.high_water_mark || '');
+    Object.assign(search, {
+      last_checked_at: checkedAt,
+      checks: (search.checks || 0) + 1,
+      last_new_count: newCount,
+      high_water_mark: newest || null,
+      window_start: windowStart,
+      seen: Object.fromEntries(entries)
+    });
+    return publicView(search);
+  });
+}
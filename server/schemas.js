@@ -0,0 +1,856 @@
+/**
+ * Zod models for tool arguments and structured results.
+ *
+ * Each tool's advertised inputSchema and outputSchema is generated from these
+ * models, incoming arguments are validated against them, and structuredContent
+ * is parsed through them before it is returned, so the JSON Schema clients see
+ * and the checks the server applies cannot drift apart.
+ */
+
+import { z } from 'zod';
+import { zodToJsonSchema } from 'zod-to-json-schema';
+import { MAX_BATCH_IDS } from './batch.js';
+import { CITATION_STYLES } from './citation.js';
+import { COUNTRY_GROUPS } from './countries.js';
+import { DEFAULT_RELATED_LIMIT } from './detail.js';
+import { ErrorCodes, invalidArgument, WorldBankError } from './errors.js';
+import { EXPORT_FORMATS, MAX_EXPORT_ROWS } from './export.js';
+import { MIN_MAX_CHARS, OUTPUT_FORMATS } from './output.js';
+import { FACET_FIELDS, FIELD_NAMES, SORTABLE_FIELDS, unknownFieldMessage } from './fields.js';
+import { DEFAULT_INDICATOR_RESULTS } from './indicators.js';
+import { GRANULARITIES, isDateExpression } from './periods.js';
+import { DEFAULT_PROJECT_DOCUMENTS, DEFAULT_PROJECT_RESULTS, PROJECT_STATUSES } from './projects.js';
+import { QUERY_FIELDS } from './query.js';
+import { RESOLVABLE_FILTERS, similarity } from './resolver.js';
+import { MAX_NAME_LENGTH } from './saved.js';
+import { DEFAULT_RELATED_RESULTS } from './similar.js';
+
+export const DEFAULT_EXPORT_ROWS = 1000;
+export const DEFAULT_SEARCH_LIMIT = 20;
+export const MAX_SEARCH_RESULTS = 1000;
+export const DEFAULT_CHUNK_TOKENS = 2000;
+export const DEFAULT_BREAKDOWN_LIMIT = 5;
+export const DEFAULT_COMPARE_ROWS = 10;
+export const DEFAULT_CHECK_LIMIT = 20;
+export const DEFAULT_SUMMARY_LIMIT = 5;
+export const COMPARE_DIMENSIONS = [...Object.keys(RESOLVABLE_FILTERS), 'year'];
+// Closest argument name suggested for an unknown one
+const SUGGESTION_THRESHOLD = 0.5;
+
+// Shared argument models
+
+export const CacheModeSchema = z.enum(['default', 'refresh', 'bypass'])
+  .describe('Response cache mode: "default" serves cached responses when fresh, "refresh" re-fetches and updates the cache, "bypass" skips the cache entirely');
+
+const ResolveFiltersSchema = z.boolean()
+  .describe('Resolve country, document_type, theme, sector and language against known values (case, aliases, ISO codes, typos) before searching (default: true). Set false to pass values through verbatim');
+
+// Dates also take years, fiscal years, quarters, months and relative dates
+const DateExpressionSchema = z.string()
+  .refine(isDateExpression, 'must be YYYY-MM-DD, a year (2019), fiscal year (FY2019), quarter (2019-Q3), month (2019-03) or relative date ("6 months ago")');
+
+// Accept numeric IDs as well as numeric strings
+const DocumentIdSchema = z.preprocess(
+  value => typeof value === 'number' ? String(value) : typeof value === 'string' ? value.trim() : value,
+  z.string({ required_error: 'is required' }).regex(/^\d+$/, 'must be a numeric document ID (e.g., "11831032")')
+).describe('Document ID (numeric string, e.g., "11831032")');
+
+// Enum over field catalog names; a miss is reported with the closest names
+function catalogEnum(values, kind) {
+  return z.enum(values, {
+    errorMap: (issue, ctx) => ({
+      message: issue.code === 'invalid_enum_value' ? unknownFieldMessage(ctx.data, kind) : ctx.defaultError
+    })
+  });
+}
+
+// Project IDs are matched without regard to case
+const ProjectIdSchema = z.preprocess(
+  value => typeof value === 'string' ? value.trim().toUpperCase() : value,
+  z.string({ required_error: 'is required' }).regex(/^P\d{6}$/, 'must be a project ID (e.g., "P123456")')
+).describe('World Bank project ID (e.g., "P123456")');
+
+const IncludeProjectSchema = z.boolean()
+  .describe('Attach a summary of each document\'s project (name, status, commitment, approval date, implementing agency) from the Projects API (default: false)');
+
+const FieldListSchema = z.array(catalogEnum(FIELD_NAMES, 'field'))
+  .describe('Fields to return (e.g., ["docdt", "abstracts", "pdfurl", "docty", "count"]). Always returns id, display_title, url. See wb_describe_fields');
+
+// Facet filters accept one value or an OR-list of values
+function filterValue(description) {
+  return z.union([z.string().min(1), z.array(z.string().min(1)).min(1)]).describe(description);
+}
+
+const FacetNameSchema = z.enum(Object.keys(RESOLVABLE_FILTERS));
+
+export const QuerySchema = z.union([
+  z.string(),
+  z.object({
+    all: z.array(z.string()).optional().describe('Terms that must all match (AND)'),
+    any: z.array(z.string()).optional().describe('Terms of which at least one must match (OR)'),
+    none: z.array(z.string()).optional().describe('Terms that must not match (NOT)'),
+    field: z.enum(['any', ...Object.keys(QUERY_FIELDS)]).optional().describe('Restrict all terms to one field (default: any field)')
+  }).strict()
+]).describe('Full-text query. Either a string in WDS syntax ("exact phrase", AND, OR, NOT, parentheses, title:term, abstract:term) or { all, any, none, field }; multi-word terms are matched as phrases');
+
+// Search filters shared by wb_search_documents, wb_export_search, wb_list_facets and the analysis tools
+const filterShape = {
+  query: QuerySchema.optional(),
+  country: filterValue('Country name or ISO2/ISO3 code, or a list matched with OR (e.g., "Mexico", ["Kenya", "Uganda", "TZA"])').optional(),
+  document_type: filterValue('Document type or list of types (e.g., "Procurement Plan", ["Working Paper", "Policy Note"])').optional(),
+  theme: filterValue('Major theme or list of themes (e.g., "FY17 - Urban and Rural Development")').optional(),
+  sector: filterValue('Economic sector or list of sectors (e.g., "Energy", ["Education", "Health"])').optional(),
+  language: filterValue('Language or list of languages (e.g., "English", ["Spanish", "French"])').optional(),
+  not_country: filterValue('Exclude documents for these countries').optional(),
+  not_document_type: filterValue('Exclude these document types (e.g., ["Procurement Plan"])').optional(),
+  not_theme: filterValue('Exclude these major themes').optional(),
+  not_sector: filterValue('Exclude these sectors').optional(),
+  not_language: filterValue('Exclude these languages').optional(),
+  region: filterValue('World Bank region code or name, or a list (e.g., "SSA", "South Asia", ["EAP", "SAR"]); expanded to its countries').optional(),
+  income_group: filterValue('Income group: "LIC", "LMC", "UMC", "HIC" or their names (e.g., "Lower middle income"); expanded to its countries').optional(),
+  lending_category: filterValue('Lending category: "IDA", "IBRD" or "Blend"; expanded to its countries').optional(),
+  start_date: DateExpressionSchema.describe('Start of the date range: YYYY-MM-DD, or the first day of a year ("2019"), fiscal year ("FY2019"), quarter ("2019-Q3"), month ("2019-03") or relative date ("2 years ago")').optional(),
+  end_date: DateExpressionSchema.describe('End of the date range, same forms as start_date; years, quarters and months count up to their last day').optional(),
+  period: z.string().min(1).describe('Whole date range in one expression instead of start_date/end_date: "FY2019", "2019-Q3", "FY2017 to FY2019", "last 6 months", "last fiscal year", "this year", "year to date", "since 2020"').optional(),
+  fiscal_year: z.union([z.string().min(1), z.number().int()]).describe('World Bank fiscal year (1 July to 30 June), e.g. "FY2019", "FY19" or 2019').optional()
+};
+
+export const FilterSchema = z.object(filterShape).strict();
+export const FILTER_NAMES = Object.keys(filterShape);
+
+const SortBySchema = catalogEnum(SORTABLE_FIELDS, 'sortable');
+const SortOrderSchema = z.enum(['asc', 'desc']);
+
+// Tool arguments
+
+const SearchDocumentsInput = z.object({
+  ...filterShape,
+  limit: z.number().int().min(1).max(100).optional().describe('Number of results per page (default: 20, max: 100)'),
+  offset: z.number().int().min(0).optional().describe('Pagination offset (default: 0). Prefer cursor for paging'),
+  cursor: z.string().min(1).optional().describe('next_cursor or prev_cursor from an earlier result; it holds the filters and position, so pass it with no other arguments except cache'),
+  max_results: z.number().int().min(1).max(MAX_SEARCH_RESULTS).optional()
+    .describe(`Fetch up to this many documents in pages of 100 and merge them, dropping duplicate IDs (max: ${MAX_SEARCH_RESULTS}). Replaces limit`),
+  fields: FieldListSchema.optional(),
+  sort_by: SortBySchema.optional().describe('Field to sort by (default: docdt for date-based queries, relevance for text queries)'),
+  sort_order: SortOrderSchema.optional().describe('Sort order (default: desc for dates)'),
+  resolve_filters: ResolveFiltersSchema.optional(),
+  citation: z.enum(CITATION_STYLES).optional().describe('Attach a citation in this style to each document'),
+  include_project: IncludeProjectSchema.optional(),
+  cache: CacheModeSchema.optional()
+});
+
+const GetDocumentInput = z.object({
+  document_id: DocumentIdSchema,
+  fields: FieldListSchema.optional(),
+  full_abstract: z.boolean().optional().describe('Show the whole abstract instead of the first 500 characters (default: false)'),
+  include_renditions: z.boolean().optional().describe('List every rendition: document page, PDF, TXT and versions in other languages (default: false)'),
+  include_related: z.boolean().optional().describe('List other documents with the same project ID or report number (default: false)'),
+  related_limit: z.number().int().min(1).max(50).optional()
+    .describe(`Maximum related documents per relation (default: ${DEFAULT_RELATED_LIMIT})`),
+  include_project: IncludeProjectSchema.optional(),
+  cache: CacheModeSchema.optional()
+});
+
+const GetDocumentsInput = z.object({
+  document_ids: z.array(z.union([z.string(), z.number()])).min(1).max(MAX_BATCH_IDS)
+    .describe(`Document IDs to look up (1-${MAX_BATCH_IDS}); invalid and unknown IDs are reported in "missing"`),
+  fields: FieldListSchema.optional(),
+  cache: CacheModeSchema.optional()
+});
+
+const GetDocumentTextInput = z.object({
+  document_id: DocumentIdSchema,
+  chunk: z.number().int().min(0).optional().describe('Zero-based chunk index (default: 0)'),
+  page: z.number().int().min(1).optional().describe('Jump to the chunk containing this page (1-based). Overrides chunk. Reads the PDF when the text rendition has no page breaks'),
+  max_tokens: z.number().int().min(500).max(8000).optional().describe(`Approximate chunk size in tokens (default: ${DEFAULT_CHUNK_TOKENS})`),
+  search: z.string().trim().min(1).optional().describe('Word or phrase to find in the document'),
+  source: z.enum(['auto', 'txt', 'pdf']).optional().describe('Text source: plain-text rendition, PDF, or auto (default)'),
+  cache: CacheModeSchema.optional()
+});
+
+const ExportSearchInput = z.object({
+  format: z.enum(Object.keys(EXPORT_FORMATS)).describe('Export file format'),
+  ...filterShape,
+  sort_by: SortBySchema.optional().describe('Field to sort by (default: docdt)'),
+  sort_order: SortOrderSchema.optional().describe('Sort order (default: desc)'),
+  max_results: z.number().int().min(1).max(MAX_EXPORT_ROWS).optional()
+    .describe(`Maximum documents to export (default: ${DEFAULT_EXPORT_ROWS}, max: ${MAX_EXPORT_ROWS})`),
+  filename: z.string().min(1).optional().describe('File name without directory; the extension is added from the format'),
+  resolve_filters: ResolveFiltersSchema.optional(),
+  cache: CacheModeSchema.optional()
+});
+
+const CiteDocumentInput = z.object({
+  document_id: DocumentIdSchema,
+  style: z.enum(CITATION_STYLES).optional().describe('Citation style (default: apa)'),
+  cache: CacheModeSchema.optional()
+});
+
+const FindRelatedInput = z.object({
+  document_id: DocumentIdSchema,
+  limit: z.number().int().min(1).max(50).optional()
+    .describe(`Maximum related documents to return (default: ${DEFAULT_RELATED_RESULTS})`),
+  cache: CacheModeSchema.optional()
+});
+
+const DocumentTrendsInput = z.object({
+  ...filterShape,
+  start_date: DateExpressionSchema.optional().describe('First day of the range (YYYY-MM-DD, YYYY, FY2019, 2019-Q3, ...; default: ten periods back)'),
+  end_date: DateExpressionSchema.optional().describe('Last day of the range (same forms as start_date; default: today)'),
+  granularity: z.enum(GRANULARITIES).optional().describe('Period length (default: year)'),
+  breakdown: FacetNameSchema.optional().describe('Second facet to split each period by'),
+  breakdown_limit: z.number().int().min(1).max(10).optional()
+    .describe(`Number of breakdown values to show (default: ${DEFAULT_BREAKDOWN_LIMIT})`),
+  resolve_filters: ResolveFiltersSchema.optional(),
+  cache: CacheModeSchema.optional()
+});
+
+const CompareInput = z.object({
+  dimension: z.enum(COMPARE_DIMENSIONS).describe('Dimension whose values become the columns'),
+  values: z.array(z.string().min(1)).min(2).max(10).describe('Values to compare (2-10)'),
+  facets: z.array(FacetNameSchema).min(1).optional().describe('Dimensions to break each column down by (default: ["document_type"])'),
+  rows: z.number().int().min(1).max(50).optional()
+    .describe(`Values to show per facet and top differences to list (default: ${DEFAULT_COMPARE_ROWS})`),
+  ...filterShape,
+  resolve_filters: ResolveFiltersSchema.optional(),
+  cache: CacheModeSchema.optional()
+});
+
+const ListFacetsInput = z.object({
+  facets: z.array(catalogEnum(FACET_FIELDS, 'facet')).min(1)
+    .describe('Field names to facet (e.g., ["count_exact", "docty_exact", "lang_exact", "majtheme_exact", "sectr_exact"]). See wb_describe_fields'),
+  filter_query: FilterSchema.optional().describe('Query to filter documents before faceting (same parameters as wb_search_documents)'),
+  resolve_filters: ResolveFiltersSchema.optional(),
+  cache: CacheModeSchema.optional()
+});
+
+const ListCountriesInput = z.object({
+  region: filterValue('Only countries in this region or list of regions (code or name, e.g., "SSA")').optional(),
+  income_group: filterValue('Only countries in this income group or list of groups (e.g., "LIC", "Lower middle income")').optional(),
+  lending_category: filterValue('Only countries in this lending category ("IDA", "IBRD" or "Blend")').optional(),
+  group_by: z.enum(Object.keys(COUNTRY_GROUPS)).optional().describe('Group the list by region, income group or lending category'),
+  cache: CacheModeSchema.optional()
+});
+
+const SavedSearchNameSchema = z.string().trim().min(1).max(MAX_NAME_LENGTH)
+  .describe('Saved search name (matched without regard to case)');
+
+const SaveSearchInput = z.object({
+  name: SavedSearchNameSchema,
+  description: z.string().optional().describe('What the search monitors, for your own reference'),
+  ...filterShape,
+  resolve_filters: ResolveFiltersSchema.optional()
+});
+
+const UpdateSavedSearchInput = z.object({
+  name: SavedSearchNameSchema,
+  new_name: SavedSearchNameSchema.optional().describe('Rename the saved search'),
+  description: z.string().nullable().optional().describe('New description (null removes it)'),
+  ...filterShape,
+  clear_filters: z.array(z.enum(FILTER_NAMES)).optional().describe('Filters to remove from the saved search (e.g., ["end_date", "language"])'),
+  resolve_filters: ResolveFiltersSchema.optional(),
+  reset: z.boolean().optional().describe('Forget the check history so the next check records a new baseline (default: false)')
+});
+
+const SavedSearchNameInput = z.object({
+  name: SavedSearchNameSchema
+});
+
+const CheckSavedSearchInput = z.object({
+  name: SavedSearchNameSchema.optional().describe('Saved search to check; omit to check every saved search'),
+  record: z.boolean().optional().describe('Record this check as seen, moving the high-water mark (default: true). false previews new documents without changing anything'),
+  limit: z.number().int().min(1).max(100).optional()
+    .describe(`New documents to list per search (default: ${DEFAULT_CHECK_LIMIT} for one search, ${DEFAULT_SUMMARY_LIMIT} when checking all)`),
+  cache: CacheModeSchema.optional()
+});
+
+const SearchIndicatorsInput = z.object({
+  query: z.string().trim().min(1).describe('Words to find in the indicator code, name, topics or definition (e.g., "electricity access")'),
+  source: z.union([z.string().min(1), z.number().int()]).optional()
+    .describe('Indicator source ID, code or name (default: 2, World Development Indicators)'),
+  topic: z.string().min(1).optional().describe('Only indicators with a matching topic (e.g., "Energy")'),
+  limit: z.number().int().min(1).max(100).optional()
+    .describe(`Maximum indicators to return (default: ${DEFAULT_INDICATOR_RESULTS})`),
+  cache: CacheModeSchema.optional()
+});
+
+const IndicatorDataInput = z.object({
+  indicator: z.string().trim().regex(/^[A-Za-z0-9._-]+$/, 'must be an indicator code (e.g., "NY.GDP.MKTP.CD")')
+    .describe('Indicator code (e.g., "NY.GDP.MKTP.CD"); see wb_search_indicators'),
+  country: filterValue('Country name or ISO2/ISO3 code, aggregate code such as "WLD", or a list'),
+  start_year: z.number().int().min(1900).max(2100).optional().describe('First year (default: earliest available)'),
+  end_year: z.number().int().min(1900).max(2100).optional().describe('Last year (default: latest available)'),
+  most_recent: z.number().int().min(1).max(100).optional().describe('Only the N most recent years, instead of a year range'),
+  cache: CacheModeSchema.optional()
+});
+
+const GetProjectInput = z.object({
+  project_id: ProjectIdSchema,
+  cache: CacheModeSchema.optional()
+});
+
+// Statuses are matched without regard to case
+const ProjectStatusSchema = z.preprocess(
+  value => typeof value === 'string' ? PROJECT_STATUSES.find(status => status.toLowerCase() === value.trim().toLowerCase()) ?? value : value,
+  z.enum(PROJECT_STATUSES)
+);
+
+const SearchProjectsInput = z.object({
+  query: z.string().trim().min(1).optional().describe('Words to find in the project name, abstract and other fields (e.g., "geothermal")'),
+  country: filterValue('Country name or ISO2/ISO3 code, or a list matched with OR (e.g., "Kenya", ["KEN", "UGA"])').optional(),
+  status: z.union([ProjectStatusSchema, z.array(ProjectStatusSchema).min(1)]).optional()
+    .describe(`Project status or list of statuses: ${PROJECT_STATUSES.map(status => `"${status}"`).join(', ')}`),
+  start_date: filterShape.start_date.describe('Earliest board approval date; same forms as in wb_search_documents ("2019", "FY2019", "2019-Q3", ...)'),
+  end_date: filterShape.end_date.describe('Latest board approval date; same forms as start_date'),
+  period: filterShape.period.describe('Board approval date range in one expression: "FY2019", "FY2017 to FY2019", "last 2 years", "since 2020"'),
+  fiscal_year: filterShape.fiscal_year.describe('Fiscal year of board approval, e.g. "FY2019" or 2019'),
+  limit: z.number().int().min(1).max(100).optional().describe(`Number of projects per page (default: ${DEFAULT_PROJECT_RESULTS}, max: 100)`),
+  offset: z.number().int().min(0).optional().describe('Pagination offset (default: 0)'),
+  sort_order: SortOrderSchema.optional().describe('Order by board approval date (default: desc, newest first)'),
+  cache: CacheModeSchema.optional()
+});
+
+const ProjectDocumentsInput = z.object({
+  project_id: ProjectIdSchema,
+  document_type: filterShape.document_type,
+  start_date: filterShape.start_date,
+  end_date: filterShape.end_date,
+  period: filterShape.period,
+  fiscal_year: filterShape.fiscal_year,
+  limit: z.number().int().min(1).max(100).optional().describe(`Number of documents per page (default: ${DEFAULT_PROJECT_DOCUMENTS}, max: 100)`),
+  offset: z.number().int().min(0).optional().describe('Pagination offset (default: 0)'),
+  sort_order: SortOrderSchema.optional().describe('Order by document date (default: desc, newest first)'),
+  include_project: z.boolean().optional().describe('Look up the project summary as well (default: true)'),
+  resolve_filters: ResolveFiltersSchema.optional(),
+  cache: CacheModeSchema.optional()
+});
+
+const CacheOnlyInput = z.object({
+  cache: CacheModeSchema.optional()
+});
+
+const DescribeFieldsInput = z.object({
+  name: z.string().min(1).optional().describe('Describe one field, by field name, facet name, filter name or label (e.g., "docdt", "count_exact", "country")'),
+  kind: z.enum(['all', 'facetable', 'sortable']).optional().describe('List all fields, only facetable ones or only sortable ones (default: all)')
+});
+
+const EmptyInput = z.object({});
+
+// Accepted by every tool; they shape the text content, never structuredContent
+const outputShape = {
+  output_format: z.enum(OUTPUT_FORMATS).optional()
+    .describe('Text output: "text" (padded tables), "markdown" (Markdown tables), "compact" (one line per row) or "json" (the structured result only). Default: server setting, normally "text"'),
+  max_chars: z.number().int().min(MIN_MAX_CHARS).optional()
+    .describe('Character budget for the text output (about 4 characters per token). Columns are narrowed, optional columns dropped and extra rows summarized as "N more" to fit')
+};
+
+const ClearCacheInput = z.object({
+  stats_only: z.boolean().optional().describe('Report cache settings without clearing anything (default: false)')
+});
+
+// Structured results
+
+const ProjectSchema = z.object({
+  id: z.string(),
+  name: z.string(),
+  status: z.string().nullable(),
+  country: z.string().nullable(),
+  country_code: z.string().nullable(),
+  region: z.string().nullable(),
+  approval_date: z.string().nullable(),
+  closing_date: z.string().nullable(),
+  commitment_usd: z.number().nullable(),
+  lending_instrument: z.string().nullable(),
+  implementing_agency: z.string().nullable(),
+  borrower: z.string().nullable(),
+  team_lead: z.string().nullable(),
+  sectors: z.array(z.string()),
+  url: z.string(),
+  abstract: z.string().nullable()
+});
+
+const ProjectSummarySchema = ProjectSchema.pick({
+  id: true,
+  name: true,
+  status: true,
+  country: true,
+  commitment_usd: true,
+  approval_date: true,
+  implementing_agency: true
+});
+
+export const DocumentSchema = z.object({
+  id: z.coerce.string(),
+  display_title: z.string(),
+  docty: z.string().optional(),
+  count: z.string().optional(),
+  docdt: z.string().optional(),
+  url: z.string().optional(),
+  pdfurl: z.string().optional(),
+  abstracts: z.object({
+    cdata: z.string()
+  }).optional(),
+  citation: z.union([z.string(), z.record(z.unknown())]).optional(),
+  // null when the project could not be found; absent when not requested or the document has no project
+  project: ProjectSummarySchema.nullable().optional()
+}).passthrough();
+
+const ResolutionSchema = z.object({
+  filter: z.string(),
+  input: z.string(),
+  resolved: z.string(),
+  status: z.enum(['exact', 'substituted', 'ambiguous', 'unmatched']),
+  method: z.string().nullable(),
+  score: z.number(),
+  candidates: z.array(z.object({ value: z.string(), score: z.number() }))
+});
+
+const ResolutionsSchema = z.array(ResolutionSchema);
+
+// Echo of the normalized date arguments; null when no date filter was given
+const DateRangeSchema = z.object({
+  input: z.string(),
+  label: z.string(),
+  start_date: z.string().nullable(),
+  end_date: z.string().nullable()
+}).nullable();
+
+const RenditionSchema = z.object({
+  format: z.string(),
+  language: z.string().nullable(),
+  url: z.string(),
+  document_id: z.string()
+});
+
+const RelatedDocumentsSchema = z.object({
+  relation: z.enum(['project', 'report_number']),
+  value: z.string(),
+  total: z.coerce.number(),
+  documents: z.array(DocumentSchema)
+});
+
+const DocumentDetailSchema = z.object({
+  document: DocumentSchema,
+  renditions: z.array(RenditionSchema).optional(),
+  related: z.array(RelatedDocumentsSchema).optional()
+});
+
+const DocumentBatchSchema = z.object({
+  requested: z.number().int(),
+  found: z.number().int(),
+  duplicates: z.number().int(),
+  requests: z.number().int(),
+  documents: z.array(DocumentSchema),
+  missing: z.array(z.object({
+    id: z.string(),
+    reason: z.enum(['invalid', 'not_found', 'error']),
+    message: z.string()
+  }))
+});
+
+export const SearchResultsSchema = z.object({
+  total: z.coerce.number(),
+  rows: z.coerce.number(),
+  page: z.coerce.number(),
+  offset: z.number(),
+  documents: z.array(DocumentSchema),
+  next_cursor: z.string().nullable(),
+  prev_cursor: z.string().nullable(),
+  duplicates_skipped: z.number(),
+  requests: z.number(),
+  date_range: DateRangeSchema,
+  resolutions: ResolutionsSchema
+});
+
+export const FacetSchema = z.object({
+  name: z.string(),
+  count: z.coerce.number()
+}).passthrough();
+
+export const CountrySchema = FacetSchema.extend({
+  label: z.string().optional(),
+  iso3: z.string().nullable().optional(),
+  iso2: z.string().nullable().optional(),
+  region: z.string().nullable().optional(),
+  income_group: z.string().nullable().optional(),
+  lending_category: z.string().nullable().optional()
+});
+
+const CountryListSchema = z.object({
+  countries: z.array(CountrySchema),
+  groups: z.array(z.object({
+    code: z.string().nullable(),
+    name: z.string(),
+    countries: z.number(),
+    documents: z.number()
+  })).optional()
+});
+
+export const DocumentTypeSchema = FacetSchema.extend({
+  label: z.string().optional()
+});
+
+const DocumentTextSchema = z.object({
+  document_id: z.coerce.string(),
+  display_title: z.string(),
+  source: z.enum(['txt', 'pdf']),
+  source_url: z.string(),
+  total_pages: z.number().int(),
+  total_chunks: z.number().int(),
+  total_tokens: z.number().int(),
+  chunk: z.object({
+    index: z.number().int(),
+    page_start: z.number().int(),
+    page_end: z.number().int(),
+    tokens: z.number().int(),
+    text: z.string()
+  }).optional(),
+  prev_chunk: z.number().int().nullable().optional(),
+  next_chunk: z.number().int().nullable().optional(),
+  search: z.string().optional(),
+  total_matches: z.number().int().optional(),
+  matches: z.array(z.object({
+    chunk: z.number().int(),
+    page: z.number().int(),
+    snippet: z.string()
+  })).optional()
+});
+
+const ExportResultSchema = z.object({
+  path: z.string().nullable(),
+  format: z.enum(Object.keys(EXPORT_FORMATS)),
+  exported: z.number().int(),
+  total: z.coerce.number(),
+  truncated: z.boolean(),
+  requests: z.number().int(),
+  date_range: DateRangeSchema,
+  resolutions: ResolutionsSchema
+});
+
+const CitationResultSchema = z.object({
+  document_id: z.coerce.string(),
+  display_title: z.string(),
+  style: z.enum(CITATION_STYLES),
+  text: z.string(),
+  markdown: z.string(),
+  data: z.record(z.unknown()).optional()
+});
+
+const RelatedResultSchema = z.object({
+  source: z.object({
+    document_id: z.coerce.string(),
+    display_title: z.string(),
+    project_id: z.string().nullable(),
+    country: z.string().nullable(),
+    sector: z.string().nullable(),
+    theme: z.string().nullable(),
+    key_terms: z.array(z.string())
+  }),
+  searches: z.array(z.string()),
+  total_candidates: z.number(),
+  total_related: z.number(),
+  documents: z.array(DocumentSchema.extend({
+    score: z.number(),
+    reasons: z.array(z.string()),
+    duplicate_ids: z.array(z.string())
+  }))
+});
+
+const SavedSearchSchema = z.object({
+  name: z.string(),
+  description: z.string().nullable(),
+  filters: FilterSchema.passthrough(),
+  resolve_filters: z.boolean(),
+  created_at: z.string(),
+  updated_at: z.string(),
+  last_checked_at: z.string().nullable(),
+  checks: z.number().int(),
+  last_new_count: z.number().int().nullable(),
+  high_water_mark: z.string().nullable(),
+  window_start: z.string().nullable(),
+  seen_count: z.number().int()
+});
+
+const SavedSearchResultSchema = z.object({
+  file: z.string(),
+  search: SavedSearchSchema
+});
+
+const SavedSearchListSchema = z.object({
+  file: z.string(),
+  searches: z.array(SavedSearchSchema)
+});
+
+const SavedSearchCheckSchema = z.object({
+  name: z.string(),
+  first_check: z.boolean(),
+  previous_check: z.string().nullable(),
+  total: z.coerce.number(),
+  new_count: z.number().int(),
+  documents: z.array(DocumentSchema),
+  high_water_mark: z.string().nullable(),
+  date_range: DateRangeSchema,
+  resolutions: ResolutionsSchema,
+  error: z.string().nullable()
+});
+
+const CheckResultSchema = z.object({
+  checked_at: z.string(),
+  recorded: z.boolean(),
+  searches: z.array(SavedSearchCheckSchema)
+});
+
+const IndicatorSchema = z.object({
+  id: z.string(),
+  name: z.string(),
+  unit: z.string().nullable(),
+  source: z.string().nullable(),
+  source_id: z.string().nullable(),
+  topics: z.array(z.string()),
+  organization: z.string().nullable(),
+  description: z.string().nullable()
+});
+
+const IndicatorSearchSchema = z.object({
+  query: z.string(),
+  source: z.object({ id: z.string(), code: z.string().nullable(), name: z.string() }),
+  total: z.number().int(),
+  indicators: z.array(IndicatorSchema)
+});
+
+const IndicatorDataSchema = z.object({
+  indicator: IndicatorSchema,
+  last_updated: z.string().nullable(),
+  truncated: z.boolean(),
+  series: z.array(z.object({
+    country: z.string(),
+    country_code: z.string(),
+    points: z.array(z.object({ year: z.string(), value: z.number().nullable() })),
+    latest: z.object({ year: z.string(), value: z.number() }).nullable()
+  }))
+});
+
+const IndicatorSourcesSchema = z.object({
+  sources: z.array(z.object({
+    id: z.string(),
+    code: z.string().nullable(),
+    name: z.string(),
+    last_updated: z.string().nullable(),
+    data_available: z.boolean(),
+    metadata_available: z.boolean(),
+    concepts: z.number()
+  }))
+});
+
+const ProjectResultSchema = z.object({
+  project: ProjectSchema
+});
+
+const ProjectSearchSchema = z.object({
+  total: z.number().int(),
+  rows: z.number().int(),
+  projects: z.array(ProjectSchema),
+  date_range: DateRangeSchema
+});
+
+const ProjectDocumentsSchema = z.object({
+  project_id: z.string(),
+  project: ProjectSummarySchema.nullable(),
+  total: z.coerce.number(),
+  rows: z.coerce.number(),
+  documents: z.array(DocumentSchema),
+  date_range: DateRangeSchema,
+  resolutions: ResolutionsSchema
+});
+
+const TrendsResultSchema = z.object({
+  granularity: z.enum(GRANULARITIES),
+  start_date: z.string(),
+  end_date: z.string(),
+  total: z.number(),
+  periods: z.array(z.object({
+    period: z.string(),
+    start_date: z.string(),
+    end_date: z.string(),
+    partial: z.boolean(),
+    count: z.number(),
+    breakdown: z.record(z.number()).optional()
+  })),
+  breakdown: z.object({
+    dimension: FacetNameSchema,
+    field: z.string(),
+    values: z.array(z.string())
+  }).nullable(),
+  date_range: DateRangeSchema,
+  resolutions: ResolutionsSchema
+});
+
+const ComparisonSideSchema = z.object({
+  column: z.string(),
+  share: z.number(),
+  count: z.number()
+});
+
+const CompareResultSchema = z.object({
+  dimension: z.enum(COMPARE_DIMENSIONS),
+  columns: z.array(z.object({ label: z.string(), total: z.number() })),
+  facets: z.record(z.array(z.object({
+    value: z.string(),
+    counts: z.record(z.number()),
+    shares: z.record(z.number()),
+    total: z.number(),
+    spread: z.number()
+  }))),
+  top_differences: z.array(z.object({
+    facet: FacetNameSchema,
+    value: z.string(),
+    highest: ComparisonSideSchema,
+    lowest: ComparisonSideSchema,
+    spread: z.number()
+  })),
+  date_range: DateRangeSchema,
+  resolutions: ResolutionsSchema
+});
+
+const FacetsResultSchema = z.object({
+  facets: z.record(z.record(FacetSchema)),
+  date_range: DateRangeSchema,
+  resolutions: ResolutionsSchema
+});
+
+const FieldCatalogSchema = z.object({
+  fields: z.array(z.object({
+    name: z.string(),
+    label: z.string(),
+    type: z.string(),
+    description: z.string(),
+    sortable: z.boolean(),
+    facetable: z.boolean(),
+    facet: z.string().nullable(),
+    filter: z.string().nullable()
+  }))
+});
+
+const ClearCacheResultSchema = z.object({
+  cleared: z.object({ memory: z.number().int(), disk: z.number().int() }).nullable(),
+  cache: z.object({
+    enabled: z.boolean(),
+    directory: z.string().nullable(),
+    entries: z.number().int(),
+    max_entries: z.number().int(),
+    facet_ttl_seconds: z.number(),
+    document_ttl_seconds: z.number()
+  })
+});
+
+const ToolErrorSchema = z.object({
+  code: z.enum(Object.values(ErrorCodes)),
+  message: z.string(),
+  retryable: z.boolean(),
+  status: z.number().nullable(),
+  retry_after_seconds: z.number().nullable(),
+  attempts: z.number().nullable()
+});
+
+const BASE_TOOL_SCHEMAS = {
+  wb_search_documents: { input: SearchDocumentsInput, output: SearchResultsSchema },
+  wb_get_document: { input: GetDocumentInput, output: DocumentDetailSchema },
+  wb_get_documents: { input: GetDocumentsInput, output: DocumentBatchSchema },
+  wb_get_document_text: { input: GetDocumentTextInput, output: DocumentTextSchema },
+  wb_export_search: { input: ExportSearchInput, output: ExportResultSchema },
+  wb_cite_document: { input: CiteDocumentInput, output: CitationResultSchema },
+  wb_find_related: { input: FindRelatedInput, output: RelatedResultSchema },
+  wb_document_trends: { input: DocumentTrendsInput, output: TrendsResultSchema },
+  wb_compare: { input: CompareInput, output: CompareResultSchema },
+  wb_save_search: { input: SaveSearchInput, output: SavedSearchResultSchema },
+  wb_list_saved_searches: { input: EmptyInput, output: SavedSearchListSchema },
+  wb_update_saved_search: { input: UpdateSavedSearchInput, output: SavedSearchResultSchema },
+  wb_delete_saved_search: { input: SavedSearchNameInput, output: SavedSearchResultSchema },
+  wb_check_saved_search: { input: CheckSavedSearchInput, output: CheckResultSchema },
+  wb_search_indicators: { input: SearchIndicatorsInput, output: IndicatorSearchSchema },
+  wb_get_indicator_data: { input: IndicatorDataInput, output: IndicatorDataSchema },
+  wb_list_indicator_sources: { input: CacheOnlyInput, output: IndicatorSourcesSchema },
+  wb_get_project: { input: GetProjectInput, output: ProjectResultSchema },
+  wb_search_projects: { input: SearchProjectsInput, output: ProjectSearchSchema },
+  wb_project_documents: { input: ProjectDocumentsInput, output: ProjectDocumentsSchema },
+  wb_list_facets: { input: ListFacetsInput, output: FacetsResultSchema },
+  wb_list_countries: { input: ListCountriesInput, output: CountryListSchema },
+  wb_list_document_types: { input: CacheOnlyInput, output: z.object({ document_types: z.array(DocumentTypeSchema) }) },
+  wb_describe_fields: { input: DescribeFieldsInput, output: FieldCatalogSchema },
+  wb_clear_cache: { input: ClearCacheInput, output: ClearCacheResultSchema }
+};
+
+// Every tool also takes output_format and max_chars. Unknown arguments are
+// rejected, so a misspelled filter cannot silently widen a search
+export const TOOL_SCHEMAS = Object.fromEntries(Object.entries(BASE_TOOL_SCHEMAS)
+  .map(([name, { input, output }]) => [name, { input: input.extend(outputShape).strict(), output }]));
+
+function toJsonSchema(schema) {
+  // Inline shared models and only forbid extra keys where a model is .strict()
+  const { $schema, ...json } = zodToJsonSchema(schema, {
+    $refStrategy: 'none',
+    removeAdditionalStrategy: 'strict'
+  });
+  return json;
+}
+
+/**
+ * inputSchema and outputSchema for a tool definition. Error results carry
+ * { error } instead of the tool's result, so the output schema accepts either.
+ */
+export function toolSchemas(name) {
+  const { input, output } = TOOL_SCHEMAS[name];
+  const { required = [], ...result } = toJsonSchema(output);
+  return {
+    inputSchema: toJsonSchema(input),
+    outputSchema: {
+      ...result,
+      properties: { ...result.properties, error: toJsonSchema(ToolErrorSchema) },
+      anyOf: [{ required }, { required: ['error'] }]
+    }
+  };
+}
+
+// "countri" → unknown argument "countri"; did you mean "country"?
+function unknownArgumentMessage(key, known) {
+  const [closest] = known
+    .map(name => ({ name, score: similarity(key, name) }))
+    .filter(candidate => candidate.score >= SUGGESTION_THRESHOLD)
+    .sort((a, b) => b.score - a.score);
+  return `unknown argument "${key}"${closest ? `; did you mean "${closest.name}"?` : ''}`;
+}
+
+function describeIssues(error, known = []) {
+  return error.issues.map(issue => {
+    const path = issue.path.join('.');
+    if (issue.code === 'unrecognized_keys' && !path) {
+      return issue.keys.map(key => unknownArgumentMessage(key, known)).join('; ');
+    }
+    return path ? `${path}: ${issue.message}` : issue.message;
+  }).join('; ');
+}
+
+/** Validate tool arguments, returning the parsed values or throwing invalid_argument. */
+export function parseArguments(name, args) {
+  if (!TOOL_SCHEMAS[name]) {
+    throw invalidArgument(`Unknown tool: ${name}`);
+  }
+  const { input } = TOOL_SCHEMAS[name];
+  const result = input.safeParse(args ?? {});
+  if (!result.success) {
+    throw invalidArgument(`Invalid arguments for ${name}: ${describeIssues(result.error, Object.keys(input.shape))}`);
+  }
+  return result.data;
+}
+
+/**
+ * Validate and normalize a tool's structured result. A mismatch means the
+ * API returned data in a shape the server does not understand.
+ */
+export function parseOutput(name, data) {
+  const result = TOOL_SCHEMAS[name].output.safeParse(data);
+  if (!result.success) {
+    throw new WorldBankError(ErrorCodes.MALFORMED_RESPONSE, `Unexpected result shape from ${name}: ${describeIssues(result.error)}`);
+  }
+  return result.data;
+}
@@ -0,0 +1,204 @@
+/**
+ * "More like this" discovery for WDS documents.
+ *
+ * Derives searches from a source document (same project, same sector and
+ * country, key terms from its title, keywords and abstract), then merges the
+ * candidates those searches return into one ranked list. Each match carries
+ * the reasons it was found, and copies of the same report (other languages,
+ * volumes or re-uploads with the same report number, or the same title,
+ * project and date) are collapsed into one entry.
+ */
+
+import { documentDate, fieldText } from './citation.js';
+import { relatedQueries } from './detail.js';
+import { buildQueryTerm } from './query.js';
+
+export const DEFAULT_RELATED_RESULTS = 10;
+export const KEY_TERM_COUNT = 6;
+// Candidates per search; enough that dropping the source and duplicates still fills the limit
+export const CANDIDATE_ROWS = 30;
+
+// Fields requested for candidates: enough to rank and to display
+export const CANDIDATE_FIELDS = [
+  'id', 'display_title', 'docty', 'docdt', 'count', 'sectr', 'majtheme',
+  'projectid', 'repnb', 'lang', 'keywd', 'url'
+];
+
+const WEIGHTS = {
+  project: 5,
+  sector_country: 3,
+  sector: 1.5,
+  country: 1,
+  theme: 1,
+  keyword: 1
+};
+const MAX_KEYWORD_SCORE = 4;
+
+// Words too common in World Bank documents to say anything about similarity
+const STOPWORDS = new Set(`
+  about above after against also among and annual another are assessment been before being between both
+  but can country countries could development document documents during each economic for from further
+  general has have including into its may more most new not office other over paper plan policy program
+  project projects report reports review should some such than that the their there these this those
+  through under update using volume was were what when which while will with within world bank years
+`.split(/\s+/).filter(Boolean));
+
+function words(text) {
+  return (text.toLowerCase().match(/[\p{L}][\p{L}\p{N}]*/gu) || [])
+    .filter(word => word.length >= 4 && !STOPWORDS.has(word));
+}
+
+// Values of a multi-valued field ("Energy;Water", nested objects) as a list
+function values(value) {
+  return fieldText(value, ';')
+    .split(/[;,]/)
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+function overlap(a, b) {
+  const lower = new Set(values(b).map(item => item.toLowerCase()));
+  return values(a).filter(item => lower.has(item.toLowerCase()));
+}
+
+/**
+ * The most characteristic terms of a document: words from its title count
+ * three times, keywords twice and the abstract once. Country names are left
+ * out since the country is matched on its own.
+ */
+export function keyTerms(doc, count = KEY_TERM_COUNT) {
+  const countries = new Set(words(fieldText(doc.count, ' ')));
+  const scores = new Map();
+  const sources = [
+    [fieldText(doc.display_title), 3],
+    [fieldText(doc.keywd, ' '), 2],
+    [fieldText(doc.abstracts), 1]
+  ];
+  for (const [text, weight] of sources) {
+    for (const word of words(text).filter(word => !countries.has(word))) {
+      scores.set(word, (scores.get(word) || 0) + weight);
+    }
+  }
+  return [...scores.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, count)
+    .map(([word]) => word);
+}
+
+/**
+ * Searches that find documents like `doc`: [{ signal, params }], where
+ * params are WDS query parameters without rows or fl.
+ */
+export function similarSearches(doc, terms = keyTerms(doc)) {
+  const searches = [];
+  const project = relatedQueries(doc).find(relation => relation.relation === 'project');
+  if (project) {
+    searches.push({ signal: 'project', params: { qterm: project.qterm } });
+  }
+
+  const [country] = values(doc.count);
+  const [sector] = values(doc.sectr);
+  const [theme] = values(doc.majtheme);
+  if (country && sector) {
+    searches.push({ signal: 'sector_country', params: { count_exact: country, sectr_exact: sector } });
+  } else if (country && theme) {
+    searches.push({ signal: 'theme_country', params: { count_exact: country, majtheme_exact: theme } });
+  }
+
+  if (terms.length > 0) {
+    searches.push({ signal: 'keywords', params: { qterm: buildQueryTerm({ any: terms }) } });
+  }
+  return searches;
+}
+
+// Copies of one report share a report number, or failing that a title, project
+// and date: titles alone such as "Procurement Plan" are shared by unrelated documents
+function duplicateKey(doc) {
+  const reportNumber = fieldText(doc.repnb).toLowerCase();
+  if (reportNumber) return `repnb:${reportNumber}`;
+  const title = fieldText(doc.display_title).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+  const project = fieldText(doc.projectid).toUpperCase();
+  const date = documentDate(doc);
+  return title && (project || date) ? `title:${title}|${project}|${date || ''}` : `id:${doc.id}`;
+}
+
+/**
+ * Score and explain one candidate against the source document. Returns
+ * { score, reasons }.
+ */
+function scoreCandidate(source, candidate, terms) {
+  const reasons = [];
+  let score = 0;
+
+  const project = overlap(candidate.projectid, source.projectid);
+  if (project.length > 0) {
+    score += WEIGHTS.project;
+    reasons.push(`same project (${project.join(', ')})`);
+  }
+
+  const countries = overlap(candidate.count, source.count);
+  const sectors = overlap(candidate.sectr, source.sectr);
+  if (countries.length > 0 && sectors.length > 0) {
+    score += WEIGHTS.sector_country;
+    reasons.push(`same sector and country (${sectors[0]}, ${countries[0]})`);
+  } else if (sectors.length > 0) {
+    score += WEIGHTS.sector;
+    reasons.push(`same sector (${sectors[0]})`);
+  } else if (countries.length > 0) {
+    score += WEIGHTS.country;
+    reasons.push(`same country (${countries[0]})`);
+  }
+
+  const themes = overlap(candidate.majtheme, source.majtheme);
+  if (themes.length > 0) {
+    score += WEIGHTS.theme;
+    reasons.push(`same theme (${themes[0]})`);
+  }
+
+  const candidateWords = new Set(words(`${fieldText(candidate.display_title)} ${fieldText(candidate.keywd, ' ')}`));
+  const shared = terms.filter(term => candidateWords.has(term));
+  if (shared.length > 0) {
+    score += Math.min(shared.length * WEIGHTS.keyword, MAX_KEYWORD_SCORE);
+    reasons.push(`shared keywords: ${shared.join(', ')}`);
+  }
+
+  return { score: Math.round(score * 10) / 10, reasons };
+}
+
+/**
+ * Rank candidates found by the searches. The source document and its own
+ * copies are dropped, duplicates are collapsed into the highest-ranked copy
+ * (their IDs listed in duplicate_ids), and documents with no reason to be
+ * related are left out. Ties go to the more recent document.
+ */
+export function rankSimilar(source, candidates, { terms = keyTerms(source), limit = DEFAULT_RELATED_RESULTS } = {}) {
+  const sourceKey = duplicateKey(source);
+  const byId = new Map();
+  for (const candidate of candidates) {
+    const id = String(candidate.id);
+    if (id !== String(source.id) && !byId.has(id)) byId.set(id, candidate);
+  }
+
+  const ranked = [...byId.values()]
+    .map(candidate => ({ ...candidate, ...scoreCandidate(source, candidate, terms) }))
+    .filter(candidate => candidate.score > 0 && duplicateKey(candidate) !== sourceKey)
+    .sort((a, b) => b.score - a.score || String(b.docdt || '').localeCompare(String(a.docdt || '')));
+
+  const groups = new Map();
+  for (const candidate of ranked) {
+    const key = duplicateKey(candidate);
+    const group = groups.get(key);
+    if (group) {
+      group.duplicate_ids.push(String(candidate.id));
+    } else {
+      groups.set(key, { ...candidate, duplicate_ids: [] });
+    }
+  }
+
+  const documents = [...groups.values()];
+  return {
+    total_candidates: byId.size,
+    total_related: documents.length,
+    documents: documents.slice(0, limit)
+  };
+}
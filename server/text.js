@@ -0,0 +1,298 @@
+/**
+ * Full-text retrieval for World Bank documents.
+ *
+ * Prefers the plain-text rendition WDS exposes as txturl and falls back to
+ * extracting text from the PDF. Text is cleaned of disclosure stamps, page
+ * numbers and repeated headers/footers, then split into token-bounded chunks
+ * that keep track of the pages they came from.
+ */
+
+import { request } from './client.js';
+import { ErrorCodes, WorldBankError } from './errors.js';
+import { fixtureSettings, loadFixture, saveFixture } from './fixtures.js';
+
+const CHARS_PER_TOKEN = 4; // rough estimate for English prose
+const MAX_CACHED_TEXTS = 10;
+const MAX_MATCHES = 20;
+const SNIPPET_RADIUS = 120;
+
+// Extracted text is expensive to produce and too large for the response cache,
+// so the last few documents are kept here for chunk-by-chunk reading
+const textCache = new Map();
+
+const STAMP_LINES = [
+  /^public disclosure authori[sz]ed$/i,
+  /^(for )?official use only$/i,
+  /^this document has a restricted distribution/i
+];
+
+const PAGE_NUMBER_LINES = [
+  /^(page\s+)?\d{1,4}(\s+(of|\/)\s+\d{1,4})?$/i,
+  /^[-–—]\s*\d{1,4}\s*[-–—]$/
+];
+// Roman page numbers (i to lxxxix) in front matter; only stripped as a page's
+// first or last line, since words such as "mix" or "civil" can stand alone too
+const ROMAN_PAGE_NUMBER = /^(?=[ivxl])(?:xl|l?x{0,3})(?:ix|iv|v?i{0,3})$/i;
+
+export function estimateTokens(text) {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+async function extractPdfPages(buffer) {
+  // Loaded lazily: pdf.js is large and only needed when there is no txt rendition
+  const { extractText, getDocumentProxy } = await import('unpdf');
+  const pdf = await getDocumentProxy(new Uint8Array(buffer));
+  const { text } = await extractText(pdf, { mergePages: false });
+  return text;
+}
+
+// Downloads go through the fixture layer like API requests, keyed by URL;
+// PDFs are stored base64-encoded
+async function download(url, responseType) {
+  const fixtures = fixtureSettings();
+  if (fixtures.mode === 'replay') {
+    const recorded = await loadFixture(url);
+    if (recorded !== undefined) {
+      return responseType === 'buffer' ? Buffer.from(recorded.base64, 'base64') : recorded;
+    }
+    if (fixtures.miss === 'fail') {
+      throw new WorldBankError(ErrorCodes.FIXTURE_MISSING, `No recorded response for ${url} in ${fixtures.dir}`);
+    }
+  }
+
+  const body = await request(url, { responseType });
+  if (fixtures.mode === 'record') {
+    await saveFixture(url, { url }, responseType === 'buffer' ? { base64: body.toString('base64') } : body);
+  }
+  return body;
+}
+
+async function fetchPages(source, url) {
+  if (source === 'txt') {
+    const text = await download(url, 'text');
+    // Text renditions mark page breaks with form feeds, when they mark them at all
+    return text.split('\f');
+  }
+
+  const buffer = await download(url, 'buffer');
+  try {
+    return await extractPdfPages(buffer);
+  } catch (error) {
+    throw new WorldBankError(ErrorCodes.MALFORMED_RESPONSE, `Could not extract text from PDF: ${error.message}`, {
+      url,
+      cause: error
+    });
+  }
+}
+
+function headerFooterKey(line) {
+  return line.toLowerCase().replace(/\d+/g, '#').replace(/\s+/g, ' ');
+}
+
+// Lines that recur at the top or bottom of most pages are running headers/footers
+function findRepeatedLines(pages) {
+  if (pages.length < 3) return new Set();
+
+  const counts = new Map();
+  for (const lines of pages) {
+    const edges = new Set([...lines.slice(0, 3), ...lines.slice(-3)]
+      .filter(line => line.length > 0 && line.length <= 60)
+      .map(headerFooterKey));
+    for (const key of edges) {
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+  }
+
+  const threshold = Math.max(3, Math.ceil(pages.length / 2));
+  return new Set([...counts].filter(([, count]) => count >= threshold).map(([key]) => key));
+}
+
+// Only the first and last few non-empty lines of a page can be headers/footers
+function isEdgeLine(lines, index, depth = 3) {
+  const nonEmpty = lines.flatMap((line, i) => line ? [i] : []);
+  return nonEmpty.slice(0, depth).includes(index) || nonEmpty.slice(-depth).includes(index);
+}
+
+/**
+ * Strip boilerplate from raw page texts and reflow paragraphs.
+ * Returns one cleaned string per input page (possibly empty).
+ */
+export function cleanPages(rawPages) {
+  const pages = rawPages.map(page => page
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .map(line => line.replace(/[ \t ]+/g, ' ').trim()));
+  const repeated = findRepeatedLines(pages.map(lines => lines.filter(Boolean)));
+
+  return pages.map(lines => lines
+    .filter(line => !STAMP_LINES.some(pattern => pattern.test(line)))
+    .filter(line => !PAGE_NUMBER_LINES.some(pattern => pattern.test(line)))
+    .filter((line, index, kept) => !ROMAN_PAGE_NUMBER.test(line) || !isEdgeLine(kept, index, 1))
+    .filter((line, index, kept) => !repeated.has(headerFooterKey(line)) || !isEdgeLine(kept, index))
+    .join('\n')
+    // Re-join words hyphenated across line breaks, then unwrap hard-wrapped lines
+    .replace(/(\p{L})-\n(\p{Ll})/gu, '$1$2')
+    .replace(/([^\n])\n(?!\n)/g, '$1 ')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim());
+}
+
+function splitOversized(paragraph, maxChars) {
+  const pieces = [];
+  let current = '';
+  for (const sentence of paragraph.split(/(?<=[.!?])\s+/)) {
+    if (current && current.length + sentence.length + 1 > maxChars) {
+      pieces.push(current);
+      current = '';
+    }
+    if (sentence.length > maxChars) {
+      for (let i = 0; i < sentence.length; i += maxChars) {
+        pieces.push(sentence.slice(i, i + maxChars));
+      }
+      continue;
+    }
+    current = current ? `${current} ${sentence}` : sentence;
+  }
+  if (current) pieces.push(current);
+  return pieces;
+}
+
+/**
+ * Split cleaned pages into chunks of at most maxTokens (estimated), breaking
+ * on paragraph boundaries where possible. Page numbers are 1-based;
+ * page_offsets maps character offsets within a chunk to the page they start.
+ */
+export function chunkPages(pages, maxTokens) {
+  const maxChars = maxTokens * CHARS_PER_TOKEN;
+  const chunks = [];
+  let current = null;
+
+  const flush = () => {
+    if (current) {
+      chunks.push({ ...current, index: chunks.length, tokens: estimateTokens(current.text) });
+      current = null;
+    }
+  };
+
+  pages.forEach((page, pageIndex) => {
+    const pageNumber = pageIndex + 1;
+    for (const paragraph of page.split(/\n{2,}/).filter(Boolean)) {
+      for (const piece of paragraph.length > maxChars ? splitOversized(paragraph, maxChars) : [paragraph]) {
+        if (current && current.text.length + piece.length + 2 > maxChars) {
+          flush();
+        }
+        if (current) {
+          if (current.page_end !== pageNumber) {
+            current.page_offsets.push({ offset: current.text.length + 2, page: pageNumber });
+          }
+          current.text += `\n\n${piece}`;
+          current.page_end = pageNumber;
+        } else {
+          current = { text: piece, page_start: pageNumber, page_end: pageNumber, page_offsets: [{ offset: 0, page: pageNumber }] };
+        }
+      }
+    }
+  });
+  flush();
+
+  return chunks;
+}
+
+function pageAt(chunk, position) {
+  let page = chunk.page_start;
+  for (const entry of chunk.page_offsets) {
+    if (entry.offset > position) break;
+    page = entry.page;
+  }
+  return page;
+}
+
+/**
+ * Case-insensitive phrase search across chunks. Returns up to MAX_MATCHES
+ * snippets plus the total number of hits.
+ */
+export function searchChunks(chunks, query) {
+  const needle = query.trim().toLowerCase();
+  const matches = [];
+  let total = 0;
+  // An empty needle matches everywhere and would never move the search on
+  if (!needle) return { total, matches };
+
+  for (const chunk of chunks) {
+    const haystack = chunk.text.toLowerCase();
+    let position = haystack.indexOf(needle);
+    while (position !== -1) {
+      total++;
+      if (matches.length < MAX_MATCHES) {
+        const start = Math.max(0, position - SNIPPET_RADIUS);
+        const end = Math.min(chunk.text.length, position + needle.length + SNIPPET_RADIUS);
+        matches.push({
+          chunk: chunk.index,
+          page: pageAt(chunk, position),
+          snippet: `${start > 0 ? '…' : ''}${chunk.text.slice(start, end).replace(/\n+/g, ' ')}${end < chunk.text.length ? '…' : ''}`
+        });
+      }
+      position = haystack.indexOf(needle, position + needle.length);
+    }
+  }
+
+  return { total, matches };
+}
+
+/**
+ * Load and clean the text of `document`. `source` is 'auto' (txt, then PDF),
+ * 'txt' or 'pdf'. The cache mode follows fetchFromAPI: 'default', 'refresh'
+ * or 'bypass'. With `paged`, a txt rendition without page breaks is passed
+ * over for the PDF, so page numbers can be looked up.
+ */
+export async function loadDocumentText(document, { source = 'auto', cache = 'default', paged = false } = {}) {
+  const candidates = [];
+  if (source !== 'pdf' && document.txturl) candidates.push({ source: 'txt', url: document.txturl });
+  if (source !== 'txt' && document.pdfurl) candidates.push({ source: 'pdf', url: document.pdfurl });
+
+  if (candidates.length === 0) {
+    const wanted = source === 'auto' ? 'text or PDF' : source.toUpperCase();
+    throw new WorldBankError(ErrorCodes.NOT_FOUND, `No ${wanted} rendition available for document ${document.id}`);
+  }
+
+  let lastError = null;
+  let unpaged = null;
+  for (const candidate of candidates) {
+    const key = `${document.id}:${candidate.source}`;
+    let loaded = cache === 'default' ? textCache.get(key) : undefined;
+    if (loaded) {
+      textCache.delete(key);
+      textCache.set(key, loaded);
+    } else {
+      try {
+        const pages = cleanPages(await fetchPages(candidate.source, candidate.url));
+        if (!pages.some(Boolean)) {
+          throw new WorldBankError(ErrorCodes.NOT_FOUND, `The ${candidate.source.toUpperCase()} rendition of document ${document.id} contains no text`);
+        }
+
+        loaded = { ...candidate, pages };
+        if (cache !== 'bypass') {
+          textCache.set(key, loaded);
+          while (textCache.size > MAX_CACHED_TEXTS) {
+            textCache.delete(textCache.keys().next().value);
+          }
+        }
+      } catch (error) {
+        console.error(`Text retrieval from ${candidate.source} failed for ${document.id}: ${error.message}`);
+        lastError = error;
+        continue;
+      }
+    }
+
+    // Most txt renditions have no form feeds and read as one long page
+    if (paged && candidate.source === 'txt' && loaded.pages.length === 1 && candidate !== candidates.at(-1)) {
+      unpaged = loaded;
+      continue;
+    }
+    return loaded;
+  }
+
+  // Unpaged text is still better than no text
+  if (unpaged) return unpaged;
+  throw lastError;
+}
@@ -0,0 +1,20 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { cacheKey, getCached, setCached } from '../server/cache.js';
+
+describe('cacheKey', () => {
+  it('ignores parameter order and empty values', () => {
+    assert.equal(cacheKey('https://x', { b: 2, a: ['1', '2'], c: '' }), cacheKey('https://x', { a: '1,2', b: '2' }));
+  });
+});
+
+describe('getCached', () => {
+  it('returns a copy that callers may change', { skip: ['0', 'false', 'off'].includes(String(process.env.WB_CACHE).toLowerCase()) }, async () => {
+    const value = { documents: [1] };
+    await setCached('test:copy', value, 60);
+    value.documents.push(2);
+    const first = await getCached('test:copy');
+    first.documents.push(3);
+    assert.deepEqual(await getCached('test:copy'), { documents: [1] });
+  });
+});
@@ -0,0 +1,127 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  bibliographicRecord,
+  CITATION_FIELDS,
+  citeDocument,
+  documentDate,
+  fieldText,
+  toBibTeX,
+  toRIS
+} from '../server/citation.js';
+
+const paper = {
+  id: '123',
+  display_title: 'Energy Access in Kenya.',
+  authors: { 0: { author: 'Smith, John Adam' }, 1: { author: 'Doe, Jane' } },
+  docdt: '2020-05-01T00:00:00Z',
+  docty: 'Policy Research Working Paper',
+  repnb: 'WPS9000',
+  colti: 'Policy Research working paper ; no. WPS 9000',
+  volnb: '1',
+  lang: 'English',
+  url: 'https://documents.worldbank.org/x',
+  abstracts: { cdata: 'An abstract.' }
+};
+
+const plan = { id: '456', display_title: 'Kenya - Procurement Plan', docty: 'Procurement Plan' };
+
+describe('fieldText', () => {
+  it('flattens WDS repeated fields and CDATA wrappers', () => {
+    assert.equal(fieldText({ 0: { keywd: 'energy' }, 1: { keywd: 'power' } }), 'energy; power');
+    assert.equal(fieldText({ cdata: '  text  ' }), 'text');
+    assert.equal(fieldText(undefined), '');
+    assert.equal(fieldText(42), '42');
+  });
+});
+
+describe('documentDate', () => {
+  it('returns ISO dates and null for missing or invalid dates', () => {
+    assert.equal(documentDate(paper), '2020-05-01');
+    assert.equal(documentDate({}), null);
+    assert.equal(documentDate({ docdt: 'not a date' }), null);
+  });
+});
+
+describe('bibliographicRecord', () => {
+  it('falls back to the World Bank as corporate author', () => {
+    const record = bibliographicRecord(plan);
+    assert.deepEqual(record.authors, ['World Bank']);
+    assert.equal(record.corporate_author, true);
+    assert.equal(record.year, null);
+  });
+
+  it('treats World Bank institutions named as authors as corporate', () => {
+    const record = bibliographicRecord({ id: '8', authors: { 0: { author: 'World Bank' } } });
+    assert.deepEqual(record.authors, ['World Bank']);
+    assert.equal(record.corporate_author, true);
+  });
+
+  it('falls back to docna, then the ID, for the title', () => {
+    assert.equal(bibliographicRecord({ id: '7', docna: 'Named' }).title, 'Named');
+    assert.equal(bibliographicRecord({ id: '7' }).title, 'World Bank document 7');
+  });
+
+  it('needs no fields beyond CITATION_FIELDS', () => {
+    const restricted = Object.fromEntries(Object.entries(paper).filter(([key]) => key === 'id' || CITATION_FIELDS.includes(key)));
+    const { abstract, ...full } = bibliographicRecord(paper);
+    const { abstract: missing, ...partial } = bibliographicRecord(restricted);
+    assert.equal(abstract, 'An abstract.');
+    assert.equal(missing, null);
+    assert.deepEqual(partial, full);
+  });
+});
+
+describe('citeDocument', () => {
+  it('formats APA with initials, series number and volume', () => {
+    const { text, markdown } = citeDocument(paper, 'apa');
+    assert.equal(text, 'Smith, J. A., & Doe, J. (2020). Energy Access in Kenya (Policy Research Working Paper No. WPS 9000, Vol. 1). World Bank. https://documents.worldbank.org/x');
+    assert.match(markdown, /\*Energy Access in Kenya\*/);
+  });
+
+  it('abbreviates hyphenated and run-together initials', () => {
+    const doc = { id: '9', display_title: 'Title', authors: { 0: { author: 'Dethier, J.-J.' }, 1: { author: 'Smith, J.A.' } } };
+    assert.equal(citeDocument(doc, 'apa').text, 'Dethier, J.-J., & Smith, J. A. (n.d.). Title. World Bank.');
+  });
+
+  it('keeps corporate names whole next to personal authors', () => {
+    const doc = { id: '10', display_title: 'Title', authors: { 0: { author: 'Doe, Jane' }, 1: { author: 'World Bank' } } };
+    assert.equal(citeDocument(doc, 'apa').text, 'Doe, J., & World Bank. (n.d.). Title. World Bank.');
+    assert.match(toBibTeX(doc), /author = \{Doe, Jane and \{World Bank\}\}/);
+  });
+
+  it('marks undated corporate documents as n.d.', () => {
+    assert.equal(citeDocument(plan, 'apa').text, 'World Bank. (n.d.). Kenya - Procurement Plan (Procurement Plan).');
+    assert.equal(citeDocument(plan, 'worldbank').text, 'World Bank. n.d. “Kenya - Procurement Plan.” Procurement Plan, World Bank, Washington, DC.');
+  });
+
+  it('uses full names in Chicago style', () => {
+    assert.match(citeDocument(paper, 'chicago').text, /^Smith, John Adam and Jane Doe\. Energy Access in Kenya\./);
+  });
+
+  it('returns CSL-JSON as data', () => {
+    const { data } = citeDocument(paper, 'csl-json');
+    assert.equal(data.type, 'report');
+    assert.deepEqual(data.author, [{ family: 'Smith', given: 'John Adam' }, { family: 'Doe', given: 'Jane' }]);
+    assert.deepEqual(data.issued, { 'date-parts': [[2020, 5, 1]] });
+  });
+});
+
+describe('toBibTeX', () => {
+  it('escapes special characters and braces corporate authors', () => {
+    const entry = toBibTeX({ id: '1', display_title: '50% & more_{x}' });
+    assert.match(entry, /^@techreport\{wb1,/);
+    assert.match(entry, /author = \{\{World Bank\}\}/);
+    assert.match(entry, /title = \{\{50\\% \\& more\\_\\\{x\\\}\}\}/);
+  });
+});
+
+describe('toRIS', () => {
+  it('writes one AU line per author and ends with ER', () => {
+    const lines = toRIS(paper).split('\n');
+    assert.equal(lines[0], 'TY  - RPRT');
+    assert.deepEqual(lines.filter(line => line.startsWith('AU')), ['AU  - Smith, John Adam', 'AU  - Doe, Jane']);
+    assert.ok(lines.includes('M1  - WPS9000'));
+    assert.equal(lines.at(-1), 'ER  -');
+  });
+});
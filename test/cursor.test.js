@@ -0,0 +1,45 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { CURSOR_HISTORY, CURSOR_OVERLAP, decodeCursor, encodeCursor } from '../server/cursor.js';
+
+function invalid() {
+  return error => error.code === 'invalid_argument' && /^cursor is not valid/.test(error.message);
+}
+
+function raw(state) {
+  return Buffer.from(JSON.stringify(state)).toString('base64url');
+}
+
+describe('encodeCursor / decodeCursor', () => {
+  it('round-trips the paging state', () => {
+    const state = {
+      search: { query: 'energy', country: 'Kenya' },
+      offset: 40,
+      date_range: { start_date: '2020-01-01', end_date: '2020-06-30' },
+      seen: ['1', '2'],
+      history: [0, 20]
+    };
+    assert.deepEqual(decodeCursor(encodeCursor(state)), state);
+  });
+
+  it('keeps only the last IDs and page starts', () => {
+    const seen = Array.from({ length: CURSOR_OVERLAP + 5 }, (_, i) => String(i));
+    const history = Array.from({ length: CURSOR_HISTORY + 5 }, (_, i) => i * 20);
+    const decoded = decodeCursor(encodeCursor({ search: {}, offset: 0, seen, history }));
+    assert.deepEqual(decoded.seen, seen.slice(-CURSOR_OVERLAP));
+    assert.deepEqual(decoded.history, history.slice(-CURSOR_HISTORY));
+  });
+
+  it('reads cursors made before page starts were recorded', () => {
+    const decoded = decodeCursor(raw({ v: 1, search: {}, offset: 20, seen: [123] }));
+    assert.deepEqual(decoded, { search: {}, offset: 20, date_range: null, seen: ['123'], history: [] });
+  });
+
+  it('rejects malformed, outdated and tampered cursors', () => {
+    assert.throws(() => decodeCursor('not a cursor'), invalid());
+    assert.throws(() => decodeCursor(raw({ v: 2, search: {}, offset: 0, seen: [] })), invalid());
+    assert.throws(() => decodeCursor(raw({ v: 1, search: 'x', offset: 0, seen: [] })), invalid());
+    assert.throws(() => decodeCursor(raw({ v: 1, search: {}, offset: -20, seen: [] })), invalid());
+    assert.throws(() => decodeCursor(raw({ v: 1, search: {}, offset: 0, seen: [], history: [1.5] })), invalid());
+  });
+});
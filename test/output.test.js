@@ -0,0 +1,82 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { formatTable, renderJSON, renderOutput, truncate, uniqueLabels } from '../server/output.js';
+
+const rows = [{ name: 'a', value: '1' }, { name: 'b|c', value: '2' }];
+const columns = ['name', { name: 'value', label: 'Value' }];
+
+describe('truncate', () => {
+  it('cuts long strings with an ellipsis and flattens line breaks', () => {
+    assert.equal(truncate('abcdefghij', 6), 'abc...');
+    assert.equal(truncate('a\nb'), 'a b');
+    assert.equal(truncate(null), '');
+  });
+});
+
+describe('uniqueLabels', () => {
+  it('numbers labels that collide once cut', () => {
+    assert.deepEqual(uniqueLabels(['Procurement Plan A', 'Procurement Plan B', 'Other'], 10), ['Procure...', 'Pro... (2)', 'Other']);
+  });
+});
+
+describe('formatTable', () => {
+  it('renders each output format with column labels', () => {
+    const render = format => renderOutput(() => formatTable(rows, columns), { format, maxChars: null });
+    assert.equal(render('text'), 'name | Value\n─────┼──────\na    | 1    \nb|c  | 2    ');
+    assert.equal(render('markdown'), '| name | Value |\n| --- | --- |\n| a | 1 |\n| b\\|c | 2 |');
+    assert.equal(render('compact'), '- a: Value: 1\n- b|c: Value: 2');
+  });
+
+  it('keeps empty cells in place in compact lists', () => {
+    const text = renderOutput(
+      () => formatTable([{ name: 'Kenya', a: '', b: '5' }], ['name', { name: 'a', label: 'FY2019' }, { name: 'b', label: 'FY2020' }]),
+      { format: 'compact', maxChars: null }
+    );
+    assert.equal(text, '- Kenya: FY2019: —; FY2020: 5');
+  });
+
+  it('says when there are no rows', () => {
+    assert.equal(formatTable([], columns), 'No results found.');
+  });
+});
+
+describe('renderOutput', () => {
+  it('narrows columns, drops optional ones and counts the rows left out', () => {
+    const many = Array.from({ length: 100 }, (_, i) => ({ name: `row${i}`, value: 'x'.repeat(50), extra: 'y'.repeat(30) }));
+    const text = renderOutput(
+      () => formatTable(many, ['name', 'value', { name: 'extra', optional: true }]),
+      { format: 'text', maxChars: 400 }
+    );
+    assert.ok(text.length <= 400);
+    assert.doesNotMatch(text, /extra/);
+    assert.match(text, /row0 \| x{21}\.\.\./);
+    assert.match(text, /\n… 95 more rows not shown \(raise max_chars to see them\)$/);
+  });
+
+  it('cuts at a line break as a last resort', () => {
+    const text = renderOutput(() => 'line\n'.repeat(200), { format: 'text', maxChars: 200 });
+    assert.ok(text.length <= 200);
+    assert.match(text, /^(line\n)+… output cut to fit max_chars \(200\); raise it to see the rest$/);
+  });
+});
+
+describe('renderJSON', () => {
+  it('returns the full result when it fits', () => {
+    assert.equal(renderJSON({ a: [1, 2] }, { maxChars: null }), '{\n  "a": [\n    1,\n    2\n  ]\n}');
+  });
+
+  it('shortens strings and halves arrays, keeping cursors whole', () => {
+    const data = {
+      next_cursor: 'c'.repeat(300),
+      documents: Array.from({ length: 40 }, (_, id) => ({ id, abstract: 'z'.repeat(300) }))
+    };
+    const text = renderJSON(data, { maxChars: 1000 });
+    assert.ok(text.length <= 1000);
+    const parsed = JSON.parse(text);
+    assert.equal(parsed.next_cursor.length, 300);
+    assert.equal(parsed.documents[0].abstract.length, 200);
+    assert.deepEqual(parsed._omitted, { documents: 40 - parsed.documents.length });
+    // The caller's data is left alone
+    assert.equal(data.documents.length, 40);
+  });
+});
@@ -0,0 +1,119 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  buildPeriods,
+  isDateExpression,
+  isoDate,
+  parseDateExpression,
+  periodContaining,
+  resolveDateRange,
+  yearRange
+} from '../server/periods.js';
+
+function invalid(message) {
+  return error => error.code === 'invalid_argument' && message.test(error.message);
+}
+
+describe('periodContaining', () => {
+  it('names fiscal years after the year they end in', () => {
+    const period = periodContaining(new Date('2019-07-01'), 'fiscal_year');
+    assert.equal(period.label, 'FY2020');
+    assert.equal(isoDate(period.start), '2019-07-01');
+    assert.equal(isoDate(period.end), '2020-06-30');
+    assert.equal(periodContaining(new Date('2019-06-30'), 'fiscal_year').label, 'FY2019');
+  });
+});
+
+describe('buildPeriods', () => {
+  it('marks periods cut short by the range as partial', () => {
+    assert.deepEqual(buildPeriods({ start_date: '2019-03-15', end_date: '2020-09-30' }, 'fiscal_year'), [
+      { period: 'FY2019', start_date: '2019-03-15', end_date: '2019-06-30', partial: true },
+      { period: 'FY2020', start_date: '2019-07-01', end_date: '2020-06-30', partial: false },
+      { period: 'FY2021', start_date: '2020-07-01', end_date: '2020-09-30', partial: true }
+    ]);
+  });
+
+  it('splits a year into quarters', () => {
+    const periods = buildPeriods({ start_date: '2019', end_date: '2019' }, 'quarter');
+    assert.deepEqual(periods.map(period => period.period), ['2019-Q1', '2019-Q2', '2019-Q3', '2019-Q4']);
+    assert.equal(periods[3].end_date, '2019-12-31');
+  });
+
+  it('defaults to ten periods back from end_date', () => {
+    const periods = buildPeriods({ end_date: '2015-12-31' });
+    assert.equal(periods.length, 10);
+    assert.equal(periods[0].period, '2006');
+  });
+
+  it('rejects unknown granularities and ranges over the period limit', () => {
+    assert.throws(() => buildPeriods({}, 'week'), invalid(/granularity must be one of/));
+    assert.throws(() => buildPeriods({ start_date: '1900', end_date: '2000' }, 'quarter'), invalid(/more than 80 periods/));
+  });
+});
+
+describe('yearRange', () => {
+  it('covers a calendar or fiscal year', () => {
+    assert.deepEqual(yearRange('2020'), { period: '2020', start_date: '2020-01-01', end_date: '2020-12-31' });
+    assert.deepEqual(yearRange('fy2020'), { period: 'FY2020', start_date: '2019-07-01', end_date: '2020-06-30' });
+    assert.throws(() => yearRange('2020-Q1'), invalid(/is not a year/));
+  });
+});
+
+describe('parseDateExpression', () => {
+  it('returns the first or last day of the span named', () => {
+    assert.equal(isoDate(parseDateExpression('FY19', 'start_date')), '2018-07-01');
+    assert.equal(isoDate(parseDateExpression('2020-02', 'end_date', 'end')), '2020-02-29');
+    assert.equal(isoDate(parseDateExpression('Q3 2019', 'end_date', 'end')), '2019-09-30');
+  });
+
+  it('rejects impossible dates', () => {
+    assert.equal(isDateExpression('2019-02-30'), false);
+    assert.equal(isDateExpression('2019-13'), false);
+    assert.throws(() => parseDateExpression('soon', 'start_date'), invalid(/start_date "soon" is not a recognized date/));
+  });
+});
+
+describe('resolveDateRange', () => {
+  it('returns null when no date argument is set', () => {
+    assert.equal(resolveDateRange({}), null);
+  });
+
+  it('resolves ranges and fiscal years to concrete dates', () => {
+    assert.deepEqual(resolveDateRange({ period: 'FY2017 to FY2019' }), {
+      input: 'FY2017 to FY2019',
+      label: 'FY2017 to FY2019',
+      start_date: '2016-07-01',
+      end_date: '2019-06-30'
+    });
+    assert.deepEqual(resolveDateRange({ fiscal_year: 'FY19' }), {
+      input: 'FY19',
+      label: 'FY2019',
+      start_date: '2018-07-01',
+      end_date: '2019-06-30'
+    });
+  });
+
+  it('ends relative periods today', () => {
+    const today = new Date();
+    const range = resolveDateRange({ period: 'this year' });
+    assert.equal(range.start_date, `${today.getUTCFullYear()}-01-01`);
+    assert.equal(range.end_date, isoDate(today));
+  });
+
+  it('leaves an open end as null', () => {
+    assert.deepEqual(resolveDateRange({ start_date: '2019' }), {
+      input: '2019 to …',
+      label: '2019 to …',
+      start_date: '2019-01-01',
+      end_date: null
+    });
+  });
+
+  it('rejects conflicting, unrecognized and reversed ranges', () => {
+    assert.throws(() => resolveDateRange({ period: '2019', fiscal_year: 'FY2019' }), invalid(/either period or fiscal_year/));
+    assert.throws(() => resolveDateRange({ period: '2019', start_date: '2019' }), invalid(/either period or start_date\/end_date/));
+    assert.throws(() => resolveDateRange({ period: 'blah' }), invalid(/period "blah" is not recognized/));
+    assert.throws(() => resolveDateRange({ fiscal_year: 'abc' }), invalid(/fiscal_year must be a year/));
+    assert.throws(() => resolveDateRange({ start_date: '2020', end_date: '2019' }), invalid(/on or before end_date/));
+  });
+});
@@ -0,0 +1,63 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { buildQueryTerm, facetValue } from '../server/query.js';
+
+function invalid(message) {
+  return error => error.code === 'invalid_argument' && message.test(error.message);
+}
+
+describe('buildQueryTerm', () => {
+  it('returns undefined when there is nothing to search for', () => {
+    assert.equal(buildQueryTerm(undefined), undefined);
+    assert.equal(buildQueryTerm('   '), undefined);
+  });
+
+  it('maps friendly field prefixes outside quoted phrases only', () => {
+    assert.equal(buildQueryTerm('title:energy AND "author: x"'), 'display_title:energy AND "author: x"');
+    assert.equal(buildQueryTerm('Report_Number:123'), 'repnb:123');
+  });
+
+  it('rejects unbalanced quotes and parentheses', () => {
+    assert.throws(() => buildQueryTerm('"open phrase'), invalid(/unterminated quoted phrase/));
+    assert.throws(() => buildQueryTerm('(a OR b'), invalid(/unbalanced parentheses/));
+    assert.throws(() => buildQueryTerm('a OR b)'), invalid(/unbalanced parentheses/));
+  });
+
+  it('renders structured queries, quoting multi-word terms', () => {
+    assert.equal(
+      buildQueryTerm({ all: ['climate finance'], any: ['adaptation', 'resilience'], field: 'title' }),
+      'display_title:("climate finance") AND display_title:(adaptation OR resilience)'
+    );
+    assert.equal(buildQueryTerm({ any: ['a', 'b'] }), '(a OR b)');
+    assert.equal(buildQueryTerm({ none: ['x'] }), 'NOT x');
+  });
+
+  it('rejects empty and unknown structured queries', () => {
+    assert.throws(() => buildQueryTerm({}), invalid(/at least one term/));
+    assert.throws(() => buildQueryTerm({ every: ['x'] }), invalid(/Unknown query key\(s\): every/));
+    assert.throws(() => buildQueryTerm(5), invalid(/must be a string or an object/));
+  });
+
+  it('applies exclusions to the whole query', () => {
+    assert.equal(
+      buildQueryTerm('a OR b', { not_document_type: ['Procurement Plan', 'x"y'] }),
+      '(a OR b) AND NOT docty_exact:"Procurement Plan" AND NOT docty_exact:"xy"'
+    );
+    // Already one group, or two groups that must be wrapped together
+    assert.equal(buildQueryTerm('(a OR b)', { not_country: 'Kenya' }), '(a OR b) AND NOT count_exact:"Kenya"');
+    assert.equal(buildQueryTerm('(a) OR (b)', { not_country: 'Kenya' }), '((a) OR (b)) AND NOT count_exact:"Kenya"');
+  });
+
+  it('searches by exclusions alone', () => {
+    assert.equal(buildQueryTerm(undefined, { not_language: 'French' }), 'NOT lang_exact:"French"');
+  });
+});
+
+describe('facetValue', () => {
+  it('joins OR-lists with ^ and drops blanks', () => {
+    assert.equal(facetValue(['Kenya', ' Uganda ', '']), 'Kenya^Uganda');
+    assert.equal(facetValue('Kenya'), 'Kenya');
+    assert.equal(facetValue([]), undefined);
+    assert.equal(facetValue(undefined), undefined);
+  });
+});
@@ -0,0 +1,120 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { after, describe, it } from 'node:test';
+
+// The store path is read at import time, so point it at a scratch file first
+const directory = await mkdtemp(path.join(os.tmpdir(), 'wb-saved-'));
+process.env.WB_SAVED_SEARCHES_FILE = path.join(directory, 'saved-searches.json');
+const {
+  createSavedSearch,
+  deleteSavedSearch,
+  findNewDocuments,
+  getSavedSearch,
+  listSavedSearches,
+  MAX_SEEN_IDS,
+  needsNextPage,
+  recordCheck,
+  SAVED_SEARCHES_FILE,
+  updateSavedSearch
+} = await import('../server/saved.js');
+
+after(() => rm(directory, { recursive: true, force: true }));
+
+function doc(id, date) {
+  return { id: String(id), docdt: date ? `${date}T00:00:00Z` : undefined };
+}
+
+function invalid(message) {
+  return error => error.code === 'invalid_argument' && message.test(error.message);
+}
+
+describe('saved search store', () => {
+  it('creates, renames and deletes searches by case-insensitive name', async () => {
+    const created = await createSavedSearch({ name: '  Kenya   energy ', filters: { country: 'Kenya' } });
+    assert.equal(created.name, 'Kenya energy');
+    assert.equal(created.seen_count, 0);
+    assert.equal(created.resolve_filters, true);
+    await assert.rejects(createSavedSearch({ name: 'kenya ENERGY', filters: {} }), invalid(/already exists/));
+
+    const updated = await updateSavedSearch('kenya energy', { new_name: 'Kenya power', filters: { query: 'power' } });
+    assert.deepEqual(updated.filters, { country: 'Kenya', query: 'power' });
+    assert.deepEqual((await listSavedSearches()).map(search => search.name), ['Kenya power']);
+
+    const stored = JSON.parse(await readFile(SAVED_SEARCHES_FILE, 'utf8'));
+    assert.equal(stored.searches[0].name, 'Kenya power');
+
+    await deleteSavedSearch('KENYA POWER');
+    await assert.rejects(getSavedSearch('Kenya power'), error => error.code === 'not_found');
+  });
+
+  it('rejects empty names and updates that clear every filter', async () => {
+    await assert.rejects(createSavedSearch({ name: '  ', filters: {} }), invalid(/must not be empty/));
+    await createSavedSearch({ name: 'only', filters: { country: 'Peru' } });
+    await assert.rejects(updateSavedSearch('only', { clear_filters: ['country'] }), invalid(/at least one filter/));
+    await deleteSavedSearch('only');
+  });
+
+  it('runs concurrent updates one at a time', async () => {
+    await Promise.all(['a', 'b', 'c'].map(name => createSavedSearch({ name, filters: { query: name } })));
+    assert.equal((await listSavedSearches()).length, 3);
+    await Promise.all(['a', 'b', 'c'].map(name => deleteSavedSearch(name)));
+  });
+});
+
+describe('findNewDocuments', () => {
+  it('treats every document as new on the first check', () => {
+    const result = findNewDocuments({ last_checked_at: null, seen: {} }, [doc(1, '2020-01-01'), doc(1, '2020-01-01'), doc(2)]);
+    assert.equal(result.first_check, true);
+    assert.deepEqual(result.documents.map(d => d.id), ['1', '2']);
+  });
+
+  it('reports unseen documents dated inside the window, and undated ones', () => {
+    const search = { last_checked_at: '2020-06-01T00:00:00Z', window_start: '2020-01-01', seen: { 1: '2020-03-01' } };
+    const documents = [doc(3, '2020-05-01'), doc(1, '2020-03-01'), doc(4, '2020-02-01'), doc(5, '2019-12-31'), doc(6)];
+    const result = findNewDocuments(search, documents);
+    assert.equal(result.first_check, false);
+    assert.deepEqual(result.documents.map(d => d.id), ['3', '4', '6']);
+  });
+});
+
+describe('needsNextPage', () => {
+  it('pages on only while the whole page is inside the window', () => {
+    const search = { last_checked_at: '2020-06-01T00:00:00Z', window_start: '2020-01-01' };
+    assert.equal(needsNextPage(search, [doc(1, '2020-05-01'), doc(2)]), true);
+    assert.equal(needsNextPage(search, [doc(1, '2020-05-01'), doc(2, '2019-12-01')]), false);
+    assert.equal(needsNextPage({ last_checked_at: null }, [doc(1, '2020-05-01')]), false);
+  });
+});
+
+describe('recordCheck', () => {
+  it('moves the high-water mark and keeps the widest window', async () => {
+    await createSavedSearch({ name: 'checks', filters: { query: 'x' } });
+    let search = await recordCheck('checks', { documents: [doc(1, '2020-05-01'), doc(2, '2020-02-01')], newCount: 2, checkedAt: '2020-06-01T00:00:00Z' });
+    assert.equal(search.high_water_mark, '2020-05-01');
+    assert.equal(search.window_start, '2020-02-01');
+    assert.equal(search.seen_count, 2);
+
+    search = await recordCheck('checks', { documents: [doc(3, '2020-07-01'), doc(1, '2020-05-01')], newCount: 1, checkedAt: '2020-08-01T00:00:00Z' });
+    assert.equal(search.checks, 2);
+    assert.equal(search.last_new_count, 1);
+    assert.equal(search.high_water_mark, '2020-07-01');
+    assert.equal(search.window_start, '2020-02-01');
+    assert.equal(search.seen_count, 3);
+    await deleteSavedSearch('checks');
+  });
+
+  it(`keeps the newest ${MAX_SEEN_IDS} IDs and moves the window to the oldest kept`, async () => {
+    await createSavedSearch({ name: 'busy', filters: { query: 'x' } });
+    const documents = Array.from({ length: MAX_SEEN_IDS + 5 }, (_, i) => {
+      const day = new Date(Date.UTC(2020, 0, 1) + i * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+      return doc(i, day);
+    });
+    const search = await recordCheck('busy', { documents, newCount: documents.length, checkedAt: '2023-01-01T00:00:00Z' });
+    assert.equal(search.seen_count, MAX_SEEN_IDS);
+    assert.equal(search.window_start, documents[5].docdt.split('T')[0]);
+    assert.equal(search.high_water_mark, documents.at(-1).docdt.split('T')[0]);
+    await deleteSavedSearch('busy');
+  });
+});
@@ -0,0 +1,34 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { rankSimilar } from '../server/similar.js';
+
+const source = { id: '1', display_title: 'Kenya Energy Project', projectid: 'P1', docdt: '2020-01-01T00:00:00Z' };
+
+function plan(id, date, extra = {}) {
+  return { id, display_title: 'Procurement Plan', projectid: 'P1', docdt: `${date}T00:00:00Z`, ...extra };
+}
+
+describe('rankSimilar', () => {
+  it('collapses copies of one report but not documents that only share a title', () => {
+    const { documents } = rankSimilar(source, [
+      plan('2', '2020-02-01'),
+      plan('3', '2021-02-01'),
+      plan('4', '2021-02-01', { lang: 'French' })
+    ], { terms: [] });
+    assert.deepEqual(documents.map(doc => [doc.id, doc.duplicate_ids]), [['3', ['4']], ['2', []]]);
+  });
+
+  it('collapses copies that share a report number', () => {
+    const { documents } = rankSimilar(source, [
+      plan('2', '2020-02-01', { repnb: 'AB1' }),
+      plan('3', '2021-02-01', { repnb: 'ab1' })
+    ], { terms: [] });
+    assert.deepEqual(documents.map(doc => [doc.id, doc.duplicate_ids]), [['3', ['2']]]);
+  });
+
+  it('leaves out the source document and its copies', () => {
+    const { documents, total_candidates } = rankSimilar(source, [source, { ...source, id: '5' }, plan('2', '2020-02-01')], { terms: [] });
+    assert.equal(total_candidates, 2);
+    assert.deepEqual(documents.map(doc => doc.id), ['2']);
+  });
+});
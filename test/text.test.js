@@ -0,0 +1,38 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { parseArguments } from '../server/schemas.js';
+import { chunkPages, cleanPages, searchChunks } from '../server/text.js';
+
+const chunks = chunkPages(cleanPages(['Energy access is key.\n\nMore energy.', 'Page two energy']), 500);
+
+describe('cleanPages', () => {
+  it('strips page numbers, roman ones only at the edge of a page', () => {
+    assert.deepEqual(
+      cleanPages(['iv\nPreface text.\n\nxii', 'Page 3 of 10\nBody\n- 4 -', 'civil\nA page\n\nmix']),
+      ['Preface text.', 'Body', 'civil A page\n\nmix']
+    );
+  });
+
+  it('keeps words made of numeral letters inside a page', () => {
+    assert.deepEqual(cleanPages(['Intro\n\nvi\n\nmix\n\nEnd']), ['Intro\n\nvi\n\nmix\n\nEnd']);
+  });
+});
+
+describe('searchChunks', () => {
+  it('finds every case-insensitive hit with its page', () => {
+    const { total, matches } = searchChunks(chunks, ' ENERGY ');
+    assert.equal(total, 3);
+    assert.deepEqual(matches.map(match => match.page), [1, 1, 2]);
+  });
+
+  it('returns no matches for a blank search', () => {
+    assert.deepEqual(searchChunks(chunks, '   '), { total: 0, matches: [] });
+  });
+
+  it('is not reached with a blank search', () => {
+    assert.throws(
+      () => parseArguments('wb_get_document_text', { document_id: '123', search: '   ' }),
+      error => error.code === 'invalid_argument' && /search:/.test(error.message)
+    );
+  });
+});